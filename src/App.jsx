@@ -1,16 +1,421 @@
-import { useState } from "react";
+import { useState, useRef, useEffect, useCallback, useMemo } from "react";
+import _ from "lodash";
 import "./App.css";
 import DataGrid from "./components/DataGrid";
 import CSVUploader from "./components/CSVUploader";
+import ParseProgress from "./components/ParseProgress";
+import RecentFiles from "./components/RecentFiles";
+import DiffView from "./components/DiffView";
+import TableTabs from "./components/TableTabs";
+import JoinDialog from "./components/JoinDialog";
+import QueryBar from "./components/QueryBar";
+import {
+  deleteDataset,
+  findView,
+  getDatasetKey,
+  getHeaderSignature,
+  listRecentFiles,
+  loadDataset,
+  saveDataset,
+  saveView,
+} from "./utils/storage";
+import { readViewFromUrl, writeViewToUrl } from "./utils/viewLink";
+import { copyText } from "./utils/selection";
+import { getTableName, getUniqueTableName } from "./utils/tables";
+
+// Parse issues of a file without any
+const noIssues = { errors: [], errorCount: 0 };
 
 function App() {
-  const [data, setData] = useState([]);
-  const [headers, setHeaders] = useState([]);
-  const [isLoading, setIsLoading] = useState(false);
+  // Open tables, each { id, name, headers, data, issues, view, source }.
+  // `issues` are the rows the parser had problems with ({ errors,
+  // errorCount }), `view` the layout saved for the table (undefined while
+  // it's being looked up, null if there is none) and `source` where its
+  // rows came from (see loadRef). Query results also have the `query`
+  // ({ sql, tableId }) they came from. Each table keeps its own DataGrid.
+  const [tables, setTables] = useState([]);
+  const [activeTableId, setActiveTableId] = useState(null);
+  // Table the file being parsed goes into, null when nothing is loading
+  const [loadingTableId, setLoadingTableId] = useState(null);
+  const [progress, setProgress] = useState({ loaded: 0, total: 0 });
+  const [recentFiles, setRecentFiles] = useState([]);
+  // View picked with the browser's back/forward buttons
+  const [appliedView, setAppliedView] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+  // Whether the active table is being compared with another file
+  const [isComparing, setIsComparing] = useState(false);
+  const [isJoining, setIsJoining] = useState(false);
+  const cancelRef = useRef(null);
+  // The file being loaded: its table, its storage key and, while it is
+  // being parsed, its headers, the chunks received so far (stored once
+  // parsing ends) and how many of their rows the table shows. Kept in a
+  // ref because the uploader's callbacks outlive a render. Every table
+  // keeps the one it was loaded with as its `source`.
+  const loadRef = useRef({ fileName: "", key: null, signature: null });
+  // View from the link the page was opened with, used for the first file
+  const linkedViewRef = useRef(readViewFromUrl());
+  // Id of the next table opened
+  const nextTableIdRef = useRef(1);
+
+  // A closed active table hands over to the last one
+  const activeTable =
+    tables.find((table) => table.id === activeTableId) ?? tables.at(-1);
+  const isLoading = loadingTableId !== null;
+
+  const updateTable = (id, changes) =>
+    setTables((prev) =>
+      prev.map((table) =>
+        table.id === id
+          ? {
+              ...table,
+              ...(typeof changes === "function" ? changes(table) : changes),
+            }
+          : table
+      )
+    );
+
+  const refreshRecentFiles = useCallback(() => {
+    listRecentFiles()
+      .then(setRecentFiles)
+      .catch((error) => console.warn("Could not list recent files:", error));
+  }, []);
+
+  useEffect(() => {
+    refreshRecentFiles();
+  }, [refreshRecentFiles]);
+
+  // Saving on every step of a column resize would be wasteful
+  const saveViewDebounced = useMemo(
+    () =>
+      _.debounce((key, signature, view) => {
+        saveView(key, signature, view).catch((error) =>
+          console.warn("Could not save view:", error)
+        );
+      }, 500),
+    []
+  );
+
+  // The URL follows the view, one history entry per change
+  const writeViewToUrlDebounced = useMemo(
+    () =>
+      _.debounce((load, view) => {
+        // The first view of a file replaces the previous file's entry
+        writeViewToUrl(view, { replace: !load.inUrl });
+        load.inUrl = true;
+      }, 300),
+    []
+  );
+
+  // Only the active table's grid reports its view
+  const activeSource = activeTable?.source;
+  const handleViewChange = useCallback(
+    (view) => {
+      if (activeSource.key) {
+        saveViewDebounced(activeSource.key, activeSource.signature, view);
+      }
+      writeViewToUrlDebounced(activeSource, view);
+    },
+    [activeSource, saveViewDebounced, writeViewToUrlDebounced]
+  );
+
+  // Back/forward restores the view stored in that history entry
+  useEffect(() => {
+    const handlePopState = () => {
+      writeViewToUrlDebounced.cancel();
+      const view = readViewFromUrl();
+      if (view) setAppliedView(view);
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [writeViewToUrlDebounced]);
+
+  const handleCopyLink = async () => {
+    writeViewToUrlDebounced.flush();
+    await copyText(window.location.href);
+    setLinkCopied(true);
+    setTimeout(() => setLinkCopied(false), 1500);
+  };
+
+  // The active table as loaded, without the edits made in the grid
+  const activeHeaders = activeTable?.headers;
+  const activeData = activeTable?.data;
+  const comparedTable = useMemo(
+    () =>
+      activeSource && {
+        fileName: activeSource.fileName,
+        headers: activeHeaders,
+        rows: activeData,
+      },
+    [activeSource, activeHeaders, activeData]
+  );
+
+  // Shows a table, or a new one added with `table`'s fields
+  const showTable = (id, table) => {
+    saveViewDebounced.flush();
+    writeViewToUrlDebounced.flush();
+    if (table) {
+      setTables((prev) => [
+        ...prev,
+        {
+          id,
+          issues: noIssues,
+          ...table,
+          name: table.name
+            ? getUniqueTableName(table.name, prev)
+            : getTableName(table.source.fileName, prev),
+        },
+      ]);
+    }
+    setActiveTableId(id);
+    setAppliedView(null);
+    setIsComparing(false);
+  };
+
+  // Shows the rows received so far. Joining them into a new array for
+  // every chunk would copy a large file over and over, so while it's being
+  // parsed this happens each time the row count doubles, and once at the end.
+  const showLoadedRows = (load) => {
+    if (load.rowCount === load.shownRowCount) return;
+    load.shownRowCount = load.rowCount;
+    updateTable(load.tableId, { data: load.chunks.flat() });
+  };
+
+  // Loading a file opens a table for it, next to the ones already open.
+  // A file still loading is cancelled by the new one without reporting its
+  // end, so the rows it got so far are shown here.
+  const handleLoadStart = ({ fileName, cancel }) => {
+    const previousLoad = loadRef.current;
+    if (previousLoad.chunks) {
+      showLoadedRows(previousLoad);
+      previousLoad.chunks = null;
+    }
+
+    const id = nextTableIdRef.current++;
+    loadRef.current = {
+      fileName,
+      key: null,
+      signature: null,
+      chunks: [],
+      rowCount: 0,
+      shownRowCount: 0,
+      tableId: id,
+    };
+    cancelRef.current = cancel;
+    showTable(id, {
+      headers: [],
+      data: [],
+      view: undefined,
+      source: loadRef.current,
+    });
+    setProgress({ loaded: 0, total: 0 });
+    setLoadingTableId(id);
+  };
+
+  // Rows arrive in chunks while the worker is still parsing
+  const handleChunk = (rows, csvHeaders) => {
+    const load = loadRef.current;
+
+    // The first chunk brings the columns, which identify the saved layout
+    if (!load.key && csvHeaders.length > 0) {
+      load.headers = csvHeaders;
+      load.signature = getHeaderSignature(csvHeaders);
+      load.key = getDatasetKey(load.fileName, load.signature);
+      updateTable(load.tableId, { headers: csvHeaders });
+      findView(load.key, load.signature)
+        .catch((error) => {
+          console.warn("Could not read saved view:", error);
+          return null;
+        })
+        .then((savedView) => {
+          // A shared link's view wins over the one stored locally
+          updateTable(load.tableId, {
+            view: linkedViewRef.current ?? savedView,
+          });
+          linkedViewRef.current = null;
+        });
+    }
+
+    if (rows.length > 0) {
+      load.chunks.push(rows);
+      load.rowCount += rows.length;
+    }
+    if (load.rowCount >= 2 * load.shownRowCount) showLoadedRows(load);
+  };
+
+  const handleProgress = (loaded, total) => {
+    setProgress({ loaded, total });
+  };
 
-  const handleCSVData = (csvData, csvHeaders) => {
-    setData(csvData);
-    setHeaders(csvHeaders);
+  const handleLoadEnd = ({ cancelled, error, errors, errorCount }) => {
+    const load = loadRef.current;
+    cancelRef.current = null;
+    setLoadingTableId(null);
+    showLoadedRows(load);
+    if (cancelled) return;
+    if (error) {
+      // A file that failed before any row arrived leaves no table behind
+      setTables((prev) =>
+        prev.filter(
+          (table) => table.id !== load.tableId || table.data.length > 0
+        )
+      );
+      return;
+    }
+
+    const fileIssues = { errors, errorCount };
+    updateTable(load.tableId, { issues: fileIssues });
+
+    // Keep fully parsed files for the recent files list
+    if (!load.key || !load.chunks) return;
+    saveDataset({
+      key: load.key,
+      fileName: load.fileName,
+      signature: load.signature,
+      headers: load.headers,
+      rows: load.chunks.flat(),
+      issues: fileIssues,
+    })
+      .then(refreshRecentFiles)
+      .catch((error) => console.warn("Could not store file:", error));
+    load.chunks = null;
+  };
+
+  // Shows a stored file with the layout it was last viewed with, in a
+  // new tab unless it's already open
+  const handleOpenRecent = async (file) => {
+    linkedViewRef.current = null;
+    const openTable = tables.find((table) => table.source.key === file.key);
+    if (openTable) {
+      showTable(openTable.id);
+      return;
+    }
+
+    try {
+      const [dataset, savedView] = await Promise.all([
+        loadDataset(file.key),
+        findView(file.key, file.signature),
+      ]);
+      if (!dataset) {
+        refreshRecentFiles();
+        return;
+      }
+
+      showTable(nextTableIdRef.current++, {
+        headers: dataset.headers,
+        data: dataset.rows,
+        issues: dataset.issues || noIssues,
+        view: savedView,
+        source: {
+          fileName: dataset.fileName,
+          key: dataset.key,
+          signature: dataset.signature,
+        },
+      });
+    } catch (error) {
+      console.error("Error opening stored file:", error);
+    }
+  };
+
+  const handleRemoveRecent = (file) => {
+    deleteDataset(file.key)
+      .then(refreshRecentFiles)
+      .catch((error) => console.warn("Could not remove file:", error));
+  };
+
+  const handleCancel = () => {
+    cancelRef.current?.();
+  };
+
+  // Closing the active tab shows the next one (or the previous, for the
+  // last tab)
+  const handleCloseTable = (id) => {
+    if (id === loadingTableId) cancelRef.current?.();
+    const index = tables.findIndex((table) => table.id === id);
+    const rest = tables.filter((table) => table.id !== id);
+    if (id === activeTable.id) {
+      showTable(rest[Math.min(index, rest.length - 1)]?.id ?? null);
+    }
+    setTables(rest);
+  };
+
+  // Joined tables live in memory only; they aren't stored with the files
+  const handleJoin = ({ name, headers, rows }) => {
+    setIsJoining(false);
+    showTable(nextTableIdRef.current++, {
+      name,
+      headers,
+      data: rows,
+      view: null,
+      source: { fileName: name, key: null, signature: null },
+    });
+  };
+
+  // Query results open in a new tab, except that running the query of a
+  // result again replaces it. Like joined tables, they aren't stored.
+  const handleQueryResult = ({ name, headers, rows, query }) => {
+    const id = nextTableIdRef.current++;
+    const resultName = `${name} query`;
+    const result = {
+      headers,
+      data: rows,
+      view: null,
+      source: { fileName: resultName, key: null, signature: null },
+      query,
+    };
+    if (!activeTable.query) {
+      showTable(id, { ...result, name: resultName });
+      return;
+    }
+    // A new id gives the result a new grid, as its columns may differ
+    setTables((prev) =>
+      prev.map((table) =>
+        table.id === activeTable.id
+          ? {
+              ...table,
+              ...result,
+              id,
+              source: { ...result.source, fileName: table.name },
+            }
+          : table
+      )
+    );
+    showTable(id);
+  };
+
+  const renderTable = (table, isActive) => {
+    if (table.data.length > 0 && table.view !== undefined) {
+      return (
+        <DataGrid
+          data={table.data}
+          headers={table.headers}
+          fileName={table.source.fileName}
+          issues={table.issues}
+          initialView={table.view}
+          appliedView={isActive ? appliedView : null}
+          onViewChange={isActive ? handleViewChange : undefined}
+        />
+      );
+    }
+    if (table.id === loadingTableId || table.data.length > 0) {
+      return <div className="loading">Loading data...</div>;
+    }
+    if (table.query) {
+      return (
+        <div className="empty-state">
+          <p>The query returned no rows.</p>
+        </div>
+      );
+    }
+    return (
+      <div className="empty-state">
+        <p>
+          {table.headers.length > 0
+            ? "The CSV file is empty (contains headers but no data rows)."
+            : "No rows were loaded."}
+        </p>
+        <p>Please try another file or use the sample file.</p>
+      </div>
+    );
   };
 
   return (
@@ -18,20 +423,95 @@ function App() {
       <h1>CSV Data Grid Viewer</h1>
 
       <div className="uploader-container">
-        <CSVUploader onDataLoaded={handleCSVData} setIsLoading={setIsLoading} />
+        <CSVUploader
+          onLoadStart={handleLoadStart}
+          onChunk={handleChunk}
+          onProgress={handleProgress}
+          onLoadEnd={handleLoadEnd}
+        />
+        <RecentFiles
+          files={recentFiles}
+          onOpen={handleOpenRecent}
+          onRemove={handleRemoveRecent}
+        />
+        {activeTable?.data.length > 0 && (
+          <button
+            className="copy-link-button"
+            onClick={handleCopyLink}
+            title="Copy a link to this view. It reopens the data too when it was loaded from a URL."
+          >
+            {linkCopied ? "Link copied" : "Copy view link"}
+          </button>
+        )}
+        {activeTable?.data.length > 0 && activeTable.id !== loadingTableId && (
+          <button
+            className="compare-button"
+            onClick={() => setIsComparing(true)}
+            disabled={isComparing}
+            title="Compare this file with another version of it"
+          >
+            Compare with...
+          </button>
+        )}
       </div>
 
+      {isLoading && (
+        <ParseProgress
+          loaded={progress.loaded}
+          total={progress.total}
+          rowCount={
+            tables.find((table) => table.id === loadingTableId)?.data.length ??
+            0
+          }
+          onCancel={handleCancel}
+        />
+      )}
+
+      {tables.length > 0 && (
+        <TableTabs
+          tables={tables}
+          activeId={activeTable.id}
+          onSelect={(id) => showTable(id)}
+          onClose={handleCloseTable}
+          onJoin={() => setIsJoining(true)}
+        />
+      )}
+
+      {(activeTable?.data.length > 0 || activeTable?.query) &&
+        activeTable.id !== loadingTableId && (
+          <QueryBar
+            key={activeTable.id}
+            table={activeTable}
+            tables={tables}
+            onResult={handleQueryResult}
+          />
+        )}
+
       <div className="grid-container">
-        {isLoading ? (
-          <div className="loading">Loading data...</div>
-        ) : data.length > 0 ? (
-          <DataGrid data={data} headers={headers} />
-        ) : headers && headers.length > 0 ? (
-          <div className="empty-state">
-            <p>The CSV file is empty (contains headers but no data rows).</p>
-            <p>Please try another file or use the sample file.</p>
-          </div>
-        ) : (
+        {/* Shown over the grid, which keeps its state meanwhile */}
+        {isComparing && comparedTable && (
+          <DiffView
+            table={comparedTable}
+            onClose={() => setIsComparing(false)}
+          />
+        )}
+        {/* Every table stays mounted, so switching tabs keeps its edits,
+            scroll position and so on */}
+        {tables.map((table) => {
+          const isActive = table === activeTable;
+          return (
+            <div
+              key={table.id}
+              id={`table-panel-${table.id}`}
+              className={`table-panel ${isActive ? "" : "inactive"}`}
+              role="tabpanel"
+              aria-labelledby={`table-tab-${table.id}`}
+            >
+              {renderTable(table, isActive)}
+            </div>
+          );
+        })}
+        {tables.length === 0 && (
           <div className="empty-state">
             <p>Upload a CSV file to display data.</p>
             <p>
@@ -47,6 +527,15 @@ function App() {
           </div>
         )}
       </div>
+
+      {isJoining && (
+        <JoinDialog
+          tables={tables}
+          initialLeftId={activeTable.id}
+          onJoin={handleJoin}
+          onCancel={() => setIsJoining(false)}
+        />
+      )}
     </div>
   );
 }
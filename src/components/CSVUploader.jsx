@@ -1,85 +1,270 @@
-import { useState, useRef } from "react";
-import Papa from "papaparse";
+import { useState, useRef, useEffect } from "react";
 import "./DataGrid.css";
 import { SAMPLE_CSV_NAME, SAMPLE_CSV_URL } from "../constants";
+import { defaultImportOptions } from "../utils/importOptions";
+import { buildHeaders } from "../utils/csvFile";
+import ImportDialog from "./ImportDialog";
+import ErrorBanner from "./ErrorBanner";
+import {
+  createPastedFile,
+  getFileNameFromUrl,
+  getSourceUrlParam,
+  isFileDrag,
+  parseSourceUrl,
+} from "../utils/dataSources";
 
-const CSVUploader = ({ onDataLoaded, setIsLoading }) => {
+/**
+ * Loads CSV data and streams it to the parent as it is parsed.
+ *
+ * Parsing happens in a Web Worker (see workers/csvParser.worker.js) so large
+ * files never block the main thread. The parent receives:
+ * - onLoadStart({ fileName, cancel }) when a new parse begins
+ * - onChunk(rows, headers) for every parsed chunk, first chunk included
+ * - onProgress(loaded, total) with the number of bytes processed so far
+ * - onLoadEnd({ cancelled, error, errors, errorCount }) once parsing stops
+ *   for any reason; `errors` are the problems found in individual rows
+ *   (see workers/csvParser.worker.js) and `errorCount` how many there were
+ */
+const CSVUploader = ({ onLoadStart, onChunk, onProgress, onLoadEnd }) => {
   const [fileName, setFileName] = useState("");
+  // File picked but not imported yet, shown in the import options dialog
+  const [pendingFile, setPendingFile] = useState(null);
+  // Message shown in a dismissible banner when loading a file failed
+  const [loadError, setLoadError] = useState(null);
+  const [url, setUrl] = useState("");
+  // Whether files are being dragged over the page
+  const [isDragging, setIsDragging] = useState(false);
   const fileInputRef = useRef(null);
+  const workerRef = useRef(null);
+  const cancelRef = useRef(null);
+  const loadIdRef = useRef(0);
+
+  // Never leave a worker running after the uploader goes away
+  useEffect(() => () => cancelRef.current?.(), []);
+
+  // Streams `source` ({ file } or { url }, plus import `options`) through
+  // the parser worker and infers each column's type from the first chunk
+  const parseCSV = (source, name) => {
+    // Only one parse at a time - a new file replaces whatever was loading
+    cancelRef.current?.();
 
-  const parseCSV = (csvText) => {
     return new Promise((resolve, reject) => {
-      Papa.parse(csvText, {
-        header: true,
-        skipEmptyLines: true,
-        dynamicTyping: true,
-        complete: (results) => {
-          if (results.errors.length > 0) {
-            console.warn("CSV parsing had errors:", results.errors);
-          }
-
-          // Format headers for the DataGrid component
-          const headers = results.meta.fields.map((field) => ({
-            id: field,
-            name: field,
-            width: 150,
-            minWidth: 50,
-            maxWidth: 500,
-            resizable: true,
-            sortable: true,
-          }));
-
-          resolve({ headers, data: results.data });
-        },
-        error: (error) => {
-          reject(error);
-        },
-      });
+      const worker = new Worker(
+        new URL("../workers/csvParser.worker.js", import.meta.url),
+        { type: "module" }
+      );
+      workerRef.current = worker;
+      let headers = null;
+
+      const finish = () => {
+        worker.terminate();
+        if (workerRef.current === worker) {
+          workerRef.current = null;
+          cancelRef.current = null;
+        }
+      };
+
+      cancelRef.current = () => {
+        finish();
+        resolve({ cancelled: true });
+      };
+
+      worker.onmessage = ({ data: message }) => {
+        // Ignore anything still queued from a parse that was replaced
+        if (workerRef.current !== worker) return;
+
+        switch (message.type) {
+          case "chunk":
+            if (!headers) {
+              headers = buildHeaders(
+                message.fields || [],
+                message.rows,
+                (source.options || defaultImportOptions).detectTypes
+              );
+            }
+            onChunk(message.rows, headers);
+            break;
+          case "progress":
+            onProgress(message.loaded, message.total);
+            break;
+          case "complete":
+            if (!headers) onChunk([], []);
+            finish();
+            resolve({
+              cancelled: false,
+              errors: message.errors,
+              errorCount: message.errorCount,
+            });
+            break;
+          case "error":
+            finish();
+            reject(new Error(message.message));
+            break;
+        }
+      };
+
+      worker.onerror = (event) => {
+        finish();
+        reject(new Error(event.message));
+      };
+
+      onLoadStart({ fileName: name, cancel: () => cancelRef.current?.() });
+      worker.postMessage(source);
     });
   };
 
-  const handleFileChange = async (event) => {
+  // Runs a parse and reports how it ended, unless a newer parse took over
+  const loadCSV = async (source, name) => {
+    const loadId = ++loadIdRef.current;
+    try {
+      const result = await parseCSV(source, name);
+      if (loadId === loadIdRef.current) onLoadEnd(result);
+    } catch (error) {
+      if (loadId === loadIdRef.current) onLoadEnd({ cancelled: false, error });
+      throw error;
+    }
+  };
+
+  // A picked file goes through the import options dialog first
+  const handleFileChange = (event) => {
     const file = event.target.files[0];
-    if (!file) return;
+    // Allow picking the same file again after a cancel
+    event.target.value = "";
+    if (file) setPendingFile(file);
+  };
 
+  const handleImport = async (options) => {
+    const file = pendingFile;
+    setPendingFile(null);
     setFileName(file.name);
-    setIsLoading(true);
+    setLoadError(null);
 
     try {
-      const text = await file.text();
-      const { headers, data } = await parseCSV(text);
-      onDataLoaded(data, headers);
+      await loadCSV({ file, options }, file.name);
     } catch (error) {
       console.error("Error parsing CSV file:", error);
-      alert("Error parsing CSV file. Please try another file.");
-    } finally {
-      setIsLoading(false);
+      setLoadError(
+        `Error parsing ${file.name}: ${error.message}. Please try another file.`
+      );
+    }
+  };
+
+  // Remote files are loaded with the default import options
+  const loadFromUrl = async (href, name) => {
+    setFileName(name);
+    setLoadError(null);
+
+    try {
+      await loadCSV({ url: href }, name);
+    } catch (error) {
+      console.error("Error fetching CSV:", error);
+      setLoadError(`Error loading ${name}: ${error.message}.`);
     }
   };
 
-  const handleSampleClick = async () => {
-    setIsLoading(true);
-    setFileName(SAMPLE_CSV_NAME);
+  // The latest loadFromUrl, for the ?src= effect that only runs on page open
+  const loadFromUrlRef = useRef(loadFromUrl);
+  useEffect(() => {
+    loadFromUrlRef.current = loadFromUrl;
+  });
 
+  const handleSampleClick = () => loadFromUrl(SAMPLE_CSV_URL, SAMPLE_CSV_NAME);
+
+  const handleUrlSubmit = (event) => {
+    event.preventDefault();
     try {
-      const response = await fetch(SAMPLE_CSV_URL);
-      const text = await response.text();
-      const { headers, data } = await parseCSV(text);
-      onDataLoaded(data, headers);
+      const href = parseSourceUrl(url);
+      loadFromUrl(href, getFileNameFromUrl(href));
     } catch (error) {
-      console.error("Error fetching sample CSV:", error);
-      alert("Error fetching sample CSV. Please try uploading a file instead.");
-    } finally {
-      setIsLoading(false);
+      setLoadError(`${error.message}.`);
     }
   };
 
+  // Opening the page with ?src=<url> loads that URL straight away
+  useEffect(() => {
+    const src = getSourceUrlParam();
+    if (!src) return;
+    setUrl(src);
+    try {
+      const href = parseSourceUrl(src);
+      loadFromUrlRef.current(href, getFileNameFromUrl(href));
+    } catch (error) {
+      setLoadError(`Couldn't load ?src=: ${error.message}.`);
+    }
+  }, []);
+
+  // Files dropped anywhere on the page, with an overlay while dragging.
+  // dragenter/dragleave fire for every element crossed, hence the counter.
+  useEffect(() => {
+    let depth = 0;
+
+    const handleDragEnter = (e) => {
+      if (!isFileDrag(e)) return;
+      e.preventDefault();
+      depth++;
+      setIsDragging(true);
+    };
+    const handleDragOver = (e) => {
+      if (!isFileDrag(e)) return;
+      // Needed for the drop event to fire
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "copy";
+    };
+    const handleDragLeave = (e) => {
+      if (!isFileDrag(e)) return;
+      depth = Math.max(0, depth - 1);
+      if (depth === 0) setIsDragging(false);
+    };
+    const handleDrop = (e) => {
+      if (!isFileDrag(e)) return;
+      e.preventDefault();
+      depth = 0;
+      setIsDragging(false);
+      const file = e.dataTransfer.files[0];
+      if (file) setPendingFile(file);
+    };
+
+    document.addEventListener("dragenter", handleDragEnter);
+    document.addEventListener("dragover", handleDragOver);
+    document.addEventListener("dragleave", handleDragLeave);
+    document.addEventListener("drop", handleDrop);
+    return () => {
+      document.removeEventListener("dragenter", handleDragEnter);
+      document.removeEventListener("dragover", handleDragOver);
+      document.removeEventListener("dragleave", handleDragLeave);
+      document.removeEventListener("drop", handleDrop);
+    };
+  }, []);
+
+  // Pasting a block of CSV/TSV text (e.g. cells copied from a spreadsheet)
+  // or a copied file imports it. Pastes into form fields are left alone.
+  useEffect(() => {
+    const handlePaste = (e) => {
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) {
+        return;
+      }
+
+      const file = e.clipboardData.files[0];
+      const text = e.clipboardData.getData("text/plain");
+      if (file) {
+        e.preventDefault();
+        setPendingFile(file);
+      } else if (text.trim()) {
+        e.preventDefault();
+        setPendingFile(createPastedFile(text));
+      }
+    };
+
+    document.addEventListener("paste", handlePaste);
+    return () => document.removeEventListener("paste", handlePaste);
+  }, []);
+
   return (
     <div className="csv-uploader-container">
       <div className="csv-uploader">
         <input
           type="file"
-          accept=".csv"
+          accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain"
           onChange={handleFileChange}
           ref={fileInputRef}
           id="csv-file-input"
@@ -91,8 +276,39 @@ const CSVUploader = ({ onDataLoaded, setIsLoading }) => {
         <button onClick={handleSampleClick} className="sample-button">
           Use Sample CSV
         </button>
+        <form className="url-loader" onSubmit={handleUrlSubmit}>
+          <input
+            type="url"
+            className="url-input"
+            placeholder="https://example.com/data.csv"
+            aria-label="CSV URL"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+          />
+          <button type="submit" disabled={!url.trim()}>
+            Load URL
+          </button>
+        </form>
       </div>
+      <span className="source-hint">
+        You can also drop a file anywhere or paste CSV/TSV data
+      </span>
       {fileName && <span className="file-name">{fileName}</span>}
+      {loadError && (
+        <ErrorBanner message={loadError} onDismiss={() => setLoadError(null)} />
+      )}
+      {isDragging && (
+        <div className="drop-overlay">
+          <div className="drop-overlay-message">Drop a file to load it</div>
+        </div>
+      )}
+      {pendingFile && (
+        <ImportDialog
+          file={pendingFile}
+          onImport={handleImport}
+          onCancel={() => setPendingFile(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,93 @@
+import { useState, useRef, useEffect } from "react";
+import "./DataGrid.css";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+
+/**
+ * Picks the input type for a column: numbers get a number input, ISO dates
+ * a date (or date & time) picker, emails and URLs their own input types;
+ * everything else is edited as text
+ */
+const getInputType = (type, text) => {
+  if (type === "integer" || type === "decimal") return "number";
+  if (type === "date" && (text === "" || ISO_DATE.test(text))) return "date";
+  if (type === "datetime" && (text === "" || ISO_DATETIME.test(text))) {
+    return "datetime-local";
+  }
+  if (type === "email") return "email";
+  if (type === "url") return "url";
+  return "text";
+};
+
+/**
+ * In-place editor for a single grid cell. Enter or leaving the field
+ * commits, Escape cancels.
+ */
+const CellEditor = ({ value, type, onCommit, onCancel }) => {
+  const [text, setText] = useState(
+    value === null || value === undefined ? "" : String(value)
+  );
+  const inputRef = useRef(null);
+  // Guards against committing twice (Enter followed by the blur it causes)
+  const doneRef = useRef(false);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+    inputRef.current?.select?.();
+  }, []);
+
+  const finish = (commit) => {
+    if (doneRef.current) return;
+    doneRef.current = true;
+    if (commit) {
+      onCommit(text);
+    } else {
+      onCancel();
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    // Keep grid shortcuts (undo, navigation) away from the editor
+    e.stopPropagation();
+    if (e.key === "Enter") finish(true);
+    if (e.key === "Escape") finish(false);
+  };
+
+  // Booleans pick from a list instead of typing
+  if (type === "boolean") {
+    return (
+      <select
+        ref={inputRef}
+        className="cell-editor"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => finish(true)}
+        onDoubleClick={(e) => e.stopPropagation()}
+      >
+        {!["true", "false", ""].includes(text) && (
+          <option value={text}>{text}</option>
+        )}
+        <option value="true">✓ true</option>
+        <option value="false">✗ false</option>
+        <option value="">(empty)</option>
+      </select>
+    );
+  }
+
+  return (
+    <input
+      ref={inputRef}
+      className="cell-editor"
+      type={getInputType(type, text)}
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onKeyDown={handleKeyDown}
+      onBlur={() => finish(true)}
+      onDoubleClick={(e) => e.stopPropagation()}
+    />
+  );
+};
+
+export default CellEditor;
@@ -0,0 +1,102 @@
+import { isEmptyValue, toBoolean, toTimestamp } from "../utils/columnTypes";
+
+const integerFormat = new Intl.NumberFormat(undefined, {
+  maximumFractionDigits: 0,
+});
+const decimalFormat = new Intl.NumberFormat(undefined, {
+  maximumFractionDigits: 10,
+});
+const averageFormat = new Intl.NumberFormat(undefined, {
+  maximumFractionDigits: 2,
+});
+const dateFormat = new Intl.DateTimeFormat(undefined, { dateStyle: "medium" });
+const dateTimeFormat = new Intl.DateTimeFormat(undefined, {
+  dateStyle: "medium",
+  timeStyle: "short",
+});
+
+const formatNumber = (value, format) =>
+  typeof value === "number" ? format.format(value) : String(value);
+
+const formatDate = (value, format) => {
+  const time = toTimestamp(value);
+  return Number.isNaN(time) ? String(value) : format.format(time);
+};
+
+// Links shouldn't trigger grid behaviour (editing on double-click etc.)
+const stopPropagation = (e) => e.stopPropagation();
+
+/**
+ * Cell renderers by column type. Each takes a non-empty cell value and
+ * returns what to show; values that don't fit the type are shown as-is.
+ */
+const renderers = {
+  integer: (value) => formatNumber(value, integerFormat),
+  decimal: (value) => formatNumber(value, decimalFormat),
+  currency: (value) =>
+    typeof value === "number"
+      ? value.toLocaleString(undefined, {
+          minimumFractionDigits: 2,
+          maximumFractionDigits: 2,
+        })
+      : String(value),
+  percent: (value) =>
+    typeof value === "number" ? `${decimalFormat.format(value)}%` : value,
+  boolean: (value) => {
+    const bool = toBoolean(value);
+    if (bool === null) return String(value);
+    return (
+      <span
+        className={`cell-boolean ${bool ? "true" : "false"}`}
+        title={String(value)}
+      >
+        {bool ? "✓" : "✗"}
+      </span>
+    );
+  },
+  date: (value) => formatDate(value, dateFormat),
+  datetime: (value) => formatDate(value, dateTimeFormat),
+  url: (value) => (
+    <a
+      href={/^https?:\/\//i.test(value) ? value : `https://${value}`}
+      target="_blank"
+      rel="noopener noreferrer"
+      onClick={stopPropagation}
+      onDoubleClick={stopPropagation}
+    >
+      {value}
+    </a>
+  ),
+  email: (value) => (
+    <a
+      href={`mailto:${value}`}
+      onClick={stopPropagation}
+      onDoubleClick={stopPropagation}
+    >
+      {value}
+    </a>
+  ),
+};
+
+/**
+ * Renders a cell value using the renderer for its column type
+ */
+export function renderCellValue(value, type) {
+  if (isEmptyValue(value)) return "";
+  const renderer = renderers[type];
+  return renderer ? renderer(value) : String(value);
+}
+
+/**
+ * Renders a group row's aggregate for a column. Sums, minimums and maximums
+ * keep the column's formatting; averages are rounded to two decimals.
+ */
+export function renderAggregateValue(value, aggregate, type) {
+  if (value === null || value === undefined) return "–";
+  if (aggregate === "countDistinct") return integerFormat.format(value);
+  if (aggregate === "avg") {
+    const average = averageFormat.format(value);
+    return type === "percent" ? `${average}%` : average;
+  }
+  return renderCellValue(value, type);
+}
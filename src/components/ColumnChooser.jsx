@@ -0,0 +1,83 @@
+import { useState, useRef, useEffect } from "react";
+import "./DataGrid.css";
+
+/**
+ * "Columns" dropdown with a checkbox per column to show or hide it. The
+ * list can be searched, which helps with wide files. At least one column
+ * always stays visible.
+ */
+const ColumnChooser = ({ headers, onVisibilityChange, onShowAll, onReset }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleMouseDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handleMouseDown);
+    return () => document.removeEventListener("mousedown", handleMouseDown);
+  }, [isOpen]);
+
+  const hiddenCount = headers.filter((header) => header.hidden).length;
+  const visibleCount = headers.length - hiddenCount;
+  const needle = query.trim().toLowerCase();
+  const matching = needle
+    ? headers.filter((header) => header.name.toLowerCase().includes(needle))
+    : headers;
+
+  return (
+    <div className="column-chooser" ref={menuRef}>
+      <button onClick={() => setIsOpen((open) => !open)}>
+        Columns{hiddenCount > 0 && ` (${hiddenCount} hidden)`} ▾
+      </button>
+      {isOpen && (
+        <div className="column-chooser-menu">
+          <input
+            type="search"
+            className="column-chooser-search"
+            placeholder="Find a column"
+            aria-label="Find a column"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            autoFocus
+          />
+          <div className="column-chooser-actions">
+            <button onClick={onShowAll} disabled={hiddenCount === 0}>
+              Show all
+            </button>
+            <button onClick={onReset} title="Original order, all shown">
+              Reset
+            </button>
+          </div>
+          <ul className="column-chooser-list">
+            {matching.map((header) => (
+              <li key={header.id}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={!header.hidden}
+                    disabled={!header.hidden && visibleCount === 1}
+                    onChange={(e) =>
+                      onVisibilityChange(header.id, e.target.checked)
+                    }
+                  />
+                  {header.name}
+                </label>
+              </li>
+            ))}
+            {matching.length === 0 && (
+              <li className="column-chooser-empty">No matching columns</li>
+            )}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ColumnChooser;
@@ -0,0 +1,229 @@
+import { useEffect, useState } from "react";
+import "./DataGrid.css";
+import { getColumnTypeInfo } from "../utils/columnTypes";
+import { renderAggregateValue, renderCellValue } from "./CellRenderers";
+
+// Rows stream in while a file loads; profiling waits for a pause in updates
+const PROFILE_DELAY = 300;
+
+const HISTOGRAM_WIDTH = 260;
+const HISTOGRAM_HEIGHT = 80;
+
+const dateFormat = new Intl.DateTimeFormat(undefined, { dateStyle: "medium" });
+const dateTimeFormat = new Intl.DateTimeFormat(undefined, {
+  dateStyle: "medium",
+  timeStyle: "short",
+});
+
+const formatPercent = (count, total) =>
+  total > 0 ? `${((count / total) * 100).toFixed(1)}%` : "0%";
+
+/**
+ * Bar chart of a numeric column's histogram bins
+ */
+const Histogram = ({ bins, type }) => {
+  const maxCount = Math.max(...bins.map((bin) => bin.count));
+  const barWidth = HISTOGRAM_WIDTH / bins.length;
+
+  return (
+    <svg
+      className="profile-histogram"
+      width={HISTOGRAM_WIDTH}
+      height={HISTOGRAM_HEIGHT}
+      viewBox={`0 0 ${HISTOGRAM_WIDTH} ${HISTOGRAM_HEIGHT}`}
+      role="img"
+      aria-label="Histogram"
+    >
+      {bins.map((bin, i) => {
+        const height = maxCount ? (bin.count / maxCount) * HISTOGRAM_HEIGHT : 0;
+        const start = renderAggregateValue(bin.start, "avg", type);
+        const end = renderAggregateValue(bin.end, "avg", type);
+        return (
+          <rect
+            key={i}
+            x={i * barWidth + 1}
+            y={HISTOGRAM_HEIGHT - height}
+            width={Math.max(1, barWidth - 2)}
+            height={height}
+          >
+            <title>{`${start} – ${end}: ${bin.count.toLocaleString()}`}</title>
+          </rect>
+        );
+      })}
+    </svg>
+  );
+};
+
+/**
+ * Side panel with data-quality statistics for one column: empty and
+ * distinct counts, the most frequent values, and for numeric or date
+ * columns their distribution or range. Statistics are computed in a worker
+ * (see workers/columnProfile.worker.js) over the rows that pass the filters.
+ */
+const ColumnProfilePanel = ({ header, type, rows, onClose }) => {
+  // Result of the last profile, with the inputs it was computed from so a
+  // stale result shows as "computing" until the new one arrives
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    let worker = null;
+
+    const timer = setTimeout(() => {
+      worker = new Worker(
+        new URL("../workers/columnProfile.worker.js", import.meta.url),
+        { type: "module" }
+      );
+      const finish = (outcome) => {
+        worker.terminate();
+        setResult({ ...outcome, rows, columnId: header.id, type });
+      };
+
+      worker.onmessage = ({ data: message }) => {
+        if (message.type === "profile") {
+          finish({ profile: message.profile, error: null });
+        } else {
+          finish({ profile: null, error: message.message });
+        }
+      };
+      worker.onerror = (event) => {
+        finish({ profile: null, error: event.message });
+      };
+
+      worker.postMessage({ values: rows.map((row) => row[header.id]), type });
+    }, PROFILE_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      worker?.terminate();
+    };
+  }, [rows, header.id, type]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const isComputing =
+    !result ||
+    result.rows !== rows ||
+    result.columnId !== header.id ||
+    result.type !== type;
+  const profile = result?.columnId === header.id ? result.profile : null;
+  const typeInfo = getColumnTypeInfo(type);
+  const formatDate = type === "datetime" ? dateTimeFormat : dateFormat;
+
+  return (
+    <aside className="column-profile-panel" aria-label="Column profile">
+      <div className="column-profile-header">
+        <span className="column-profile-title" title={header.name}>
+          {header.name}
+        </span>
+        <button title="Close" onClick={onClose}>
+          ×
+        </button>
+      </div>
+
+      <div className="column-profile-type">
+        <span className="header-type-icon">{typeInfo.icon}</span>
+        {typeInfo.label}
+        {header.inferredType && header.inferredType !== type && (
+          <span className="column-profile-hint">
+            (detected as {getColumnTypeInfo(header.inferredType).label})
+          </span>
+        )}
+      </div>
+
+      {isComputing && (
+        <div className="column-profile-status">Computing statistics...</div>
+      )}
+      {result?.error && !isComputing && (
+        <div className="column-profile-status error">{result.error}</div>
+      )}
+
+      {profile && (
+        <div className={`column-profile-body ${isComputing ? "stale" : ""}`}>
+          <dl className="column-profile-stats">
+            <dt>Rows</dt>
+            <dd>{profile.count.toLocaleString()}</dd>
+            <dt>Empty</dt>
+            <dd>
+              {profile.emptyCount.toLocaleString()} (
+              {formatPercent(profile.emptyCount, profile.count)})
+            </dd>
+            <dt>Distinct</dt>
+            <dd>{profile.distinctCount.toLocaleString()}</dd>
+            {profile.invalidCount > 0 && (
+              <>
+                <dt>Not {typeInfo.label.toLowerCase()}</dt>
+                <dd>{profile.invalidCount.toLocaleString()}</dd>
+              </>
+            )}
+            {profile.numeric && (
+              <>
+                <dt>Min</dt>
+                <dd>{renderCellValue(profile.numeric.min, type)}</dd>
+                <dt>Max</dt>
+                <dd>{renderCellValue(profile.numeric.max, type)}</dd>
+                <dt>Mean</dt>
+                <dd>
+                  {renderAggregateValue(profile.numeric.mean, "avg", type)}
+                </dd>
+                <dt>Median</dt>
+                <dd>
+                  {renderAggregateValue(profile.numeric.median, "avg", type)}
+                </dd>
+                <dt>Std. dev.</dt>
+                <dd>
+                  {renderAggregateValue(profile.numeric.stddev, "avg", type)}
+                </dd>
+              </>
+            )}
+            {profile.dateRange && (
+              <>
+                <dt>Earliest</dt>
+                <dd>{formatDate.format(profile.dateRange.min)}</dd>
+                <dt>Latest</dt>
+                <dd>{formatDate.format(profile.dateRange.max)}</dd>
+              </>
+            )}
+          </dl>
+
+          {profile.numeric && (
+            <section className="column-profile-section">
+              <div className="header-menu-label">Distribution</div>
+              <Histogram bins={profile.numeric.histogram} type={type} />
+            </section>
+          )}
+
+          {profile.topValues.length > 0 && (
+            <section className="column-profile-section">
+              <div className="header-menu-label">Most frequent values</div>
+              <ol className="column-profile-top-values">
+                {profile.topValues.map(({ value, count }) => (
+                  <li key={value} title={value}>
+                    <span
+                      className="column-profile-bar"
+                      style={{
+                        width: formatPercent(count, profile.topValues[0].count),
+                      }}
+                    />
+                    <span className="column-profile-value">{value}</span>
+                    <span className="column-profile-count">
+                      {count.toLocaleString()}
+                    </span>
+                  </li>
+                ))}
+              </ol>
+            </section>
+          )}
+        </div>
+      )}
+    </aside>
+  );
+};
+
+export default ColumnProfilePanel;
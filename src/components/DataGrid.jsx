@@ -4,13 +4,121 @@ import React, {
   useRef,
   useCallback,
   useMemo,
+  useReducer,
+  useId,
+  useImperativeHandle,
 } from "react";
 import "./DataGrid.css";
 import _ from "lodash";
-import { ROW_HEIGHT } from "../constants";
+import { COLUMN_DRAG_TYPE, DENSITY_ROW_HEIGHTS } from "../constants";
 import VirtualizedRows from "./VirtualizedRows";
+import FilterPopover from "./FilterPopover";
+import SearchBar from "./SearchBar";
+import ExportMenu from "./ExportMenu";
+import HeaderMenu from "./HeaderMenu";
+import GroupByBar from "./GroupByBar";
+import ColumnProfilePanel from "./ColumnProfilePanel";
+import IssuesPanel from "./IssuesPanel";
+import ColumnChooser from "./ColumnChooser";
+import FormulaEditor from "./FormulaEditor";
+import { applyFilters, compileFilter, getFilterKind } from "../utils/filters";
+import { findMatches } from "../utils/search";
+import { describeSort, getNextSortConfig, sortRows } from "../utils/sorting";
+import {
+  getColumnTypeInfo,
+  inferColumnType,
+  isEmptyValue,
+} from "../utils/columnTypes";
+import {
+  copyText,
+  createSelection,
+  getCellId,
+  getNavigationTarget,
+  getSelectionRange,
+  selectionToTSV,
+} from "../utils/selection";
+import {
+  getColumnStyle,
+  getPinnedClassName,
+  getPinnedWidths,
+  orderPinnedColumns,
+} from "../utils/pinning";
+import { getRenderedColumns } from "../utils/columnVirtualization";
+import {
+  moveColumn,
+  resetColumnLayout,
+  setColumnHidden,
+  showAllColumns,
+} from "../utils/columnOrder";
+import { createRowHeightIndex } from "../utils/rowHeights";
+import {
+  applyViewToHeaders,
+  getViewSettings,
+  getViewState,
+} from "../utils/viewState";
+import {
+  buildGroupedRows,
+  getAggregatesForType,
+  getAllGroupKeys,
+  getGroupInfo,
+  getGroupedSortConfig,
+  isGroupRow,
+} from "../utils/grouping";
+import {
+  applyEdits,
+  editReducer,
+  initialEditState,
+  parseEditorValue,
+} from "../utils/editHistory";
+import { useControllableState } from "../utils/useControllableState";
+import { useStableValue } from "../utils/useStableValue";
+import {
+  applyFormulas,
+  createComputedHeader,
+  getComputedColumnId,
+  isComputedColumn,
+} from "../utils/computedColumns";
+
+// Dragging a column this close to either edge of the header scrolls it
+const DRAG_SCROLL_EDGE = 40;
+const DRAG_SCROLL_STEP = 20;
+
+// Which side of a header cell the pointer is on, for dropping a column
+const getDropSide = (e) => {
+  const rect = e.currentTarget.getBoundingClientRect();
+  return e.clientX < rect.left + rect.width / 2 ? "before" : "after";
+};
+
+// Resizing keeps a column within its own minWidth/maxWidth, or these
+const getMinWidth = (header) => header.minWidth ?? 50;
+const getMaxWidth = (header) => header.maxWidth ?? 500;
+const clampColumnWidth = (header, width) =>
+  _.clamp(width, getMinWidth(header), getMaxWidth(header));
 
 /**
+ * Virtualized data grid. Props:
+ * - data: array of row objects
+ * - headers: column definitions { id, name, type, width, minWidth,
+ *   maxWidth, resizable, sortable, pinned, wrap, hidden, formula }, where
+ *   `formula` makes a computed column (see utils/formula.js), plus optional
+ *   custom renderers: renderCell(value, row, header) for the column's
+ *   cells and renderHeader(header) for its name in the header, and
+ *   getCellClassName(value, row, header) for extra classes on its cells.
+ *   New definitions keep the layout the user made (widths, order...).
+ * - sortConfig / defaultSortConfig / onSortChange(sortConfig): the sort
+ *   keys [{ key, direction }], controlled or not
+ * - columnWidths / onColumnResize(columnId, width): widths by column id
+ *   overriding the headers' ones when controlled
+ * - selection / defaultSelection / onSelectionChange(selection): the
+ *   selected cells { anchor, focus } of { row, col } in display order
+ * - onRowClick(row, rowIndex, event): a data row was clicked; rowIndex is
+ *   the row's index in `data`
+ * - getRowClassName(row): extra classes for a data row
+ * - fileName, issues, initialView, appliedView, onViewChange: see App.jsx
+ * - ref: { scrollToRow(index), scrollToColumn(idOrIndex),
+ *   getVisibleRange(), getSelection(), getDisplayIndex(rowIndex) }
+ * Like an <input>, a prop left undefined leaves the state to the grid.
+ *
  * Performance optimizations:
  * 1. Uses ResizeObserver for efficient size monitoring
  * 2. Employs MutationObserver to track DOM changes
@@ -19,36 +127,311 @@ import VirtualizedRows from "./VirtualizedRows";
  * 5. Optimizes scroll handling with passive events
  * 6. Uses React.memo to prevent unnecessary re-renders
  */
-const DataGrid = React.memo(({ data, headers: initialHeaders }) => {
-  const [headers, setHeaders] = useState(initialHeaders);
-  const [sortConfig, setSortConfig] = useState({ key: null, direction: "asc" });
+const DataGrid = React.memo(({ headers: initialHeaders, ...props }) => {
+  const { data, fileName, issues, initialView, appliedView, onViewChange } =
+    props;
+  const { columnWidths, onColumnResize, onRowClick, getRowClassName, ref } =
+    props;
+
+  // A saved view (see utils/viewState.js) restores the layout on mount
+  const [initialSettings] = useState(() =>
+    getViewSettings(initialView, initialHeaders)
+  );
+  const [headerState, setHeaders] = useState(() =>
+    applyViewToHeaders(initialHeaders, initialView)
+  );
+  // Controlled widths take precedence over the ones kept in state
+  const headers = useMemo(
+    () =>
+      columnWidths
+        ? headerState.map((header) =>
+            columnWidths[header.id] != null
+              ? { ...header, width: columnWidths[header.id] }
+              : header
+          )
+        : headerState,
+    [headerState, columnWidths]
+  );
+  // Ordered sort keys: [{ key, direction }], primary key first
+  const [sortConfig, setSortConfig] = useControllableState(
+    props.sortConfig,
+    props.defaultSortConfig ?? initialSettings.sortConfig,
+    props.onSortChange
+  );
   const [dimensions, setDimensions] = useState({ width: 0, height: 0 });
   const [scrollPosition, setScrollPosition] = useState({ top: 0, left: 0 });
+  // Column id -> filter definition ({ operator, value, value2, values })
+  const [filters, setFilters] = useState(initialSettings.filters);
+  // Column whose filter popover is open, with its position in the grid
+  const [openFilter, setOpenFilter] = useState(null);
+  // Column whose options menu is open, with its position in the grid
+  const [openMenu, setOpenMenu] = useState(null);
+  const [search, setSearch] = useState(initialSettings.search);
+  const [activeMatchIndex, setActiveMatchIndex] = useState(0);
+  // Cell edits layered over the data as parsed, with undo/redo history
+  const [editState, dispatchEdit] = useReducer(editReducer, initialEditState);
+  // Cell being edited: { rowIndex, columnId } in display order
+  const [editingCell, setEditingCell] = useState(null);
+  // Active cell and Shift-extended range: { anchor, focus } of { row, col }
+  const [selection, setSelection] = useControllableState(
+    props.selection,
+    props.defaultSelection ?? null,
+    props.onSelectionChange
+  );
+  // Row spacing: "compact", "normal" or "comfortable"
+  const [density, setDensity] = useState(initialSettings.density);
+  // Column ids to group rows by, outermost first
+  const [groupBy, setGroupBy] = useState(initialSettings.groupBy);
+  // Keys of the groups whose rows are hidden
+  const [collapsedGroups, setCollapsedGroups] = useState(() => new Set());
+  // Column shown in the profiling side panel
+  const [profileColumnId, setProfileColumnId] = useState(null);
+  // Formula editor: { columnId } of the computed column being changed, or
+  // { columnId: null } for a new one
+  const [formulaEditor, setFormulaEditor] = useState(null);
+  const [showIssues, setShowIssues] = useState(false);
+  // Leaves the rows the parser had problems with out of the grid
+  const [excludeIssueRows, setExcludeIssueRows] = useState(false);
+  // Where a column dragged by its header would land: { columnId, side }
+  const [columnDropTarget, setColumnDropTarget] = useState(null);
+  // Message read out by screen readers through the live region
+  const [announcement, setAnnouncement] = useState("");
+  // Prefix for the cell ids referenced by aria-activedescendant
+  const gridId = useId();
 
   // Refs for DOM access
   const containerRef = useRef(null);
+  // The element with role="grid", which holds keyboard focus
+  const gridRef = useRef(null);
   const bodyRef = useRef(null);
   const headerRef = useRef(null);
   const mutationObserverRef = useRef(null);
+  // Set when the active match should be scrolled into view on next render
+  const scrollToMatchRef = useRef(false);
+  // Scroll position of an applied view, restored once its rows are rendered
+  const pendingScrollRef = useRef(initialSettings.scroll);
 
   // Add a ref to track resizing state
   const isResizingRef = useRef(false);
+  // Column being dragged by its header. Drag data can't be read before the
+  // drop, so this is what dragover handlers go by.
+  const draggedColumnRef = useRef(null);
+  // Position in displayRows of each row's index in `data`, built the first
+  // time it's asked for after the rows change
+  const displayIndexesRef = useRef(null);
+
+  // Estimated height of every row at the chosen density
+  const rowHeight = DENSITY_ROW_HEIGHTS[density];
 
   // Calculate visible rows based on container height
   const visibleRowsCount = useMemo(
-    () => Math.max(10, Math.ceil((dimensions.height || 300) / ROW_HEIGHT)),
-    [dimensions.height]
+    () => Math.max(10, Math.ceil((dimensions.height || 300) / rowHeight)),
+    [dimensions.height, rowHeight]
+  );
+
+  // Type of every column. Headers normally come with a type inferred by
+  // CSVUploader; anything without one is inferred from the data here.
+  // The previous object is reused while the types are unchanged, so that
+  // resizing a column doesn't re-filter and re-sort every row.
+  const columnTypesRef = useRef({});
+  const columnTypes = useMemo(() => {
+    const types = Object.fromEntries(
+      headers.map((header) => [
+        header.id,
+        header.type || inferColumnType(data, header.id),
+      ])
+    );
+    if (_.isEqual(types, columnTypesRef.current)) {
+      return columnTypesRef.current;
+    }
+    columnTypesRef.current = types;
+    return types;
+  }, [data, headers]);
+
+  // The data as the user sees it, with their edits applied
+  const editedData = useMemo(
+    () => applyEdits(data, editState.edits),
+    [data, editState.edits]
+  );
+
+  // Maps row objects back to their index in `data`, which is what edits are
+  // keyed by. Edited rows are new objects, so they get their own small map.
+  const rowIndexes = useMemo(
+    () => new Map(data.map((row, index) => [row, index])),
+    [data]
+  );
+  const editedRowIndexes = useMemo(
+    () =>
+      new Map(
+        Object.keys(editState.edits).map((index) => [
+          editedData[index],
+          Number(index),
+        ])
+      ),
+    [editedData, editState.edits]
+  );
+
+  // Computed columns filled in. Only the columns' names and formulas
+  // matter, kept stable so that resizing a column doesn't evaluate every
+  // formula again.
+  const formulaHeaders = useStableValue(
+    headers.some(isComputedColumn)
+      ? headers.map(({ id, name, formula }) => ({ id, name, formula }))
+      : []
+  );
+  const computedData = useMemo(
+    () => applyFormulas(editedData, formulaHeaders, columnTypes),
+    [editedData, formulaHeaders, columnTypes]
+  );
+  // With computed columns every row is a new object, mapped back here
+  const computedRowIndexes = useMemo(
+    () =>
+      computedData === editedData
+        ? null
+        : new Map(computedData.map((row, index) => [row, index])),
+    [computedData, editedData]
+  );
+
+  const getRowIndex = useCallback(
+    (row) =>
+      computedRowIndexes?.get(row) ??
+      editedRowIndexes.get(row) ??
+      rowIndexes.get(row),
+    [computedRowIndexes, editedRowIndexes, rowIndexes]
+  );
+  const getRowEdits = useCallback(
+    (row) => editState.edits[getRowIndex(row)],
+    [editState.edits, getRowIndex]
+  );
+
+  // Parse issues by the index in `data` of the row they were found in
+  const issuesByRow = useMemo(() => {
+    const byRow = new Map();
+    for (const error of issues?.errors || []) {
+      if (error.row === undefined) continue;
+      if (!byRow.has(error.row)) byRow.set(error.row, []);
+      byRow.get(error.row).push(error);
+    }
+    return byRow;
+  }, [issues]);
+  const getRowIssues = useCallback(
+    (row) => issuesByRow.get(getRowIndex(row)),
+    [issuesByRow, getRowIndex]
+  );
+
+  // Filters narrow the rows before they are sorted. Edits and formulas
+  // keep rows in place, so positions in `computedData` are indexes in
+  // `data`.
+  const filteredData = useMemo(
+    () =>
+      applyFilters(
+        excludeIssueRows
+          ? computedData.filter((row, index) => !issuesByRow.has(index))
+          : computedData,
+        filters,
+        columnTypes
+      ),
+    [computedData, excludeIssueRows, issuesByRow, filters, columnTypes]
+  );
+
+  // Memoize sorted data to prevent unnecessary sorts. When grouping, rows
+  // are ordered by the grouping columns first, which orders the groups.
+  const sortedData = useMemo(
+    () =>
+      sortRows(
+        filteredData,
+        getGroupedSortConfig(groupBy, sortConfig),
+        columnTypes
+      ),
+    [filteredData, groupBy, sortConfig, columnTypes]
+  );
+
+  // Aggregate chosen for each column, kept stable so that resizing a
+  // column doesn't recompute every group
+  const aggregates = useStableValue(
+    Object.fromEntries(
+      headers
+        .filter((header) => header.aggregate)
+        .map((header) => [header.id, header.aggregate])
+    )
+  );
+
+  // The rows as rendered: group rows interleaved with the data rows of
+  // expanded groups. Without grouping this is just the sorted data.
+  const displayRows = useMemo(
+    () => buildGroupedRows(sortedData, groupBy, aggregates, collapsedGroups),
+    [sortedData, groupBy, aggregates, collapsedGroups]
+  );
+
+  // Every group at every level, expanded or not
+  const groupKeys = useMemo(
+    () => getAllGroupKeys(sortedData, groupBy),
+    [sortedData, groupBy]
+  );
+
+  // Columns in display order: left-pinned first, right-pinned last. Hidden
+  // columns are left out of rendering and export altogether.
+  const columns = useMemo(
+    () => orderPinnedColumns(headers.filter((header) => !header.hidden)),
+    [headers]
+  );
+
+  const columnNames = useMemo(
+    () => Object.fromEntries(headers.map((header) => [header.id, header.name])),
+    [headers]
+  );
+
+  // Every matching cell of the displayed rows, in display order
+  const matches = useMemo(
+    () => findMatches(displayRows, columns, search),
+    [displayRows, columns, search]
   );
 
-  // Memoize sorted data to prevent unnecessary sorts
-  const sortedData = useMemo(() => {
-    if (!sortConfig.key) return data;
-    // Using Lodash for efficient sorting
-    return _.orderBy(data, [sortConfig.key], [sortConfig.direction]);
-  }, [data, sortConfig.key, sortConfig.direction]);
+  // Keep the active match in range when the match list shrinks
+  const activeMatch =
+    matches.length > 0
+      ? matches[Math.min(activeMatchIndex, matches.length - 1)]
+      : null;
+
+  // Only the columns in (or near) the horizontal viewport are rendered,
+  // with spacers standing in for the rest
+  const renderedColumns = useMemo(
+    () =>
+      getRenderedColumns(
+        columns,
+        scrollPosition.left,
+        dimensions.width || window.innerWidth
+      ),
+    [columns, scrollPosition.left, dimensions.width]
+  );
+
+  // Rows only vary in height when a column wraps its text. The measured
+  // heights depend on those columns' widths, so resizing one starts over;
+  // resizing any other column doesn't.
+  const wrappedColumns = useStableValue(
+    columns
+      .filter((column) => column.wrap)
+      .map((column) => ({ id: column.id, width: column.width }))
+  );
+
+  // Height cache and offset index shared with VirtualizedRows
+  const rowHeights = useMemo(
+    () =>
+      createRowHeightIndex(
+        displayRows.length,
+        rowHeight,
+        wrappedColumns.length > 0
+      ),
+    [displayRows, rowHeight, wrappedColumns]
+  );
+
+  // Keeps the rows in view steady when rows above them get measured
+  const handleScrollAdjust = useCallback((delta) => {
+    if (bodyRef.current) bodyRef.current.scrollTop += delta;
+  }, []);
 
   // Memoize total width calculation
-  const totalColumnsWidth = useMemo(() => _.sumBy(headers, "width"), [headers]);
+  const totalColumnsWidth = useMemo(() => _.sumBy(columns, "width"), [columns]);
 
   /**
    * ResizeObserver effect - monitors size changes without causing layout thrashing
@@ -124,15 +507,52 @@ const DataGrid = React.memo(({ data, headers: initialHeaders }) => {
     };
   }, []);
 
-  // Reset scrolling state when data changes
+  // Reset scrolling state when a different data set is loaded. Rows streamed
+  // into the current data set keep the scroll position where it is.
   useEffect(() => {
     if (bodyRef.current) {
       // Reset scroll position when data set changes
       bodyRef.current.scrollTop = 0;
-      setScrollPosition({ top: 0, left: scrollPosition.left });
-      console.log("Data changed - resetting scroll position");
+      setScrollPosition((prev) => ({ top: 0, left: prev.left }));
+      console.log("Data set changed - resetting scroll position");
     }
-  }, [data.length]);
+  }, [initialHeaders]);
+
+  // New header definitions from the parent (other names or renderers)
+  // keep the layout the user made: widths, order, pinning, hidden columns
+  const mountedHeadersRef = useRef(initialHeaders);
+  useEffect(() => {
+    if (mountedHeadersRef.current === initialHeaders) return;
+    mountedHeadersRef.current = initialHeaders;
+    setHeaders((prev) =>
+      applyViewToHeaders(initialHeaders, getViewState({ headers: prev }))
+    );
+  }, [initialHeaders]);
+
+  // A view passed in while mounted (browser back/forward through view
+  // links) replaces the current layout. Column settings are applied to
+  // the original headers so that settings missing from the view are reset.
+  useEffect(() => {
+    if (!appliedView) return;
+    const settings = getViewSettings(appliedView, initialHeaders);
+    setHeaders(applyViewToHeaders(initialHeaders, appliedView));
+    setSortConfig(settings.sortConfig);
+    setFilters(settings.filters);
+    setGroupBy(settings.groupBy);
+    setDensity(settings.density);
+    setSearch(settings.search);
+    setActiveMatchIndex(0);
+    pendingScrollRef.current = settings.scroll;
+  }, [appliedView, initialHeaders, setSortConfig]);
+
+  // Restores a view's scroll position after the render that applied it
+  useEffect(() => {
+    const scroll = pendingScrollRef.current;
+    if (!scroll || !bodyRef.current) return;
+    pendingScrollRef.current = null;
+    bodyRef.current.scrollTop = scroll.top;
+    bodyRef.current.scrollLeft = scroll.left;
+  });
 
   /**
    * Optimized scroll handler using passive events and minimal state updates
@@ -194,157 +614,1197 @@ const DataGrid = React.memo(({ data, headers: initialHeaders }) => {
     };
   }, [handleScroll, bodyRef.current, headerRef.current]);
 
-  // 3-state column sorting with memoized callback
-  const handleSort = useCallback((key) => {
-    setSortConfig((prevConfig) => {
-      if (prevConfig.key === key) {
-        if (prevConfig.direction === "asc") {
-          return { key, direction: "desc" };
-        } else if (prevConfig.direction === "desc") {
-          return { key: null, direction: "asc" };
-        }
+  // Report layout changes so the parent can persist and share them
+  useEffect(() => {
+    onViewChange?.(
+      getViewState({
+        headers,
+        sortConfig,
+        filters,
+        groupBy,
+        density,
+        search,
+        scroll: scrollPosition,
+      })
+    );
+  }, [
+    headers,
+    sortConfig,
+    filters,
+    groupBy,
+    density,
+    search,
+    scrollPosition,
+    onViewChange,
+  ]);
+
+  // Sort and row count changes are only visible on screen, so they are
+  // announced too. Quick successions (typing in a filter) make one message.
+  const announceDebounced = useMemo(() => _.debounce(setAnnouncement, 500), []);
+  useEffect(() => () => announceDebounced.cancel(), [announceDebounced]);
+
+  const announcedSortRef = useRef(sortConfig);
+  useEffect(() => {
+    if (announcedSortRef.current === sortConfig) return;
+    announcedSortRef.current = sortConfig;
+    announceDebounced(describeSort(sortConfig, columnNames));
+  }, [sortConfig, columnNames, announceDebounced]);
+
+  const announcedCountRef = useRef({
+    shown: sortedData.length,
+    total: data.length,
+  });
+  useEffect(() => {
+    const previous = announcedCountRef.current;
+    announcedCountRef.current = {
+      shown: sortedData.length,
+      total: data.length,
+    };
+    // Rows streaming in while a file loads aren't worth announcing
+    if (
+      previous.total !== data.length ||
+      previous.shown === sortedData.length
+    ) {
+      return;
+    }
+    announceDebounced(
+      `${sortedData.length.toLocaleString()} of ${data.length.toLocaleString()} rows`
+    );
+  }, [sortedData.length, data.length, announceDebounced]);
+
+  // 3-state column sorting; additive (Shift+click) sorts add secondary keys
+  const handleSort = useCallback(
+    (key, additive) => {
+      setSortConfig((prevConfig) =>
+        getNextSortConfig(prevConfig, key, additive)
+      );
+    },
+    [setSortConfig]
+  );
+
+  // Column resizing with memoized callback
+  // The width is kept in state either way, for columns that controlled
+  // widths leave out
+  const handleColumnResize = useCallback(
+    (columnId, newWidth) => {
+      setHeaders((prevHeaders) =>
+        prevHeaders.map((header) =>
+          header.id === columnId ? { ...header, width: newWidth } : header
+        )
+      );
+      onColumnResize?.(columnId, newWidth);
+    },
+    [onColumnResize]
+  );
+
+  // Keyboard resizing from a focused resize handle: arrows change the
+  // width (by more with Shift), Home/End jump to the narrowest/widest
+  const handleResizeKeyDown = useCallback(
+    (e, header) => {
+      const step = e.shiftKey ? 50 : 10;
+      const widths = {
+        ArrowLeft: header.width - step,
+        ArrowRight: header.width + step,
+        Home: getMinWidth(header),
+        End: getMaxWidth(header),
+      };
+      if (!(e.key in widths)) return;
+
+      // Keep the grid's own navigation from handling the key too
+      e.preventDefault();
+      e.stopPropagation();
+      handleColumnResize(header.id, clampColumnWidth(header, widths[e.key]));
+    },
+    [handleColumnResize]
+  );
+
+  // Modify the onClick handler to check for resizing
+  const handleHeaderClick = useCallback(
+    (e, header) => {
+      if (!isResizingRef.current && header.sortable) {
+        handleSort(header.id, e.shiftKey);
+      }
+    },
+    [handleSort]
+  );
+
+  const handleSearchChange = useCallback((changes) => {
+    setSearch((prev) => ({ ...prev, ...changes }));
+    setActiveMatchIndex(0);
+    scrollToMatchRef.current = true;
+  }, []);
+
+  const handleNextMatch = useCallback(() => {
+    if (matches.length === 0) return;
+    setActiveMatchIndex((index) => (index + 1) % matches.length);
+    scrollToMatchRef.current = true;
+  }, [matches.length]);
+
+  const handlePreviousMatch = useCallback(() => {
+    if (matches.length === 0) return;
+    setActiveMatchIndex(
+      (index) => (index - 1 + matches.length) % matches.length
+    );
+    scrollToMatchRef.current = true;
+  }, [matches.length]);
+
+  /**
+   * Scrolls the body so a cell is fully visible. With `center`, a cell that
+   * is out of view is brought to the middle of the viewport instead of just
+   * past the nearest edge. Rendering follows through the scroll handler.
+   */
+  const scrollCellIntoView = useCallback(
+    (rowIndex, columnIndex, center = false) => {
+      const body = bodyRef.current;
+      if (!body) return;
+
+      const rowTop = rowHeights.getOffset(rowIndex);
+      const height = rowHeights.getHeight(rowIndex);
+      if (rowTop < body.scrollTop) {
+        body.scrollTop = center
+          ? rowTop - body.clientHeight / 2 + height / 2
+          : rowTop;
+      } else if (rowTop + height > body.scrollTop + body.clientHeight) {
+        body.scrollTop = center
+          ? rowTop - body.clientHeight / 2 + height / 2
+          : rowTop + height - body.clientHeight;
+      }
+
+      // Pinned cells are always in view horizontally
+      const column = columns[columnIndex];
+      if (!column || column.pinned) return;
+
+      // Pinned columns cover the edges of the viewport
+      const pinned = getPinnedWidths(columns);
+      const viewLeft = body.scrollLeft + pinned.left;
+      const viewWidth = body.clientWidth - pinned.left - pinned.right;
+      const cellLeft = _.sumBy(columns.slice(0, columnIndex), "width");
+      const cellWidth = column.width;
+
+      if (cellLeft < viewLeft) {
+        body.scrollLeft =
+          (center ? cellLeft - (viewWidth - cellWidth) / 2 : cellLeft) -
+          pinned.left;
+      } else if (cellLeft + cellWidth > viewLeft + viewWidth) {
+        body.scrollLeft =
+          (center
+            ? cellLeft - (viewWidth - cellWidth) / 2
+            : cellLeft + cellWidth - viewWidth) - pinned.left;
+      }
+    },
+    [columns, rowHeights]
+  );
+
+  // Scroll the body so the active match is visible. Only runs after the user
+  // searched or navigated, so rows streaming in don't yank the view around.
+  useEffect(() => {
+    if (!scrollToMatchRef.current || !activeMatch) return;
+    scrollToMatchRef.current = false;
+
+    scrollCellIntoView(
+      activeMatch.rowIndex,
+      _.findIndex(columns, { id: activeMatch.columnId }),
+      true
+    );
+  }, [activeMatch, columns, scrollCellIntoView]);
+
+  // Position (relative to the grid) for a popover below a header cell
+  const getPopoverPosition = useCallback((e, columnId) => {
+    const cellRect = e.currentTarget
+      .closest(".data-grid-header-cell")
+      .getBoundingClientRect();
+    const containerRect = containerRef.current.getBoundingClientRect();
+
+    return {
+      columnId,
+      left: _.clamp(
+        cellRect.left - containerRect.left,
+        0,
+        Math.max(0, containerRect.width - 260)
+      ),
+      top: cellRect.bottom - containerRect.top,
+    };
+  }, []);
+
+  // Opens the filter popover below the clicked header cell
+  const handleFilterButtonClick = useCallback(
+    (e, header) => {
+      e.stopPropagation();
+      const position = getPopoverPosition(e, header.id);
+      setOpenMenu(null);
+      setOpenFilter((prev) => (prev?.columnId === header.id ? null : position));
+    },
+    [getPopoverPosition]
+  );
+
+  // Opens the column options menu below the clicked header cell
+  const handleMenuButtonClick = useCallback(
+    (e, header) => {
+      e.stopPropagation();
+      const position = getPopoverPosition(e, header.id);
+      setOpenFilter(null);
+      setOpenMenu((prev) => (prev?.columnId === header.id ? null : position));
+    },
+    [getPopoverPosition]
+  );
+
+  const handleMenuClose = useCallback(() => setOpenMenu(null), []);
+
+  // Opens the profiling panel for a column, or closes it if already shown
+  const handleProfileButtonClick = useCallback((e, header) => {
+    e.stopPropagation();
+    setShowIssues(false);
+    setProfileColumnId((prev) => (prev === header.id ? null : header.id));
+  }, []);
+
+  const handleShowProfile = useCallback((columnId) => {
+    setShowIssues(false);
+    setProfileColumnId(columnId);
+    setOpenMenu(null);
+  }, []);
+
+  const handleProfileClose = useCallback(() => setProfileColumnId(null), []);
+
+  // The issues panel shares the side of the grid with the profile panel
+  const handleIssuesToggle = useCallback(() => {
+    setProfileColumnId(null);
+    setShowIssues((show) => !show);
+  }, []);
+
+  const handleIssuesClose = useCallback(() => setShowIssues(false), []);
+
+  // Selects the first cell of the row an issue was found in and scrolls
+  // to it. Rows hidden by filters or collapsed groups can't be shown.
+  const handleSelectIssue = useCallback(
+    (error) => {
+      const index = displayRows.indexOf(computedData[error.row]);
+      if (index === -1) return;
+      setSelection(createSelection({ row: index, col: 0 }));
+      scrollCellIntoView(index, 0, true);
+      gridRef.current?.focus({ preventScroll: true });
+    },
+    [displayRows, computedData, scrollCellIntoView, setSelection]
+  );
+
+  // Overrides the detected type of a column
+  const handleColumnTypeChange = useCallback((columnId, type) => {
+    setHeaders((prevHeaders) =>
+      prevHeaders.map((header) =>
+        header.id === columnId
+          ? {
+              ...header,
+              type,
+              // Sums and averages don't apply to text columns
+              aggregate: getAggregatesForType(type).some(
+                (aggregate) => aggregate.id === header.aggregate
+              )
+                ? header.aggregate
+                : undefined,
+            }
+          : header
+      )
+    );
+    // Operators differ between number and text filters, so drop the filter
+    // if the change moves the column to the other kind
+    setFilters((prev) => _.omit(prev, columnId));
+    setOpenMenu(null);
+  }, []);
+
+  // Toggles wrapping long text onto several lines in a column
+  const handleWrapToggle = useCallback((columnId) => {
+    setHeaders((prevHeaders) =>
+      prevHeaders.map((header) =>
+        header.id === columnId ? { ...header, wrap: !header.wrap } : header
+      )
+    );
+    setOpenMenu(null);
+  }, []);
+
+  // Pins a column to the left or right edge, or unpins it (side = null)
+  const handlePinChange = useCallback((columnId, side) => {
+    setHeaders((prevHeaders) =>
+      prevHeaders.map((header) =>
+        header.id === columnId ? { ...header, pinned: side } : header
+      )
+    );
+    setOpenMenu(null);
+  }, []);
+
+  // Groups are keyed by their values, so a different grouping starts with
+  // every group expanded. Row positions no longer line up, so the selection
+  // and any edit in progress are dropped too.
+  const handleGroupByChange = useCallback(
+    (nextGroupBy) => {
+      setGroupBy(nextGroupBy);
+      setCollapsedGroups(new Set());
+      setSelection(null);
+      setEditingCell(null);
+    },
+    [setSelection]
+  );
+
+  // Adds a column to the grouping columns, or removes it
+  const handleGroupToggle = useCallback(
+    (columnId) => {
+      handleGroupByChange(
+        groupBy.includes(columnId)
+          ? groupBy.filter((id) => id !== columnId)
+          : [...groupBy, columnId]
+      );
+      setOpenMenu(null);
+    },
+    [groupBy, handleGroupByChange]
+  );
+
+  const handleToggleGroup = useCallback((key) => {
+    setCollapsedGroups((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
       }
-      return { key, direction: "asc" };
+      return next;
     });
   }, []);
 
-  // Column resizing with memoized callback
-  const handleColumnResize = useCallback((columnId, newWidth) => {
+  const handleExpandAll = useCallback(() => setCollapsedGroups(new Set()), []);
+
+  const handleCollapseAll = useCallback(
+    () => setCollapsedGroups(new Set(groupKeys)),
+    [groupKeys]
+  );
+
+  // Sets the aggregate shown in group rows for a column (null for none)
+  const handleAggregateChange = useCallback((columnId, aggregate) => {
     setHeaders((prevHeaders) =>
       prevHeaders.map((header) =>
-        header.id === columnId ? { ...header, width: newWidth } : header
+        header.id === columnId
+          ? { ...header, aggregate: aggregate || undefined }
+          : header
       )
     );
+    setOpenMenu(null);
   }, []);
 
-  // Modify the onClick handler to check for resizing
-  const handleHeaderClick = useCallback(
-    (header) => {
-      if (!isResizingRef.current && header.sortable) {
-        handleSort(header.id);
+  // A header dropped on the grouping bar groups by its column; dropped on
+  // another header, it moves the column there
+  const handleHeaderDragStart = useCallback((e, header) => {
+    e.dataTransfer.setData(COLUMN_DRAG_TYPE, header.id);
+    e.dataTransfer.effectAllowed = "linkMove";
+    draggedColumnRef.current = header.id;
+  }, []);
+
+  const handleHeaderDragEnd = useCallback(() => {
+    draggedColumnRef.current = null;
+    setColumnDropTarget(null);
+  }, []);
+
+  const handleHeaderDragOver = useCallback((e, header) => {
+    if (!draggedColumnRef.current) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+    const side = getDropSide(e);
+    setColumnDropTarget((prev) =>
+      prev?.columnId === header.id && prev.side === side
+        ? prev
+        : { columnId: header.id, side }
+    );
+  }, []);
+
+  const handleHeaderDrop = useCallback((e, header) => {
+    const columnId = draggedColumnRef.current;
+    if (!columnId) return;
+    e.preventDefault();
+    const side = getDropSide(e);
+    setHeaders((prev) => moveColumn(prev, columnId, header.id, side));
+    setColumnDropTarget(null);
+  }, []);
+
+  // Scrolls the header (and the body along with it) while a column is
+  // dragged near either edge, so it can be dropped anywhere
+  const handleHeaderRowDragOver = useCallback((e) => {
+    const header = headerRef.current;
+    if (!draggedColumnRef.current || !header) return;
+    const rect = header.getBoundingClientRect();
+    if (e.clientX < rect.left + DRAG_SCROLL_EDGE) {
+      header.scrollLeft -= DRAG_SCROLL_STEP;
+    } else if (e.clientX > rect.right - DRAG_SCROLL_EDGE) {
+      header.scrollLeft += DRAG_SCROLL_STEP;
+    }
+  }, []);
+
+  const handleHeaderRowDragLeave = useCallback((e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setColumnDropTarget(null);
+  }, []);
+
+  const handleColumnVisibilityChange = useCallback((columnId, visible) => {
+    setHeaders((prev) => setColumnHidden(prev, columnId, !visible));
+  }, []);
+
+  const handleShowAllColumns = useCallback(() => {
+    setHeaders(showAllColumns);
+  }, []);
+
+  const handleResetColumns = useCallback(() => {
+    setHeaders((prev) => resetColumnLayout(prev, initialHeaders));
+  }, [initialHeaders]);
+
+  const handleAddColumnClick = useCallback(
+    () => setFormulaEditor({ columnId: null }),
+    []
+  );
+
+  const handleEditFormula = useCallback((columnId) => {
+    setFormulaEditor({ columnId });
+    setOpenMenu(null);
+  }, []);
+
+  const handleFormulaCancel = useCallback(() => {
+    setFormulaEditor(null);
+    gridRef.current?.focus();
+  }, []);
+
+  // Adds the computed column from the formula editor, or updates the one
+  // being edited. Its values can change kind, so its filter is dropped.
+  const handleFormulaSave = useCallback(
+    ({ name, formula, type }) => {
+      const { columnId } = formulaEditor;
+      setHeaders((prev) =>
+        columnId
+          ? prev.map((header) =>
+              header.id === columnId
+                ? {
+                    ...header,
+                    name,
+                    formula,
+                    type,
+                    inferredType: type,
+                    aggregate: getAggregatesForType(type).some(
+                      (aggregate) => aggregate.id === header.aggregate
+                    )
+                      ? header.aggregate
+                      : undefined,
+                  }
+                : header
+            )
+          : [
+              ...prev,
+              createComputedHeader({
+                id: getComputedColumnId(prev),
+                name,
+                formula,
+                type,
+              }),
+            ]
+      );
+      if (columnId) setFilters((prev) => _.omit(prev, columnId));
+      setFormulaEditor(null);
+      gridRef.current?.focus();
+    },
+    [formulaEditor]
+  );
+
+  // Removes a computed column along with its sort, filter and grouping
+  const handleRemoveColumn = useCallback(
+    (columnId) => {
+      setHeaders((prev) => prev.filter((header) => header.id !== columnId));
+      setSortConfig((prev) => prev.filter((entry) => entry.key !== columnId));
+      setFilters((prev) => _.omit(prev, columnId));
+      if (groupBy.includes(columnId)) {
+        handleGroupByChange(groupBy.filter((id) => id !== columnId));
       }
+      setProfileColumnId((prev) => (prev === columnId ? null : prev));
+      setOpenMenu(null);
     },
-    [handleSort]
+    [groupBy, handleGroupByChange, setSortConfig]
+  );
+
+  const handleFilterApply = useCallback(
+    (filter) => {
+      setFilters((prev) =>
+        filter
+          ? { ...prev, [openFilter.columnId]: filter }
+          : _.omit(prev, openFilter.columnId)
+      );
+      setOpenFilter(null);
+    },
+    [openFilter]
+  );
+
+  const handleFilterClose = useCallback(() => setOpenFilter(null), []);
+
+  // Display position of a rendered cell element, from its data attributes
+  const getCellPosition = useCallback(
+    (cell) => {
+      const row = Number(cell.dataset.rowIndex);
+      const col = _.findIndex(columns, { id: cell.dataset.columnId });
+      return Number.isNaN(row) || col === -1 ? null : { row, col };
+    },
+    [columns]
+  );
+
+  const startEditing = useCallback(
+    (position) => {
+      const column = columns[position.col];
+      const row = displayRows[position.row];
+      if (!column || !row) return;
+      // Group rows aren't editable; "editing" one expands or collapses it
+      if (isGroupRow(row)) {
+        handleToggleGroup(getGroupInfo(row).key);
+        return;
+      }
+      // Computed cells are edited through their column's formula
+      if (isComputedColumn(column)) {
+        setFormulaEditor({ columnId: column.id });
+        return;
+      }
+      setEditingCell({ rowIndex: position.row, columnId: column.id });
+    },
+    [columns, displayRows, handleToggleGroup]
+  );
+
+  const handleCommitEdit = useCallback(
+    (text) => {
+      const { rowIndex, columnId } = editingCell;
+      const row = displayRows[rowIndex];
+      const dataIndex = getRowIndex(row);
+      const original = data[dataIndex]?.[columnId];
+      const before = row[columnId];
+      // Clearing a cell that was empty to begin with isn't a change
+      const after =
+        text === "" && isEmptyValue(original)
+          ? original
+          : parseEditorValue(text, columnTypes[columnId]);
+
+      dispatchEdit({
+        type: "edit",
+        rowIndex: dataIndex,
+        columnId,
+        before,
+        after,
+        original,
+      });
+      setEditingCell(null);
+      gridRef.current?.focus();
+    },
+    [editingCell, displayRows, getRowIndex, data, columnTypes]
   );
 
+  const handleCancelEdit = useCallback(() => {
+    setEditingCell(null);
+    gridRef.current?.focus();
+  }, []);
+
+  const handleDiscardChanges = useCallback(() => {
+    if (
+      window.confirm(
+        "Discard all edits and restore the data as originally loaded?"
+      )
+    ) {
+      setEditingCell(null);
+      dispatchEdit({ type: "discard" });
+    }
+  }, []);
+
+  // Clicking a cell makes it active; Shift+click selects the range between
+  // the active cell and the clicked one
+  const handleBodyMouseDown = useCallback(
+    (e) => {
+      const cell = e.target.closest(".data-grid-cell");
+      if (!cell || e.target.closest("input, select, a")) return;
+      const position = getCellPosition(cell);
+      if (!position) return;
+
+      if (e.shiftKey) e.preventDefault(); // Don't select text
+      setSelection((prev) =>
+        e.shiftKey && prev
+          ? { anchor: prev.anchor, focus: position }
+          : createSelection(position)
+      );
+      gridRef.current?.focus({ preventScroll: true });
+    },
+    [getCellPosition, setSelection]
+  );
+
+  // Double-click a cell to edit it
+  const handleBodyDoubleClick = useCallback(
+    (e) => {
+      const cell = e.target.closest(".data-grid-cell");
+      const position = cell && getCellPosition(cell);
+      if (position) startEditing(position);
+    },
+    [getCellPosition, startEditing]
+  );
+
+  // Grid keyboard shortcuts: arrows/Page Up/Page Down/Home/End move the
+  // active cell (Shift extends the selection), Enter edits it, Ctrl+C copies
+  // the selection, Ctrl+Z/Ctrl+Y (or Ctrl+Shift+Z) undo and redo edits
+  const handleKeyDown = useCallback(
+    (e) => {
+      if (e.target.closest("input, select, textarea, button")) return;
+
+      if (displayRows.length > 0) {
+        // Navigating before anything was clicked starts from the first cell
+        const current = selection || createSelection({ row: 0, col: 0 });
+        const target = getNavigationTarget(e, current.focus, {
+          rowCount: displayRows.length,
+          colCount: columns.length,
+          pageSize: Math.max(1, visibleRowsCount - 1),
+        });
+
+        if (target) {
+          e.preventDefault();
+          setSelection(
+            e.shiftKey
+              ? { anchor: current.anchor, focus: target }
+              : createSelection(target)
+          );
+          scrollCellIntoView(target.row, target.col);
+          return;
+        }
+
+        if (e.key === "Enter" && selection) {
+          e.preventDefault();
+          startEditing(selection.focus);
+          return;
+        }
+      }
+
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+
+      if (key === "c" && selection) {
+        e.preventDefault();
+        copyText(
+          selectionToTSV(displayRows, columns, getSelectionRange(selection))
+        ).catch((error) => console.error("Error copying cells:", error));
+      } else if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        dispatchEdit({ type: "undo" });
+      } else if (key === "y" || (key === "z" && e.shiftKey)) {
+        e.preventDefault();
+        dispatchEdit({ type: "redo" });
+      }
+    },
+    [
+      selection,
+      setSelection,
+      displayRows,
+      columns,
+      visibleRowsCount,
+      scrollCellIntoView,
+      startEditing,
+    ]
+  );
+
+  const handleBodyClick = useCallback(
+    (e) => {
+      const rowElement = e.target.closest(".data-grid-row");
+      const row =
+        rowElement && displayRows[Number(rowElement.dataset.rowIndex)];
+      if (!row || isGroupRow(row)) return;
+      onRowClick?.(row, getRowIndex(row), e);
+    },
+    [displayRows, getRowIndex, onRowClick]
+  );
+
+  // Imperative API for embedding apps. Rows and columns are positions in
+  // display order (sorted and filtered rows, visible columns).
+  useImperativeHandle(
+    ref,
+    () => ({
+      // Scrolls so the row is at the top of the viewport
+      scrollToRow(index) {
+        if (!bodyRef.current || displayRows.length === 0) return;
+        bodyRef.current.scrollTop = rowHeights.getOffset(
+          _.clamp(index, 0, displayRows.length - 1)
+        );
+      },
+      // Scrolls so the column (id or index) follows the left-pinned ones
+      scrollToColumn(column) {
+        const index =
+          typeof column === "number"
+            ? column
+            : _.findIndex(columns, { id: column });
+        if (!bodyRef.current || !columns[index] || columns[index].pinned) {
+          return;
+        }
+        bodyRef.current.scrollLeft =
+          _.sumBy(columns.slice(0, index), "width") -
+          getPinnedWidths(columns).left;
+      },
+      // First and last row and column at least partly in view
+      getVisibleRange() {
+        const body = bodyRef.current;
+        if (!body || displayRows.length === 0 || columns.length === 0) {
+          return null;
+        }
+        // Left edge of every column
+        const columnOffsets = [];
+        let offset = 0;
+        for (const column of columns) {
+          columnOffsets.push(offset);
+          offset += column.width;
+        }
+        // Column under a horizontal position: the last one starting at or
+        // before it
+        const columnAt = (x) =>
+          Math.max(0, _.sortedLastIndex(columnOffsets, x) - 1);
+        const bottom = body.scrollTop + body.clientHeight - 1;
+        return {
+          startRow: rowHeights.findIndexAtOffset(body.scrollTop),
+          endRow: Math.min(
+            displayRows.length - 1,
+            rowHeights.findIndexAtOffset(bottom)
+          ),
+          startColumn: columnAt(body.scrollLeft),
+          endColumn: columnAt(body.scrollLeft + body.clientWidth - 1),
+        };
+      },
+      // The selection with the data rows and column ids it covers
+      getSelection() {
+        const range = getSelectionRange(selection);
+        if (!range) return null;
+        return {
+          ...selection,
+          range,
+          rows: displayRows
+            .slice(range.top, range.bottom + 1)
+            .filter((row) => !isGroupRow(row)),
+          columnIds: columns
+            .slice(range.left, range.right + 1)
+            .map((column) => column.id),
+        };
+      },
+      // Where the row at `rowIndex` in `data` is shown, or -1 when it's
+      // filtered out or in a collapsed group
+      getDisplayIndex(rowIndex) {
+        if (displayIndexesRef.current?.rows !== displayRows) {
+          const indexes = new Map();
+          displayRows.forEach((row, position) => {
+            if (!isGroupRow(row)) indexes.set(getRowIndex(row), position);
+          });
+          displayIndexesRef.current = { rows: displayRows, indexes };
+        }
+        return displayIndexesRef.current.indexes.get(rowIndex) ?? -1;
+      },
+    }),
+    [displayRows, columns, rowHeights, selection, getRowIndex]
+  );
+
+  const editedRowCount = Object.keys(editState.edits).length;
+
   // Empty state check
   if (_.isEmpty(data) || _.isEmpty(headers)) {
     return <div className="data-grid-empty">No data to display</div>;
   }
 
   return (
-    <div className="data-grid-container" ref={containerRef}>
-      {/* Header with synchronized scrolling */}
+    <div
+      className={`data-grid-container density-${density}`}
+      ref={containerRef}
+      onKeyDown={handleKeyDown}
+    >
+      <div className="data-grid-toolbar">
+        <SearchBar
+          search={search}
+          onSearchChange={handleSearchChange}
+          matchCount={matches.length}
+          activeMatchIndex={Math.min(activeMatchIndex, matches.length - 1)}
+          onNext={handleNextMatch}
+          onPrevious={handlePreviousMatch}
+        />
+        <GroupByBar
+          groupBy={groupBy}
+          headers={headers}
+          onGroupByChange={handleGroupByChange}
+          onExpandAll={handleExpandAll}
+          onCollapseAll={handleCollapseAll}
+        />
+        <label className="density-select">
+          Density
+          <select value={density} onChange={(e) => setDensity(e.target.value)}>
+            <option value="compact">Compact</option>
+            <option value="normal">Normal</option>
+            <option value="comfortable">Comfortable</option>
+          </select>
+        </label>
+        <button
+          className="add-column-button"
+          onClick={handleAddColumnClick}
+          title="Add a column computed from the others with a formula"
+        >
+          ƒx Add column
+        </button>
+        <ColumnChooser
+          headers={orderPinnedColumns(headers)}
+          onVisibilityChange={handleColumnVisibilityChange}
+          onShowAll={handleShowAllColumns}
+          onReset={handleResetColumns}
+        />
+        <ExportMenu rows={sortedData} headers={columns} fileName={fileName} />
+        {issues?.errorCount > 0 && (
+          <button
+            className={`issues-button ${showIssues ? "active" : ""}`}
+            onClick={handleIssuesToggle}
+            title="Rows the parser had problems with"
+          >
+            ⚠ {issues.errorCount.toLocaleString()}{" "}
+            {issues.errorCount === 1 ? "issue" : "issues"}
+          </button>
+        )}
+        <div className="edit-actions">
+          <button
+            onClick={() => dispatchEdit({ type: "undo" })}
+            disabled={editState.undoStack.length === 0}
+            title="Undo (Ctrl+Z)"
+          >
+            Undo
+          </button>
+          <button
+            onClick={() => dispatchEdit({ type: "redo" })}
+            disabled={editState.redoStack.length === 0}
+            title="Redo (Ctrl+Y)"
+          >
+            Redo
+          </button>
+          <button
+            onClick={handleDiscardChanges}
+            disabled={editedRowCount === 0}
+          >
+            Discard changes
+            {editedRowCount > 0 &&
+              ` (${editedRowCount.toLocaleString()} ${
+                editedRowCount === 1 ? "row" : "rows"
+              })`}
+          </button>
+        </div>
+      </div>
+
+      {/* Header and body make up the grid for assistive technology. Row
+          and column counts cover the whole data set, not just the rendered
+          part, and the header row counts as row 1. */}
       <div
-        className="data-grid-header-container"
-        ref={headerRef}
-        style={{ overflowX: "auto" }}
+        className="data-grid-table"
+        ref={gridRef}
+        role="grid"
+        aria-label={fileName || "Data"}
+        aria-rowcount={displayRows.length + 1}
+        aria-colcount={columns.length}
+        aria-multiselectable="true"
+        aria-activedescendant={
+          selection
+            ? getCellId(gridId, selection.focus.row, selection.focus.col)
+            : undefined
+        }
+        // Keeps keyboard focus for navigation while cells are virtualized
+        tabIndex={0}
       >
+        {/* Header with synchronized scrolling */}
+        <div
+          className="data-grid-header-container"
+          ref={headerRef}
+          style={{ overflowX: "auto" }}
+          onDragOver={handleHeaderRowDragOver}
+          onDragLeave={handleHeaderRowDragLeave}
+        >
+          <div
+            className="data-grid-header"
+            role="row"
+            aria-rowindex={1}
+            style={{
+              width: totalColumnsWidth,
+              willChange: "transform", // Hint to browser for GPU acceleration
+            }}
+          >
+            {renderedColumns.map(
+              ({ spacer, key, width, column: header, index }) =>
+                spacer ? (
+                  <div
+                    key={key}
+                    className="data-grid-column-spacer"
+                    style={{ width }}
+                    aria-hidden="true"
+                  />
+                ) : (
+                  <div
+                    key={header.id}
+                    className={`data-grid-header-cell ${
+                      header.sortable ? "sortable" : ""
+                    } ${getPinnedClassName(header)} ${
+                      columnDropTarget?.columnId === header.id
+                        ? `drop-${columnDropTarget.side}`
+                        : ""
+                    }`}
+                    style={getColumnStyle(header)}
+                    role="columnheader"
+                    aria-colindex={index + 1}
+                    aria-sort={
+                      sortConfig[0]?.key !== header.id
+                        ? undefined
+                        : sortConfig[0].direction === "asc"
+                          ? "ascending"
+                          : "descending"
+                    }
+                    draggable
+                    onDragStart={(e) => handleHeaderDragStart(e, header)}
+                    onDragEnd={handleHeaderDragEnd}
+                    onDragOver={(e) => handleHeaderDragOver(e, header)}
+                    onDrop={(e) => handleHeaderDrop(e, header)}
+                    onClick={(e) => handleHeaderClick(e, header)}
+                    title={
+                      header.sortable
+                        ? "Shift+click to sort by several columns, drag to move or group"
+                        : "Drag to move or group"
+                    }
+                  >
+                    <div className="header-content">
+                      <span
+                        className="header-type-icon"
+                        title={getColumnTypeInfo(columnTypes[header.id]).label}
+                      >
+                        {getColumnTypeInfo(columnTypes[header.id]).icon}
+                      </span>
+                      <span className="header-name">
+                        {header.renderHeader
+                          ? header.renderHeader(header)
+                          : header.name}
+                      </span>
+                      {sortConfig.map(
+                        (entry, priority) =>
+                          entry.key === header.id && (
+                            <span className="sort-icon" key={entry.key}>
+                              {entry.direction === "asc" ? "▲" : "▼"}
+                              {sortConfig.length > 1 && (
+                                <sup className="sort-priority">
+                                  {priority + 1}
+                                </sup>
+                              )}
+                            </span>
+                          )
+                      )}
+                      <button
+                        className={`filter-button ${
+                          compileFilter(
+                            filters[header.id],
+                            getFilterKind(columnTypes[header.id])
+                          )
+                            ? "active"
+                            : ""
+                        }`}
+                        title="Filter"
+                        onClick={(e) => handleFilterButtonClick(e, header)}
+                      >
+                        ⏷
+                      </button>
+                      <button
+                        className={`profile-button ${
+                          profileColumnId === header.id ? "active" : ""
+                        }`}
+                        title="Column profile"
+                        onClick={(e) => handleProfileButtonClick(e, header)}
+                      >
+                        ▥
+                      </button>
+                      <button
+                        className="header-menu-button"
+                        title="Column options"
+                        onClick={(e) => handleMenuButtonClick(e, header)}
+                      >
+                        ⋮
+                      </button>
+                    </div>
+                    {header.resizable && (
+                      <div
+                        className="resize-handle"
+                        role="separator"
+                        aria-orientation="vertical"
+                        aria-label={`Resize ${header.name}`}
+                        aria-valuenow={header.width}
+                        aria-valuemin={getMinWidth(header)}
+                        aria-valuemax={getMaxWidth(header)}
+                        tabIndex={0}
+                        onKeyDown={(e) => handleResizeKeyDown(e, header)}
+                        onMouseDown={(e) => {
+                          isResizingRef.current = true; // Set resizing state
+                          const startX = e.clientX;
+                          const startWidth = header.width;
+                          const containerRect =
+                            containerRef.current.getBoundingClientRect();
+
+                          const handleMouseMove = (moveEvent) => {
+                            const diff = moveEvent.clientX - startX;
+                            const newWidth = clampColumnWidth(
+                              header,
+                              startWidth + diff
+                            );
+
+                            handleColumnResize(header.id, newWidth);
+
+                            // Auto-scroll when resizing to the edge of the container
+                            if (
+                              moveEvent.clientX > containerRect.right - 20 &&
+                              headerRef.current.scrollLeft <
+                                headerRef.current.scrollWidth -
+                                  headerRef.current.clientWidth
+                            ) {
+                              headerRef.current.scrollLeft += 10;
+                            }
+                          };
+
+                          const handleMouseUp = () => {
+                            // Add a small delay before setting isResizingRef to false
+                            // This prevents click events from being processed immediately after resize
+                            setTimeout(() => {
+                              isResizingRef.current = false; // Reset resizing state after delay
+                            }, 50); // 50ms delay is usually sufficient
+
+                            document.removeEventListener(
+                              "mousemove",
+                              handleMouseMove
+                            );
+                            document.removeEventListener(
+                              "mouseup",
+                              handleMouseUp
+                            );
+                          };
+
+                          // Use capture phase for mouse events for more reliable tracking
+                          document.addEventListener(
+                            "mousemove",
+                            handleMouseMove,
+                            {
+                              passive: false,
+                            }
+                          );
+                          document.addEventListener("mouseup", handleMouseUp);
+
+                          e.preventDefault();
+                          e.stopPropagation();
+                        }}
+                      />
+                    )}
+                  </div>
+                )
+            )}
+          </div>
+        </div>
+
+        {/* Body with virtualized rows for performance */}
         <div
-          className="data-grid-header"
+          className="data-grid-body-container"
+          ref={bodyRef}
+          onMouseDown={handleBodyMouseDown}
+          onClick={handleBodyClick}
+          onDoubleClick={handleBodyDoubleClick}
           style={{
-            width: totalColumnsWidth,
-            willChange: "transform", // Hint to browser for GPU acceleration
+            flex: 1,
+            minHeight: "100px",
+            position: "relative",
+            overflowY: "auto",
+            overflowX: "auto",
+            WebkitOverflowScrolling: "touch", // Smooth scrolling on iOS
           }}
         >
-          {headers.map((header) => (
-            <div
-              key={header.id}
-              className={`data-grid-header-cell ${
-                header.sortable ? "sortable" : ""
-              }`}
-              style={{ width: header.width }}
-              onClick={() => handleHeaderClick(header)}
-            >
-              <div className="header-content">
-                <span>{header.name}</span>
-                {sortConfig.key === header.id && (
-                  <span className="sort-icon">
-                    {sortConfig.direction === "asc" ? "▲" : "▼"}
-                  </span>
-                )}
-              </div>
-              {header.resizable && (
-                <div
-                  className="resize-handle"
-                  onMouseDown={(e) => {
-                    isResizingRef.current = true; // Set resizing state
-                    const startX = e.clientX;
-                    const startWidth = header.width;
-                    const containerRect =
-                      containerRef.current.getBoundingClientRect();
-
-                    const handleMouseMove = (moveEvent) => {
-                      const diff = moveEvent.clientX - startX;
-                      const newWidth = _.clamp(startWidth + diff, 50, 500);
-
-                      handleColumnResize(header.id, newWidth);
-
-                      // Auto-scroll when resizing to the edge of the container
-                      if (
-                        moveEvent.clientX > containerRect.right - 20 &&
-                        headerRef.current.scrollLeft <
-                          headerRef.current.scrollWidth -
-                            headerRef.current.clientWidth
-                      ) {
-                        headerRef.current.scrollLeft += 10;
-                      }
-                    };
-
-                    const handleMouseUp = () => {
-                      // Add a small delay before setting isResizingRef to false
-                      // This prevents click events from being processed immediately after resize
-                      setTimeout(() => {
-                        isResizingRef.current = false; // Reset resizing state after delay
-                      }, 50); // 50ms delay is usually sufficient
-
-                      document.removeEventListener(
-                        "mousemove",
-                        handleMouseMove
-                      );
-                      document.removeEventListener("mouseup", handleMouseUp);
-                    };
-
-                    // Use capture phase for mouse events for more reliable tracking
-                    document.addEventListener("mousemove", handleMouseMove, {
-                      passive: false,
-                    });
-                    document.addEventListener("mouseup", handleMouseUp);
-
-                    e.preventDefault();
-                    e.stopPropagation();
-                  }}
-                />
-              )}
-            </div>
-          ))}
+          <VirtualizedRows
+            data={displayRows}
+            columns={renderedColumns}
+            visibleRowsCount={visibleRowsCount}
+            viewportHeight={dimensions.height}
+            rowHeights={rowHeights}
+            onScrollAdjust={handleScrollAdjust}
+            scrollTop={scrollPosition.top}
+            totalWidth={totalColumnsWidth}
+            search={search}
+            activeMatch={activeMatch}
+            getRowEdits={getRowEdits}
+            getRowIssues={getRowIssues}
+            getRowClassName={getRowClassName}
+            selection={selection}
+            editingCell={editingCell}
+            columnTypes={columnTypes}
+            columnNames={columnNames}
+            onCommitEdit={handleCommitEdit}
+            onCancelEdit={handleCancelEdit}
+            onToggleGroup={handleToggleGroup}
+            gridId={gridId}
+          />
         </div>
       </div>
 
-      {/* Body with virtualized rows for performance */}
-      <div
-        className="data-grid-body-container"
-        ref={bodyRef}
-        style={{
-          flex: 1,
-          minHeight: "100px",
-          position: "relative",
-          overflowY: "auto",
-          overflowX: "auto",
-          WebkitOverflowScrolling: "touch", // Smooth scrolling on iOS
-        }}
-      >
-        <VirtualizedRows
-          data={sortedData}
+      {openMenu && (
+        <HeaderMenu
+          header={_.find(headers, { id: openMenu.columnId })}
+          type={columnTypes[openMenu.columnId]}
+          position={openMenu}
+          onTypeChange={handleColumnTypeChange}
+          onPinChange={handlePinChange}
+          onWrapToggle={handleWrapToggle}
+          isGrouped={groupBy.includes(openMenu.columnId)}
+          onGroupToggle={handleGroupToggle}
+          onAggregateChange={handleAggregateChange}
+          onShowProfile={handleShowProfile}
+          onEditFormula={handleEditFormula}
+          onRemove={handleRemoveColumn}
+          onClose={handleMenuClose}
+        />
+      )}
+
+      {formulaEditor && (
+        <FormulaEditor
+          column={_.find(headers, { id: formulaEditor.columnId })}
           headers={headers}
-          visibleRowsCount={visibleRowsCount}
-          scrollTop={scrollPosition.top}
-          totalWidth={totalColumnsWidth}
+          columnTypes={columnTypes}
+          rows={editedData}
+          onSave={handleFormulaSave}
+          onCancel={handleFormulaCancel}
         />
-      </div>
+      )}
+
+      {profileColumnId && (
+        <ColumnProfilePanel
+          header={_.find(headers, { id: profileColumnId })}
+          type={columnTypes[profileColumnId]}
+          rows={filteredData}
+          onClose={handleProfileClose}
+        />
+      )}
+
+      {showIssues && (
+        <IssuesPanel
+          issues={issues}
+          excludeRows={excludeIssueRows}
+          onExcludeRowsChange={setExcludeIssueRows}
+          onSelectIssue={handleSelectIssue}
+          onClose={handleIssuesClose}
+        />
+      )}
+
+      {openFilter && (
+        <FilterPopover
+          key={openFilter.columnId}
+          header={_.find(headers, { id: openFilter.columnId })}
+          kind={getFilterKind(columnTypes[openFilter.columnId])}
+          data={computedData}
+          filter={filters[openFilter.columnId]}
+          position={openFilter}
+          onApply={handleFilterApply}
+          onClose={handleFilterClose}
+        />
+      )}
 
       <div className="data-grid-footer">
-        {data.length.toLocaleString()} rows
+        {sortedData.length.toLocaleString()} of {data.length.toLocaleString()}{" "}
+        rows
+        {groupBy.length > 0 &&
+          ` in ${groupKeys.length.toLocaleString()} ${
+            groupKeys.length === 1 ? "group" : "groups"
+          }`}
+      </div>
+
+      <div className="visually-hidden" role="status">
+        {announcement}
       </div>
     </div>
   );
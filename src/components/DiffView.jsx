@@ -0,0 +1,501 @@
+import { useState, useRef, useEffect, useMemo, useId } from "react";
+import _ from "lodash";
+import "./DataGrid.css";
+import DataGrid from "./DataGrid";
+import ImportDialog from "./ImportDialog";
+import ErrorBanner from "./ErrorBanner";
+import { renderCellValue } from "./CellRenderers";
+import { readCSVFile } from "../utils/csvFile";
+import { DIFF_STATUSES, compareColumns } from "../utils/diff";
+import { createSelection } from "../utils/selection";
+
+// Wait for the key columns to settle before comparing again
+const DIFF_DELAY = 300;
+
+// Column showing each row's change, and the key its diff entry is kept
+// under on the row (symbols survive edits and aren't exported)
+const STATUS_COLUMN = "__diff_status";
+const DIFF_ENTRY = Symbol("diffEntry");
+
+const statusLabels = Object.fromEntries(
+  DIFF_STATUSES.map((status) => [status.id, status.label])
+);
+
+const renderStatus = (status) => (
+  <span className={`diff-status diff-status-${status}`}>
+    {statusLabels[status]}
+  </span>
+);
+
+// Changed cells show the old value struck through before the new one
+const renderDiffCell = (value, row, header) => {
+  const entry = row[DIFF_ENTRY];
+  if (!entry?.changed.has(header.id)) {
+    return renderCellValue(value, header.type);
+  }
+  const oldValue = entry.oldRow[header.id];
+  return (
+    <span title={`Was: ${oldValue ?? ""}`}>
+      <del className="diff-old-value">
+        {renderCellValue(oldValue, header.type)}
+      </del>{" "}
+      {renderCellValue(value, header.type)}
+    </span>
+  );
+};
+
+const getDiffCellClassName = (value, row, header) =>
+  row[DIFF_ENTRY]?.changed.has(header.id) ? "diff-changed-cell" : "";
+
+const getDiffRowClassName = (row) => `diff-row-${row[DIFF_ENTRY]?.status}`;
+
+const renderAddedHeader = (header) => (
+  <span className="diff-column-added" title="Only in the new file">
+    + {header.name}
+  </span>
+);
+
+const renderRemovedHeader = (header) => (
+  <span className="diff-column-removed" title="Only in the old file">
+    − {header.name}
+  </span>
+);
+
+const statusHeader = {
+  id: STATUS_COLUMN,
+  name: "Change",
+  type: "text",
+  width: 110,
+  minWidth: 80,
+  maxWidth: 200,
+  resizable: true,
+  sortable: true,
+  pinned: "left",
+  renderCell: renderStatus,
+};
+
+/**
+ * Compares the loaded table with a second file. Rows are matched by the
+ * key columns the user picks (see utils/diff.js) and shown in a DataGrid
+ * with a "Change" column: added and removed rows are tinted, and changed
+ * cells show their old value next to the new one. The comparison runs in
+ * a worker (see workers/csvDiff.worker.js) whenever the files or the keys
+ * change. `table` is { fileName, headers, rows }.
+ */
+const DiffView = ({ table, onClose }) => {
+  // The file to compare with, shaped like `table`
+  const [other, setOther] = useState(null);
+  // File picked but not imported yet, shown in the import options dialog
+  const [pendingFile, setPendingFile] = useState(null);
+  const [readingFile, setReadingFile] = useState(null);
+  const [readError, setReadError] = useState(null);
+  // Whether the loaded table is the new version rather than the old one
+  const [swapped, setSwapped] = useState(false);
+  const [keyColumns, setKeyColumns] = useState([]);
+  // Last comparison with the inputs it was computed from, so a stale one
+  // shows as "comparing" until the new one arrives
+  const [result, setResult] = useState(null);
+  const [changedOnly, setChangedOnly] = useState(false);
+  // Kept here so they survive the grid being remounted
+  const [sortConfig, setSortConfig] = useState([]);
+  const [selection, setSelection] = useState(null);
+  // Difference last stepped to: { number, total }
+  const [step, setStep] = useState(null);
+  const gridRef = useRef(null);
+  const abortRef = useRef(null);
+  const resultIdRef = useRef(0);
+  const fileInputId = useId();
+
+  // Stop reading the file if the comparison is closed meanwhile
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const before = swapped ? other : table;
+  const after = swapped ? table : other;
+
+  // Columns both files have, in the loaded table's order
+  const commonColumns = useMemo(
+    () =>
+      other
+        ? compareColumns(
+            other.headers.map((header) => header.id),
+            table.headers.map((header) => header.id)
+          ).commonColumns
+        : [],
+    [table.headers, other]
+  );
+
+  useEffect(() => {
+    if (!before || !after || keyColumns.length === 0) return;
+    let worker = null;
+
+    const timer = setTimeout(() => {
+      worker = new Worker(
+        new URL("../workers/csvDiff.worker.js", import.meta.url),
+        { type: "module" }
+      );
+      const finish = (outcome) => {
+        worker.terminate();
+        setResult({
+          ...outcome,
+          id: ++resultIdRef.current,
+          before,
+          after,
+          keyColumns,
+        });
+        setSelection(null);
+        setStep(null);
+      };
+
+      worker.onmessage = ({ data: message }) => {
+        if (message.type === "diff") {
+          finish({ diff: message.diff, error: null });
+        } else {
+          finish({ diff: null, error: message.message });
+        }
+      };
+      worker.onerror = (event) => {
+        finish({ diff: null, error: event.message });
+      };
+
+      worker.postMessage({
+        oldColumns: before.headers.map((header) => header.id),
+        oldRows: before.rows,
+        newColumns: after.headers.map((header) => header.id),
+        newRows: after.rows,
+        keyColumns,
+      });
+    }, DIFF_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      worker?.terminate();
+    };
+  }, [before, after, keyColumns]);
+
+  const handleFileChange = (event) => {
+    const file = event.target.files[0];
+    // Allow picking the same file again after a cancel
+    event.target.value = "";
+    if (file) setPendingFile(file);
+  };
+
+  const handleImport = async (options) => {
+    const file = pendingFile;
+    setPendingFile(null);
+    setReadError(null);
+    setReadingFile(file.name);
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    try {
+      const { headers, rows } = await readCSVFile(
+        { file, options },
+        { signal: controller.signal }
+      );
+      setOther({ fileName: file.name, headers, rows });
+      // Rows are matched by the first shared column until the user
+      // picks others
+      const shared = compareColumns(
+        headers.map((header) => header.id),
+        table.headers.map((header) => header.id)
+      ).commonColumns;
+      setKeyColumns(shared.slice(0, 1));
+      setResult(null);
+    } catch (error) {
+      if (error.name === "AbortError") return;
+      console.error("Error parsing CSV file:", error);
+      setReadError(`Error parsing ${file.name}: ${error.message}.`);
+    } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+        setReadingFile(null);
+      }
+    }
+  };
+
+  const handleKeyToggle = (column, checked) => {
+    setKeyColumns((prev) =>
+      checked
+        ? commonColumns.filter((id) => id === column || prev.includes(id))
+        : prev.filter((id) => id !== column)
+    );
+  };
+
+  const isCurrent =
+    result?.before === before &&
+    result.after === after &&
+    result.keyColumns === keyColumns;
+  const diff = isCurrent ? result.diff : null;
+
+  // One row per diff entry, with the values of both versions (the new
+  // ones where they overlap)
+  const diffRows = useMemo(() => {
+    if (!result?.diff) return [];
+    return result.diff.entries.map((entry) => {
+      const oldRow =
+        entry.oldIndex === null ? null : result.before.rows[entry.oldIndex];
+      const newRow =
+        entry.newIndex === null ? null : result.after.rows[entry.newIndex];
+      return {
+        ...oldRow,
+        ...newRow,
+        [STATUS_COLUMN]: entry.status,
+        [DIFF_ENTRY]: { ...entry, changed: new Set(entry.changed), oldRow },
+      };
+    });
+  }, [result]);
+
+  const shownRows = useMemo(
+    () =>
+      changedOnly
+        ? diffRows.filter((row) => row[DIFF_ENTRY].status !== "unchanged")
+        : diffRows,
+    [diffRows, changedOnly]
+  );
+
+  // Indexes in shownRows of the rows that differ
+  const differenceIndexes = useMemo(
+    () =>
+      shownRows.flatMap((row, index) =>
+        row[DIFF_ENTRY].status === "unchanged" ? [] : [index]
+      ),
+    [shownRows]
+  );
+
+  // The new file's columns, then the ones it no longer has
+  const diffHeaders = useMemo(() => {
+    if (!result?.diff) return [];
+    const added = new Set(result.diff.addedColumns);
+    const removed = new Set(result.diff.removedColumns);
+    const toDiffHeader = (header, renderHeader) => ({
+      ...header,
+      renderCell: renderDiffCell,
+      getCellClassName: getDiffCellClassName,
+      renderHeader,
+    });
+    return [
+      statusHeader,
+      ...result.after.headers.map((header) =>
+        toDiffHeader(
+          header,
+          added.has(header.id) ? renderAddedHeader : undefined
+        )
+      ),
+      ...result.before.headers
+        .filter((header) => removed.has(header.id))
+        .map((header) => toDiffHeader(header, renderRemovedHeader)),
+    ];
+  }, [result]);
+
+  // Selects the next (or previous) differing row in display order,
+  // wrapping around at either end
+  const goToDifference = (direction) => {
+    const grid = gridRef.current;
+    if (!grid) return;
+    const positions = _.sortBy(
+      differenceIndexes
+        .map((index) => grid.getDisplayIndex(index))
+        .filter((position) => position !== -1)
+    );
+    if (positions.length === 0) return;
+
+    const current = selection?.focus.row ?? -1;
+    const target =
+      direction > 0
+        ? (positions.find((position) => position > current) ?? positions[0])
+        : (_.findLast(positions, (position) => position < current) ??
+          positions.at(-1));
+    setSelection(createSelection({ row: target, col: 0 }));
+    grid.scrollToRow(target);
+    setStep({ number: positions.indexOf(target) + 1, total: positions.length });
+  };
+
+  const renderBody = () => {
+    if (readingFile) {
+      return <div className="loading">Reading {readingFile}...</div>;
+    }
+    if (!other) {
+      return (
+        <div className="empty-state">
+          <p>Choose a file to compare {table.fileName} with.</p>
+          <p>
+            Rows are matched by the key columns you pick, such as an id column.
+          </p>
+        </div>
+      );
+    }
+    if (commonColumns.length === 0) {
+      return (
+        <div className="empty-state">
+          <p>The files have no columns in common to match rows by.</p>
+        </div>
+      );
+    }
+    if (keyColumns.length === 0) {
+      return (
+        <div className="empty-state">
+          <p>Pick the columns that identify a row.</p>
+        </div>
+      );
+    }
+    if (!isCurrent) return <div className="loading">Comparing...</div>;
+    if (result.error) {
+      return (
+        <div className="empty-state">
+          <p>The files could not be compared: {result.error}</p>
+        </div>
+      );
+    }
+    return (
+      <DataGrid
+        key={`${result.id}-${changedOnly}`}
+        ref={gridRef}
+        data={shownRows}
+        headers={diffHeaders}
+        fileName={`${after.fileName.replace(/\.[^.]+$/, "")}-changes`}
+        sortConfig={sortConfig}
+        onSortChange={setSortConfig}
+        selection={selection}
+        onSelectionChange={setSelection}
+        getRowClassName={getDiffRowClassName}
+      />
+    );
+  };
+
+  return (
+    <div className="diff-view" role="region" aria-label="File comparison">
+      <div className="diff-toolbar">
+        <span className="diff-files">
+          Old:
+          <span className="diff-file" title="Old version">
+            {before ? before.fileName : "choose a file"}
+          </span>
+          <button
+            onClick={() => setSwapped((value) => !value)}
+            disabled={!other}
+            title="Swap the old and new versions"
+            aria-label="Swap the old and new versions"
+          >
+            ⇄
+          </button>
+          New:
+          <span className="diff-file" title="New version">
+            {after ? after.fileName : "choose a file"}
+          </span>
+        </span>
+        <input
+          type="file"
+          accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain"
+          onChange={handleFileChange}
+          className="file-input"
+          id={fileInputId}
+        />
+        <label htmlFor={fileInputId} className="file-input-label">
+          {other ? "Choose another file" : "Choose file"}
+        </label>
+        <button className="diff-close" onClick={onClose}>
+          Close comparison
+        </button>
+      </div>
+
+      {readError && (
+        <ErrorBanner message={readError} onDismiss={() => setReadError(null)} />
+      )}
+
+      {other && commonColumns.length > 0 && (
+        <fieldset className="diff-keys">
+          <legend>Match rows by</legend>
+          {commonColumns.map((column) => (
+            <label key={column} className="diff-key">
+              <input
+                type="checkbox"
+                checked={keyColumns.includes(column)}
+                onChange={(e) => handleKeyToggle(column, e.target.checked)}
+              />
+              {column}
+            </label>
+          ))}
+        </fieldset>
+      )}
+
+      {diff && (
+        <div className="diff-toolbar">
+          <span className="diff-summary" role="status">
+            {DIFF_STATUSES.map((status) => (
+              <span
+                key={status.id}
+                className={`diff-status diff-status-${status.id}`}
+              >
+                {diff.counts[status.id].toLocaleString()}{" "}
+                {status.label.toLowerCase()}
+              </span>
+            ))}
+          </span>
+          {diff.addedColumns.length > 0 && (
+            <span className="diff-columns">
+              Columns added: {diff.addedColumns.join(", ")}
+            </span>
+          )}
+          {diff.removedColumns.length > 0 && (
+            <span className="diff-columns">
+              Columns removed: {diff.removedColumns.join(", ")}
+            </span>
+          )}
+          {diff.duplicateKeys > 0 && (
+            <span
+              className="diff-warning"
+              title="Rows sharing a key are matched in file order"
+            >
+              ⚠ {diff.duplicateKeys.toLocaleString()}{" "}
+              {diff.duplicateKeys === 1 ? "key is" : "keys are"} not unique
+            </span>
+          )}
+          <span className="diff-navigation">
+            <label>
+              <input
+                type="checkbox"
+                checked={changedOnly}
+                onChange={(e) => {
+                  setChangedOnly(e.target.checked);
+                  setSelection(null);
+                  setStep(null);
+                }}
+              />
+              Changed rows only
+            </label>
+            <button
+              onClick={() => goToDifference(-1)}
+              disabled={differenceIndexes.length === 0}
+            >
+              ↑ Previous
+            </button>
+            <button
+              onClick={() => goToDifference(1)}
+              disabled={differenceIndexes.length === 0}
+            >
+              ↓ Next
+            </button>
+            {step && (
+              <span className="diff-step">
+                {step.number.toLocaleString()} of {step.total.toLocaleString()}
+              </span>
+            )}
+          </span>
+        </div>
+      )}
+
+      <div className="diff-grid">{renderBody()}</div>
+
+      {pendingFile && (
+        <ImportDialog
+          file={pendingFile}
+          onImport={handleImport}
+          onCancel={() => setPendingFile(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default DiffView;
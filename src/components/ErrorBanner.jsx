@@ -0,0 +1,19 @@
+import "./DataGrid.css";
+
+/**
+ * Inline error message with a button to dismiss it
+ */
+const ErrorBanner = ({ message, onDismiss }) => (
+  <div className="error-banner" role="alert">
+    <span className="error-banner-message">{message}</span>
+    <button
+      className="error-banner-dismiss"
+      title="Dismiss"
+      onClick={onDismiss}
+    >
+      ×
+    </button>
+  </div>
+);
+
+export default ErrorBanner;
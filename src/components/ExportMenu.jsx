@@ -0,0 +1,69 @@
+import { useState, useRef, useEffect } from "react";
+import "./DataGrid.css";
+import {
+  EXPORT_FORMATS,
+  downloadBlob,
+  exportRows,
+  getExportFileName,
+} from "../utils/export";
+
+/**
+ * Dropdown that downloads the rows and columns currently shown in the grid
+ */
+const ExportMenu = ({ rows, headers, fileName }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleMouseDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handleMouseDown);
+    return () => document.removeEventListener("mousedown", handleMouseDown);
+  }, [isOpen]);
+
+  const handleExport = async (format) => {
+    setIsOpen(false);
+    setIsExporting(true);
+    try {
+      const blob = await exportRows(rows, headers, format);
+      downloadBlob(blob, getExportFileName(fileName, format));
+    } catch (error) {
+      console.error("Error exporting data:", error);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="export-menu" ref={menuRef}>
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        disabled={isExporting}
+        title={`Export ${rows.length.toLocaleString()} rows`}
+      >
+        {isExporting ? "Exporting..." : "Export ▾"}
+      </button>
+      {isOpen && (
+        <div className="export-menu-items">
+          {EXPORT_FORMATS.map((format) => (
+            <button
+              key={format.id}
+              className="export-menu-item"
+              onClick={() => handleExport(format.id)}
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,173 @@
+import { useState, useEffect, useRef, useMemo } from "react";
+import "./DataGrid.css";
+import {
+  getOperators,
+  getDistinctValues,
+  toFilterRegex,
+} from "../utils/filters";
+
+// Keeps the checklist responsive on columns with many unique values
+const MAX_CHECKLIST_ITEMS = 500;
+
+/**
+ * Popover for editing the filter of a single column. Edits are kept in a
+ * local draft and only applied to the grid on "Apply", so typing doesn't
+ * re-filter a large data set on every keystroke.
+ */
+const FilterPopover = ({
+  header,
+  kind,
+  data,
+  filter,
+  position,
+  onApply,
+  onClose,
+}) => {
+  const operators = getOperators(kind);
+  const [draft, setDraft] = useState(
+    () =>
+      filter || {
+        operator: operators[0].id,
+        value: "",
+        value2: "",
+        values: [],
+      }
+  );
+  const [checklistSearch, setChecklistSearch] = useState("");
+  const popoverRef = useRef(null);
+
+  // Close when clicking anywhere outside the popover
+  useEffect(() => {
+    const handleMouseDown = (e) => {
+      if (popoverRef.current && !popoverRef.current.contains(e.target)) {
+        onClose();
+      }
+    };
+    document.addEventListener("mousedown", handleMouseDown);
+    return () => document.removeEventListener("mousedown", handleMouseDown);
+  }, [onClose]);
+
+  // Distinct values are only needed for the "is one of" checklist
+  const distinctValues = useMemo(
+    () =>
+      draft.operator === "oneOf"
+        ? getDistinctValues(data, header.id, MAX_CHECKLIST_ITEMS)
+        : [],
+    [data, header.id, draft.operator]
+  );
+
+  const visibleChoices = useMemo(() => {
+    const search = checklistSearch.toLowerCase();
+    return search
+      ? distinctValues.filter(({ value }) =>
+          value.toLowerCase().includes(search)
+        )
+      : distinctValues;
+  }, [distinctValues, checklistSearch]);
+
+  const regexError =
+    draft.operator === "regex" && draft.value && !toFilterRegex(draft.value);
+
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  const toggleValue = (value) => {
+    const values = draft.values || [];
+    update({
+      values: values.includes(value)
+        ? values.filter((v) => v !== value)
+        : [...values, value],
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" && !regexError) onApply(draft);
+    if (e.key === "Escape") onClose();
+  };
+
+  const inputType = kind === "number" ? "number" : "text";
+
+  return (
+    <div
+      className="filter-popover"
+      ref={popoverRef}
+      style={{ left: position.left, top: position.top }}
+      onKeyDown={handleKeyDown}
+    >
+      <div className="filter-popover-title">Filter: {header.name}</div>
+
+      <select
+        className="filter-popover-operator"
+        value={draft.operator}
+        onChange={(e) => update({ operator: e.target.value })}
+      >
+        {operators.map((op) => (
+          <option key={op.id} value={op.id}>
+            {op.label}
+          </option>
+        ))}
+      </select>
+
+      {draft.operator !== "empty" && draft.operator !== "oneOf" && (
+        <input
+          type={inputType}
+          className="filter-popover-input"
+          value={draft.value ?? ""}
+          onChange={(e) => update({ value: e.target.value })}
+          placeholder={draft.operator === "regex" ? "Pattern" : "Value"}
+          autoFocus
+        />
+      )}
+
+      {draft.operator === "between" && (
+        <input
+          type={inputType}
+          className="filter-popover-input"
+          value={draft.value2 ?? ""}
+          onChange={(e) => update({ value2: e.target.value })}
+          placeholder="and"
+        />
+      )}
+
+      {regexError && (
+        <div className="filter-popover-error">Invalid regular expression</div>
+      )}
+
+      {draft.operator === "oneOf" && (
+        <div className="filter-checklist">
+          <input
+            type="text"
+            className="filter-popover-input"
+            value={checklistSearch}
+            onChange={(e) => setChecklistSearch(e.target.value)}
+            placeholder="Search values"
+            autoFocus
+          />
+          <div className="filter-checklist-items">
+            {visibleChoices.map(({ value, count }) => (
+              <label key={value} className="filter-checklist-item">
+                <input
+                  type="checkbox"
+                  checked={(draft.values || []).includes(value)}
+                  onChange={() => toggleValue(value)}
+                />
+                <span className="filter-checklist-value">
+                  {value === "" ? "(empty)" : value}
+                </span>
+                <span className="filter-checklist-count">{count}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="filter-popover-actions">
+        <button onClick={() => onApply(null)}>Clear</button>
+        <button onClick={() => onApply(draft)} disabled={regexError}>
+          Apply
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default FilterPopover;
@@ -0,0 +1,263 @@
+import { useState, useMemo, useRef, useEffect } from "react";
+import "./DataGrid.css";
+import { inferColumnType, TYPE_SAMPLE_SIZE } from "../utils/columnTypes";
+import { compileFormula, FUNCTION_NAMES } from "../utils/formula";
+import { applyFormulas, getFormulaError } from "../utils/computedColumns";
+
+// Id of the column being added, until it gets a real one
+const NEW_COLUMN_ID = "__new_computed_column";
+// Rows shown under the formula
+const PREVIEW_ROWS = 8;
+
+// How a column is written in a formula: bare when it can be, else [Name]
+const getReference = (name) =>
+  /^[A-Za-z_][A-Za-z0-9_.]*$/.test(name) &&
+  !["true", "false", "null", "and", "or", "not"].includes(name.toLowerCase())
+    ? name
+    : `[${name}]`;
+
+/**
+ * Dialog for adding a computed column, or changing `column` (a header
+ * with a formula). The formula is checked as it's typed, with the error
+ * pointed out in it, and its values for the first `rows` are previewed.
+ * `onSave` receives { name, formula, type } where `type` is inferred from
+ * the values.
+ */
+const FormulaEditor = ({
+  column,
+  headers,
+  columnTypes,
+  rows,
+  onSave,
+  onCancel,
+}) => {
+  const [name, setName] = useState(column?.name ?? "");
+  const [formula, setFormula] = useState(column?.formula ?? "");
+  const formulaRef = useRef(null);
+  const columnId = column?.id ?? NEW_COLUMN_ID;
+  const otherHeaders = useMemo(
+    () => headers.filter((header) => header.id !== columnId),
+    [headers, columnId]
+  );
+
+  useEffect(() => formulaRef.current?.focus(), []);
+
+  // Escape cancels
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onCancel();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onCancel]);
+
+  const compileError = useMemo(() => {
+    try {
+      compileFormula(
+        formula,
+        otherHeaders.map((header) => ({
+          id: header.id,
+          name: header.name,
+          type: columnTypes[header.id],
+        }))
+      );
+      return null;
+    } catch (error) {
+      return error;
+    }
+  }, [formula, otherHeaders, columnTypes]);
+
+  // The formula's values for a sample of rows, which the type is inferred
+  // from and the preview shows the first of
+  const sampleRows = useMemo(
+    () =>
+      compileError
+        ? []
+        : applyFormulas(
+            rows.slice(0, TYPE_SAMPLE_SIZE),
+            [...otherHeaders, { id: columnId, name, formula }],
+            columnTypes
+          ),
+    [compileError, rows, otherHeaders, columnId, name, formula, columnTypes]
+  );
+  const referencedHeaders = useMemo(() => {
+    if (compileError) return [];
+    const { references } = compileFormula(
+      formula,
+      otherHeaders.map((header) => ({ id: header.id, name: header.name }))
+    );
+    return otherHeaders.filter((header) => references.includes(header.id));
+  }, [compileError, formula, otherHeaders]);
+
+  const trimmedName = name.trim();
+  const nameError = !trimmedName
+    ? "Enter a column name"
+    : otherHeaders.some(
+          (header) => header.name.toLowerCase() === trimmedName.toLowerCase()
+        )
+      ? "Another column has this name"
+      : null;
+
+  const handleInsertColumn = (columnName) => {
+    const input = formulaRef.current;
+    const reference = getReference(columnName);
+    const start = input?.selectionStart ?? formula.length;
+    const end = input?.selectionEnd ?? formula.length;
+    setFormula(formula.slice(0, start) + reference + formula.slice(end));
+    // Put the caret after the inserted reference once it has rendered
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(
+        start + reference.length,
+        start + reference.length
+      );
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (compileError || nameError) return;
+    onSave({
+      name: trimmedName,
+      formula,
+      type: inferColumnType(sampleRows, columnId),
+    });
+  };
+
+  const renderErrorPointer = () => {
+    const { position } = compileError;
+    if (position == null) return null;
+    return (
+      <code className="formula-error-pointer">
+        {formula.slice(0, position)}
+        <mark>{formula.slice(position, position + 1) || " "}</mark>
+        {formula.slice(position + 1)}
+      </code>
+    );
+  };
+
+  return (
+    <div className="import-dialog-backdrop">
+      <form
+        className="import-dialog formula-editor"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="formula-editor-title"
+        onSubmit={handleSubmit}
+      >
+        <h2 id="formula-editor-title" className="import-dialog-title">
+          {column ? `Edit ${column.name}` : "Add a computed column"}
+        </h2>
+
+        <div className="import-options">
+          <label>
+            Name
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              aria-invalid={!!nameError}
+            />
+          </label>
+          <select
+            value=""
+            onChange={(e) => handleInsertColumn(e.target.value)}
+            aria-label="Insert a column into the formula"
+          >
+            <option value="">Insert column...</option>
+            {otherHeaders.map((header) => (
+              <option key={header.id} value={header.name}>
+                {header.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <label className="formula-input">
+          =
+          <input
+            ref={formulaRef}
+            type="text"
+            value={formula}
+            onChange={(e) => setFormula(e.target.value)}
+            placeholder='price * quantity, upper(name), if(status == "paid", amount, 0)'
+            spellCheck={false}
+            aria-label="Formula"
+            aria-invalid={!!compileError}
+            aria-describedby="formula-editor-error"
+          />
+        </label>
+
+        <div id="formula-editor-error" aria-live="polite">
+          {compileError && formula && (
+            <div className="formula-compile-error">
+              {renderErrorPointer()}
+              <span>{compileError.message}</span>
+            </div>
+          )}
+        </div>
+
+        <div className="import-preview">
+          {compileError ? (
+            <div className="import-preview-status">
+              The values of the first rows appear here.
+            </div>
+          ) : (
+            <table>
+              <thead>
+                <tr>
+                  {referencedHeaders.map((header) => (
+                    <th key={header.id}>{header.name}</th>
+                  ))}
+                  <th className="formula-preview-result">
+                    {trimmedName || "Result"}
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {sampleRows.slice(0, PREVIEW_ROWS).map((row, index) => {
+                  const error = getFormulaError(row, columnId);
+                  return (
+                    <tr key={index}>
+                      {referencedHeaders.map((header) => (
+                        <td key={header.id}>{String(row[header.id] ?? "")}</td>
+                      ))}
+                      <td className="formula-preview-result">
+                        {error ? (
+                          <span className="formula-error">⚠ {error}</span>
+                        ) : (
+                          String(row[columnId])
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="import-dialog-footer">
+          <span className="import-hint">
+            Refer to columns by name, in [brackets] if it has spaces. Use + - *
+            / % ^, &amp; to join text, == != &lt; &gt; and, or, not, and the
+            functions {FUNCTION_NAMES.join(", ")}.
+          </span>
+          <button type="button" onClick={onCancel}>
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="import-button"
+            disabled={!!compileError || !!nameError}
+            title={nameError || compileError?.message}
+          >
+            {column ? "Save" : "Add column"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default FormulaEditor;
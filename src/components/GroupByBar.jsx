@@ -0,0 +1,75 @@
+import { useState } from "react";
+import "./DataGrid.css";
+import { COLUMN_DRAG_TYPE } from "../constants";
+
+/**
+ * Toolbar drop zone listing the grouping columns. Dropping a header cell
+ * here groups by that column; each chip removes its level of grouping.
+ */
+const GroupByBar = ({
+  groupBy,
+  headers,
+  onGroupByChange,
+  onExpandAll,
+  onCollapseAll,
+}) => {
+  const [isDragOver, setIsDragOver] = useState(false);
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes(COLUMN_DRAG_TYPE)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "link";
+    setIsDragOver(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragOver(false);
+    const columnId = e.dataTransfer.getData(COLUMN_DRAG_TYPE);
+    if (columnId && !groupBy.includes(columnId)) {
+      onGroupByChange([...groupBy, columnId]);
+    }
+  };
+
+  return (
+    <div
+      className={`group-by-bar ${isDragOver ? "drag-over" : ""}`}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDragOver(false)}
+      onDrop={handleDrop}
+    >
+      {groupBy.length === 0 ? (
+        <span className="group-by-placeholder">
+          Drag a column here to group
+        </span>
+      ) : (
+        <>
+          <span className="group-by-label">Group by</span>
+          {groupBy.map((columnId, level) => (
+            <span className="group-by-chip" key={columnId}>
+              {level > 0 && <span className="group-by-separator">›</span>}
+              {headers.find((header) => header.id === columnId)?.name ??
+                columnId}
+              <button
+                title="Remove grouping"
+                onClick={() =>
+                  onGroupByChange(groupBy.filter((id) => id !== columnId))
+                }
+              >
+                ×
+              </button>
+            </span>
+          ))}
+          <button className="group-by-action" onClick={onExpandAll}>
+            Expand all
+          </button>
+          <button className="group-by-action" onClick={onCollapseAll}>
+            Collapse all
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GroupByBar;
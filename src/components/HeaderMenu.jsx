@@ -0,0 +1,183 @@
+import { useEffect, useRef } from "react";
+import "./DataGrid.css";
+import { COLUMN_TYPES } from "../utils/columnTypes";
+import { getAggregatesForType } from "../utils/grouping";
+
+/**
+ * Per-column options menu opened from the ⋮ button in a header cell.
+ * Computed columns (with a `formula`) can be edited and removed too.
+ */
+const HeaderMenu = ({
+  header,
+  type,
+  position,
+  onTypeChange,
+  onPinChange,
+  onWrapToggle,
+  isGrouped,
+  onGroupToggle,
+  onAggregateChange,
+  onShowProfile,
+  onEditFormula,
+  onRemove,
+  onClose,
+}) => {
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere outside the menu, or on Escape
+  useEffect(() => {
+    const handleMouseDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        onClose();
+      }
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("mousedown", handleMouseDown);
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", handleMouseDown);
+      document.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [onClose]);
+
+  return (
+    <div
+      className="header-menu"
+      ref={menuRef}
+      style={{ left: position.left, top: position.top }}
+    >
+      <div className="header-menu-title">{header.name}</div>
+
+      <div className="header-menu-section">
+        <button
+          className="header-menu-item"
+          onClick={() => onShowProfile(header.id)}
+        >
+          <span className="header-menu-icon">▥</span>
+          Column profile
+        </button>
+      </div>
+
+      {header.formula != null && (
+        <div className="header-menu-section">
+          <div className="header-menu-label">Formula</div>
+          <div className="header-menu-formula" title={header.formula}>
+            {header.formula}
+          </div>
+          <button
+            className="header-menu-item"
+            onClick={() => onEditFormula(header.id)}
+          >
+            <span className="header-menu-icon">ƒx</span>
+            Edit formula...
+          </button>
+          <button
+            className="header-menu-item"
+            onClick={() => onRemove(header.id)}
+          >
+            <span className="header-menu-icon">×</span>
+            Remove column
+          </button>
+        </div>
+      )}
+
+      <div className="header-menu-section">
+        <div className="header-menu-label">Pin column</div>
+        {header.pinned !== "left" && (
+          <button
+            className="header-menu-item"
+            onClick={() => onPinChange(header.id, "left")}
+          >
+            <span className="header-menu-icon">⇤</span>
+            Pin to left
+          </button>
+        )}
+        {header.pinned !== "right" && (
+          <button
+            className="header-menu-item"
+            onClick={() => onPinChange(header.id, "right")}
+          >
+            <span className="header-menu-icon">⇥</span>
+            Pin to right
+          </button>
+        )}
+        {header.pinned && (
+          <button
+            className="header-menu-item"
+            onClick={() => onPinChange(header.id, null)}
+          >
+            <span className="header-menu-icon">↔</span>
+            Unpin
+          </button>
+        )}
+      </div>
+
+      <div className="header-menu-section">
+        <div className="header-menu-label">Display</div>
+        <button
+          className={`header-menu-item ${header.wrap ? "selected" : ""}`}
+          onClick={() => onWrapToggle(header.id)}
+        >
+          <span className="header-menu-icon">↵</span>
+          Wrap text
+          {header.wrap && <span className="header-menu-hint">on</span>}
+        </button>
+      </div>
+
+      <div className="header-menu-section">
+        <div className="header-menu-label">Grouping</div>
+        <button
+          className="header-menu-item"
+          onClick={() => onGroupToggle(header.id)}
+        >
+          <span className="header-menu-icon">☰</span>
+          {isGrouped ? "Stop grouping by this column" : "Group by this column"}
+        </button>
+      </div>
+
+      <div className="header-menu-section">
+        <div className="header-menu-label">Group aggregate</div>
+        <button
+          className={`header-menu-item ${header.aggregate ? "" : "selected"}`}
+          onClick={() => onAggregateChange(header.id, null)}
+        >
+          <span className="header-menu-icon" />
+          None
+        </button>
+        {getAggregatesForType(type).map((aggregate) => (
+          <button
+            key={aggregate.id}
+            className={`header-menu-item ${
+              header.aggregate === aggregate.id ? "selected" : ""
+            }`}
+            onClick={() => onAggregateChange(header.id, aggregate.id)}
+          >
+            <span className="header-menu-icon">{aggregate.symbol}</span>
+            {aggregate.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="header-menu-section">
+        <div className="header-menu-label">Column type</div>
+        {COLUMN_TYPES.map((option) => (
+          <button
+            key={option.id}
+            className={`header-menu-item ${type === option.id ? "selected" : ""}`}
+            onClick={() => onTypeChange(header.id, option.id)}
+          >
+            <span className="header-menu-icon">{option.icon}</span>
+            {option.label}
+            {header.inferredType === option.id && (
+              <span className="header-menu-hint">detected</span>
+            )}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default HeaderMenu;
@@ -0,0 +1,259 @@
+import { useEffect, useState } from "react";
+import Papa from "papaparse";
+import "./DataGrid.css";
+import {
+  DELIMITERS,
+  ENCODINGS,
+  QUOTE_CHARS,
+  createRecordReader,
+  defaultImportOptions,
+  getPapaConfig,
+} from "../utils/importOptions";
+
+const PREVIEW_ROWS = 50;
+// Enough of the file for the preview rows in all but the widest files
+const PREVIEW_BYTES = 256 * 1024;
+
+const describeDelimiter = (delimiter) =>
+  DELIMITERS.find((option) => option.id === delimiter)?.label ??
+  `"${delimiter}"`;
+
+/**
+ * Parses the start of a file with the chosen options, the same way the
+ * parser worker will parse all of it
+ */
+async function readPreview(file, options) {
+  const truncated = file.size > PREVIEW_BYTES;
+  const buffer = await file.slice(0, PREVIEW_BYTES).arrayBuffer();
+  const text = new TextDecoder(options.encoding).decode(buffer);
+
+  const results = Papa.parse(text, {
+    ...getPapaConfig(options),
+    preview: options.skipRows + PREVIEW_ROWS + (options.hasHeader ? 1 : 0) + 1,
+  });
+  // The last line may have been cut off by the slice
+  const rows =
+    truncated && results.data.length > 0
+      ? results.data.slice(0, -1)
+      : results.data;
+
+  const { fields, records, errors } = createRecordReader(options)(
+    rows,
+    results.errors
+  );
+  return {
+    fields: fields || [],
+    records: records.slice(0, PREVIEW_ROWS),
+    errors,
+    delimiter: results.meta.delimiter,
+  };
+}
+
+/**
+ * Modal shown after picking a file: import options (delimiter, quote
+ * character, encoding, header row, rows to skip, type detection) with a
+ * live preview of the first rows as they will be imported
+ */
+const ImportDialog = ({ file, onImport, onCancel }) => {
+  const [options, setOptions] = useState(defaultImportOptions);
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+  // Set when "Other..." was picked, to type any delimiter character
+  const [isCustomDelimiter, setIsCustomDelimiter] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    readPreview(file, options)
+      .then((result) => {
+        if (cancelled) return;
+        setPreview(result);
+        setPreviewError(null);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error("Error previewing file:", error);
+        setPreview(null);
+        setPreviewError(error.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [file, options]);
+
+  // Escape cancels the import
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onCancel();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onCancel]);
+
+  const setOption = (changes) =>
+    setOptions((prev) => ({ ...prev, ...changes }));
+
+  return (
+    <div className="import-dialog-backdrop">
+      <div
+        className="import-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="import-dialog-title"
+      >
+        <h2 id="import-dialog-title" className="import-dialog-title">
+          Import {file.name}
+        </h2>
+
+        <div className="import-options">
+          <label>
+            Delimiter
+            <select
+              value={isCustomDelimiter ? "custom" : options.delimiter}
+              onChange={(e) => {
+                const isCustom = e.target.value === "custom";
+                setIsCustomDelimiter(isCustom);
+                if (!isCustom) setOption({ delimiter: e.target.value });
+              }}
+            >
+              {DELIMITERS.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+              <option value="custom">Other...</option>
+            </select>
+            {isCustomDelimiter && (
+              <input
+                className="import-custom-delimiter"
+                value={options.delimiter}
+                maxLength={1}
+                aria-label="Custom delimiter"
+                onChange={(e) => setOption({ delimiter: e.target.value })}
+              />
+            )}
+            {options.delimiter === "" && preview?.delimiter && (
+              <span className="import-hint">
+                detected {describeDelimiter(preview.delimiter)}
+              </span>
+            )}
+          </label>
+
+          <label>
+            Quote character
+            <select
+              value={options.quoteChar}
+              onChange={(e) => setOption({ quoteChar: e.target.value })}
+            >
+              {QUOTE_CHARS.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label>
+            Encoding
+            <select
+              value={options.encoding}
+              onChange={(e) => setOption({ encoding: e.target.value })}
+            >
+              {ENCODINGS.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label>
+            Rows to skip
+            <input
+              type="number"
+              min={0}
+              value={options.skipRows}
+              onChange={(e) =>
+                setOption({
+                  skipRows: Math.max(
+                    0,
+                    Math.floor(Number(e.target.value)) || 0
+                  ),
+                })
+              }
+            />
+          </label>
+
+          <label className="import-checkbox">
+            <input
+              type="checkbox"
+              checked={options.hasHeader}
+              onChange={(e) => setOption({ hasHeader: e.target.checked })}
+            />
+            First row is a header
+          </label>
+
+          <label className="import-checkbox">
+            <input
+              type="checkbox"
+              checked={options.detectTypes}
+              onChange={(e) => setOption({ detectTypes: e.target.checked })}
+            />
+            Detect column types
+          </label>
+        </div>
+
+        <div className="import-preview">
+          {previewError ? (
+            <div className="import-preview-error">
+              Couldn't read the file: {previewError}
+            </div>
+          ) : preview ? (
+            <table>
+              <thead>
+                <tr>
+                  {preview.fields.map((field) => (
+                    <th key={field}>{field}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {preview.records.map((record, i) => (
+                  <tr key={i}>
+                    {preview.fields.map((field) => (
+                      <td key={field}>{String(record[field] ?? "")}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="import-preview-status">Reading file...</div>
+          )}
+        </div>
+
+        <div className="import-dialog-footer">
+          <span className="import-hint">
+            {preview &&
+              `Showing the first ${preview.records.length} rows and ${
+                preview.fields.length
+              } columns${
+                preview.errors.length > 0
+                  ? ` · ${preview.errors.length} parse problems`
+                  : ""
+              }`}
+          </span>
+          <button onClick={onCancel}>Cancel</button>
+          <button
+            className="import-button"
+            onClick={() => onImport(options)}
+            disabled={!preview || preview.fields.length === 0}
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
@@ -0,0 +1,84 @@
+import { useEffect } from "react";
+import "./DataGrid.css";
+
+/**
+ * Side panel listing the problems the parser found in individual rows
+ * (wrong number of fields, unmatched quotes...). Clicking an issue jumps
+ * to its row; affected rows can be left out of the grid altogether.
+ */
+const IssuesPanel = ({
+  issues,
+  excludeRows,
+  onExcludeRowsChange,
+  onSelectIssue,
+  onClose,
+}) => {
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const { errors, errorCount } = issues;
+
+  return (
+    <aside className="issues-panel" aria-label="Parse issues">
+      <div className="column-profile-header">
+        <span className="column-profile-title">
+          {errorCount.toLocaleString()}{" "}
+          {errorCount === 1 ? "parse issue" : "parse issues"}
+        </span>
+        <button title="Close" onClick={onClose}>
+          ×
+        </button>
+      </div>
+
+      <label className="issues-exclude">
+        <input
+          type="checkbox"
+          checked={excludeRows}
+          onChange={(e) => onExcludeRowsChange(e.target.checked)}
+        />
+        Exclude affected rows
+      </label>
+
+      {errorCount > errors.length && (
+        <div className="column-profile-hint">
+          Showing the first {errors.length.toLocaleString()}
+        </div>
+      )}
+
+      <ol className="issues-list">
+        {errors.map((error, i) => {
+          const hasRow = error.row !== undefined;
+          return (
+            <li key={i}>
+              <button
+                className="issues-item"
+                disabled={!hasRow || excludeRows}
+                title={hasRow ? "Show this row" : undefined}
+                onClick={() => onSelectIssue(error)}
+              >
+                <span className="issues-item-row">
+                  {hasRow ? `Row ${(error.row + 1).toLocaleString()}` : "File"}
+                </span>
+                <span className="issues-item-type">
+                  {error.type}
+                  {error.code &&
+                    error.code !== error.type &&
+                    ` · ${error.code}`}
+                </span>
+                <span className="issues-item-message">{error.message}</span>
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </aside>
+  );
+};
+
+export default IssuesPanel;
@@ -0,0 +1,241 @@
+import { useState, useRef, useEffect } from "react";
+import "./DataGrid.css";
+import { JOIN_TYPES } from "../utils/tables";
+
+// Match on the first column both tables have, or else their first columns
+const suggestPairs = (left, right) => {
+  const rightIds = new Set(right.headers.map((header) => header.id));
+  const common = left.headers.find((header) => rightIds.has(header.id));
+  return [
+    common
+      ? { left: common.id, right: common.id }
+      : { left: left.headers[0]?.id, right: right.headers[0]?.id },
+  ];
+};
+
+/**
+ * Dialog for joining two open tables (each { id, name, headers, data }) on
+ * one or more pairs of columns, as loaded: edits and computed columns live
+ * in each table's grid and aren't part of the join. The join runs in a
+ * worker (see workers/join.worker.js) and `onJoin` receives the new table
+ * as { name, headers, rows }.
+ */
+const JoinDialog = ({ tables, initialLeftId, onJoin, onCancel }) => {
+  const [leftId, setLeftId] = useState(initialLeftId);
+  const [rightId, setRightId] = useState(
+    () => tables.find((table) => table.id !== initialLeftId).id
+  );
+  const [type, setType] = useState("inner");
+  const left = tables.find((table) => table.id === leftId);
+  const right = tables.find((table) => table.id === rightId);
+  // Columns to match on: [{ left, right }] of column ids
+  const [pairs, setPairs] = useState(() => suggestPairs(left, right));
+  const [isJoining, setIsJoining] = useState(false);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+
+  // Never leave a join running after the dialog goes away
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  // Escape cancels the join
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onCancel();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onCancel]);
+
+  // Picking other tables starts over from suggested columns
+  const handleTablesChange = (nextLeftId, nextRightId) => {
+    if (nextLeftId === nextRightId) {
+      nextRightId = tables.find((table) => table.id !== nextLeftId).id;
+    }
+    setLeftId(nextLeftId);
+    setRightId(nextRightId);
+    setPairs(
+      suggestPairs(
+        tables.find((table) => table.id === nextLeftId),
+        tables.find((table) => table.id === nextRightId)
+      )
+    );
+    setError(null);
+  };
+
+  const setPair = (index, changes) =>
+    setPairs((prev) =>
+      prev.map((pair, i) => (i === index ? { ...pair, ...changes } : pair))
+    );
+
+  const handleJoin = () => {
+    const worker = new Worker(
+      new URL("../workers/join.worker.js", import.meta.url),
+      { type: "module" }
+    );
+    workerRef.current = worker;
+    const name = `${left.name} ⋈ ${right.name}`;
+    const finish = () => {
+      worker.terminate();
+      workerRef.current = null;
+      setIsJoining(false);
+    };
+
+    worker.onmessage = ({ data: message }) => {
+      finish();
+      if (message.type === "join") {
+        onJoin({ name, ...message.table });
+      } else {
+        setError(message.message);
+      }
+    };
+    worker.onerror = (event) => {
+      finish();
+      setError(event.message);
+    };
+
+    setIsJoining(true);
+    setError(null);
+    worker.postMessage({
+      left: { name: left.name, headers: left.headers, rows: left.data },
+      right: { name: right.name, headers: right.headers, rows: right.data },
+      on: pairs,
+      type,
+    });
+  };
+
+  const renderColumnOptions = (table) =>
+    table.headers.map((header) => (
+      <option key={header.id} value={header.id}>
+        {header.name}
+      </option>
+    ));
+
+  return (
+    <div className="import-dialog-backdrop">
+      <div
+        className="import-dialog join-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="join-dialog-title"
+      >
+        <h2 id="join-dialog-title" className="import-dialog-title">
+          Join tables
+        </h2>
+
+        <div className="import-options">
+          <label>
+            Left table
+            <select
+              value={leftId}
+              onChange={(e) =>
+                handleTablesChange(Number(e.target.value), rightId)
+              }
+            >
+              {tables.map((table) => (
+                <option key={table.id} value={table.id}>
+                  {table.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Join
+            <select value={type} onChange={(e) => setType(e.target.value)}>
+              {JOIN_TYPES.map((joinType) => (
+                <option key={joinType.id} value={joinType.id}>
+                  {joinType.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Right table
+            <select
+              value={rightId}
+              onChange={(e) =>
+                handleTablesChange(leftId, Number(e.target.value))
+              }
+            >
+              {tables
+                .filter((table) => table.id !== leftId)
+                .map((table) => (
+                  <option key={table.id} value={table.id}>
+                    {table.name}
+                  </option>
+                ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="join-pairs">
+          <div className="join-pairs-title">Match rows where</div>
+          {pairs.map((pair, index) => (
+            <div key={index} className="join-pair">
+              <select
+                aria-label={`${left.name} column`}
+                value={pair.left}
+                onChange={(e) => setPair(index, { left: e.target.value })}
+              >
+                {renderColumnOptions(left)}
+              </select>
+              =
+              <select
+                aria-label={`${right.name} column`}
+                value={pair.right}
+                onChange={(e) => setPair(index, { right: e.target.value })}
+              >
+                {renderColumnOptions(right)}
+              </select>
+              <button
+                title="Remove this pair"
+                aria-label="Remove this pair"
+                disabled={pairs.length === 1}
+                onClick={() =>
+                  setPairs((prev) => prev.filter((_, i) => i !== index))
+                }
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button
+            className="join-add-pair"
+            onClick={() =>
+              setPairs((prev) => [
+                ...prev,
+                { left: left.headers[0]?.id, right: right.headers[0]?.id },
+              ])
+            }
+          >
+            + Add a column pair
+          </button>
+        </div>
+
+        {error && (
+          <div className="import-preview-error">Couldn't join: {error}</div>
+        )}
+
+        <div className="import-dialog-footer">
+          <span className="import-hint">
+            {JOIN_TYPES.find((joinType) => joinType.id === type).description}.
+            Rows with an empty key match nothing; columns both tables have are
+            prefixed with the table name. Tables are joined as loaded, without
+            edits or computed columns.
+          </span>
+          <button onClick={onCancel}>Cancel</button>
+          <button
+            className="import-button"
+            onClick={handleJoin}
+            disabled={
+              isJoining || pairs.some((pair) => !pair.left || !pair.right)
+            }
+          >
+            {isJoining ? "Joining..." : "Join"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default JoinDialog;
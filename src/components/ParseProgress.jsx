@@ -0,0 +1,37 @@
+import "./DataGrid.css";
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Bytes-processed progress bar shown while a CSV is being parsed
+ */
+const ParseProgress = ({ loaded, total, rowCount, onCancel }) => {
+  const percent = total > 0 ? Math.min(100, (loaded / total) * 100) : 0;
+
+  return (
+    <div className="parse-progress">
+      <progress
+        className="parse-progress-bar"
+        value={loaded}
+        max={total || 1}
+      />
+      <span className="parse-progress-label">
+        {total > 0
+          ? `${formatBytes(loaded)} of ${formatBytes(total)} (${Math.floor(
+              percent
+            )}%)`
+          : "Starting..."}
+        {rowCount > 0 && ` · ${rowCount.toLocaleString()} rows`}
+      </span>
+      <button onClick={onCancel} className="parse-progress-cancel">
+        Cancel
+      </button>
+    </div>
+  );
+};
+
+export default ParseProgress;
@@ -0,0 +1,164 @@
+import { useState, useRef, useEffect } from "react";
+import "./DataGrid.css";
+import { buildHeaders } from "../utils/csvFile";
+import { parseQuery, QueryError } from "../utils/query";
+
+// Line and column (both from 1) of a position in the query
+const getLineAndColumn = (sql, position) => {
+  const lines = sql.slice(0, position).split("\n");
+  return { line: lines.length, column: lines.at(-1).length + 1 };
+};
+
+/**
+ * SQL-style query bar for the active `table` (see utils/query.js). The
+ * query runs in a worker (see workers/query.worker.js) on the table, on
+ * the one it was run on when `table` is itself a result, or on the open
+ * table named in its FROM clause. `onResult` receives the result as
+ * { name, headers, rows, query: { sql, tableId } }. Syntax errors are
+ * pointed out in the query.
+ */
+const QueryBar = ({ table, tables, onResult }) => {
+  const [sql, setSql] = useState(table.query?.sql ?? "");
+  const [isRunning, setIsRunning] = useState(false);
+  // { message, position } of the last failed run
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+
+  // Never leave a query running after the bar goes away
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  // The table the query reads, or a QueryError saying why there's none
+  const getSourceTable = (query) => {
+    const openTables = tables.filter((candidate) => candidate.data.length > 0);
+    if (query.from) {
+      const name = query.from.name.toLowerCase();
+      const source = openTables.find(
+        (candidate) => candidate.name.toLowerCase() === name
+      );
+      if (!source) {
+        throw new QueryError(
+          `No open table is named "${query.from.name}"`,
+          query.from.position
+        );
+      }
+      return source;
+    }
+    return (
+      (table.query &&
+        openTables.find((candidate) => candidate.id === table.query.tableId)) ||
+      table
+    );
+  };
+
+  const handleRun = () => {
+    let source;
+    try {
+      source = getSourceTable(parseQuery(sql));
+    } catch (parseError) {
+      if (!(parseError instanceof QueryError)) throw parseError;
+      setError({ message: parseError.message, position: parseError.position });
+      return;
+    }
+
+    const worker = new Worker(
+      new URL("../workers/query.worker.js", import.meta.url),
+      { type: "module" }
+    );
+    workerRef.current = worker;
+    const finish = () => {
+      worker.terminate();
+      workerRef.current = null;
+      setIsRunning(false);
+    };
+
+    worker.onmessage = ({ data: message }) => {
+      finish();
+      if (message.type === "result") {
+        const { fields, rows } = message.result;
+        onResult({
+          name: source.name,
+          headers: buildHeaders(fields, rows, true),
+          rows,
+          query: { sql, tableId: source.id },
+        });
+      } else {
+        setError({ message: message.message, position: message.position });
+      }
+    };
+    worker.onerror = (event) => {
+      finish();
+      setError({ message: event.message, position: null });
+    };
+
+    setIsRunning(true);
+    setError(null);
+    worker.postMessage({
+      sql,
+      table: { name: source.name, headers: source.headers, rows: source.data },
+    });
+  };
+
+  // Enter runs the query, Shift+Enter starts a new line
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      if (!isRunning && sql.trim()) handleRun();
+    }
+  };
+
+  const renderError = () => {
+    const { message, position } = error;
+    if (position == null) {
+      return <span className="query-error-message">{message}</span>;
+    }
+    const { line, column } = getLineAndColumn(sql, position);
+    return (
+      <>
+        <code className="query-error-pointer">
+          {sql.slice(0, position)}
+          <mark>{sql.slice(position, position + 1) || " "}</mark>
+          {sql.slice(position + 1)}
+        </code>
+        <span className="query-error-message">
+          Line {line}, column {column}: {message}
+        </span>
+      </>
+    );
+  };
+
+  return (
+    <div className="query-bar">
+      <div className="query-input-row">
+        <textarea
+          className="query-input"
+          value={sql}
+          onChange={(e) => setSql(e.target.value)}
+          onKeyDown={handleKeyDown}
+          rows={Math.min(6, sql.split("\n").length)}
+          placeholder="SELECT region, SUM(amount) WHERE year >= 2023 GROUP BY region ORDER BY 2 DESC LIMIT 100"
+          spellCheck={false}
+          aria-label="Query"
+          aria-invalid={!!error}
+          aria-describedby="query-bar-status"
+        />
+        <button
+          className="query-run-button"
+          onClick={handleRun}
+          disabled={isRunning || !sql.trim()}
+          title={
+            table.query
+              ? "Run the query again and show the result in this tab (Enter)"
+              : "Run the query and show the result in a new tab (Enter)"
+          }
+        >
+          {isRunning ? "Running..." : "Run"}
+        </button>
+      </div>
+      <div id="query-bar-status" className="query-status" aria-live="polite">
+        {error && <div className="query-error">{renderError()}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default QueryBar;
@@ -0,0 +1,70 @@
+import { useState, useRef, useEffect } from "react";
+import "./DataGrid.css";
+
+const dateFormat = new Intl.DateTimeFormat(undefined, {
+  dateStyle: "medium",
+  timeStyle: "short",
+});
+
+/**
+ * Dropdown listing the files stored in the browser (see utils/storage.js),
+ * most recent first, for reopening without uploading them again
+ */
+const RecentFiles = ({ files, onOpen, onRemove }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleMouseDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handleMouseDown);
+    return () => document.removeEventListener("mousedown", handleMouseDown);
+  }, [isOpen]);
+
+  return (
+    <div className="recent-files" ref={menuRef}>
+      <button
+        className="recent-files-button"
+        onClick={() => setIsOpen((open) => !open)}
+        disabled={files.length === 0}
+      >
+        Recent files ▾
+      </button>
+      {isOpen && (
+        <ul className="recent-files-items">
+          {files.map((file) => (
+            <li key={file.key} className="recent-files-item">
+              <button
+                className="recent-files-open"
+                onClick={() => {
+                  setIsOpen(false);
+                  onOpen(file);
+                }}
+              >
+                <span className="recent-files-name">{file.fileName}</span>
+                <span className="recent-files-meta">
+                  {file.rowCount.toLocaleString()} rows ·{" "}
+                  {dateFormat.format(file.savedAt)}
+                </span>
+              </button>
+              <button
+                className="recent-files-remove"
+                title="Remove from recent files"
+                onClick={() => onRemove(file)}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RecentFiles;
@@ -0,0 +1,107 @@
+import { useState, useMemo, useEffect } from "react";
+import _ from "lodash";
+import "./DataGrid.css";
+import { MAX_SEARCH_MATCHES } from "../utils/search";
+
+/**
+ * Search box with match count, next/previous navigation and options.
+ * The query is debounced so large data sets aren't rescanned on every
+ * keystroke.
+ */
+const SearchBar = ({
+  search,
+  onSearchChange,
+  matchCount,
+  activeMatchIndex,
+  onNext,
+  onPrevious,
+}) => {
+  const [query, setQuery] = useState(search.query);
+
+  const debouncedSearchChange = useMemo(
+    () => _.debounce((changes) => onSearchChange(changes), 250),
+    [onSearchChange]
+  );
+
+  useEffect(
+    () => () => debouncedSearchChange.cancel(),
+    [debouncedSearchChange]
+  );
+
+  const handleQueryChange = (e) => {
+    setQuery(e.target.value);
+    debouncedSearchChange({ query: e.target.value });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") {
+      // Apply any pending query right away before navigating
+      debouncedSearchChange.flush();
+      if (e.shiftKey) {
+        onPrevious();
+      } else {
+        onNext();
+      }
+    } else if (e.key === "Escape") {
+      setQuery("");
+      debouncedSearchChange.cancel();
+      onSearchChange({ query: "" });
+    }
+  };
+
+  const countLabel = !search.query
+    ? ""
+    : matchCount === 0
+      ? "No matches"
+      : `${(activeMatchIndex + 1).toLocaleString()} of ${matchCount.toLocaleString()}${
+          matchCount >= MAX_SEARCH_MATCHES ? "+" : ""
+        } matches`;
+
+  return (
+    <div className="search-bar">
+      <input
+        type="search"
+        className="search-input"
+        placeholder="Search all cells"
+        value={query}
+        onChange={handleQueryChange}
+        onKeyDown={handleKeyDown}
+      />
+      <span className="search-count">{countLabel}</span>
+      <button
+        className="search-nav"
+        onClick={onPrevious}
+        disabled={matchCount === 0}
+        title="Previous match (Shift+Enter)"
+      >
+        ↑
+      </button>
+      <button
+        className="search-nav"
+        onClick={onNext}
+        disabled={matchCount === 0}
+        title="Next match (Enter)"
+      >
+        ↓
+      </button>
+      <label className="search-option">
+        <input
+          type="checkbox"
+          checked={search.caseSensitive}
+          onChange={(e) => onSearchChange({ caseSensitive: e.target.checked })}
+        />
+        Match case
+      </label>
+      <label className="search-option">
+        <input
+          type="checkbox"
+          checked={search.wholeCell}
+          onChange={(e) => onSearchChange({ wholeCell: e.target.checked })}
+        />
+        Whole cell
+      </label>
+    </div>
+  );
+};
+
+export default SearchBar;
@@ -0,0 +1,52 @@
+import "./DataGrid.css";
+
+/**
+ * A tab for each open table, closed with its ×, and a "Join tables"
+ * button for creating a table out of two open ones. The tab panels are
+ * App's, with ids "table-panel-<table id>".
+ */
+const TableTabs = ({ tables, activeId, onSelect, onClose, onJoin }) => (
+  <div className="table-tabs">
+    <div className="table-tabs-list" role="tablist" aria-label="Open tables">
+      {tables.map((table) => {
+        const isActive = table.id === activeId;
+        return (
+          <div
+            key={table.id}
+            className={`table-tab ${isActive ? "active" : ""}`}
+          >
+            <button
+              className="table-tab-name"
+              id={`table-tab-${table.id}`}
+              role="tab"
+              aria-selected={isActive}
+              aria-controls={`table-panel-${table.id}`}
+              title={`${table.name}: ${table.data.length.toLocaleString()} rows`}
+              onClick={() => onSelect(table.id)}
+            >
+              {table.name}
+            </button>
+            <button
+              className="table-tab-close"
+              title={`Close ${table.name}`}
+              aria-label={`Close ${table.name}`}
+              onClick={() => onClose(table.id)}
+            >
+              ×
+            </button>
+          </div>
+        );
+      })}
+    </div>
+    <button
+      className="table-tabs-join"
+      onClick={onJoin}
+      disabled={tables.length < 2}
+      title="Combine two open tables on matching columns"
+    >
+      Join tables...
+    </button>
+  </div>
+);
+
+export default TableTabs;
@@ -1,7 +1,40 @@
-import React, { useState, useEffect, useRef, useMemo } from "react";
+import React, {
+  useState,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useMemo,
+} from "react";
 import "./DataGrid.css";
 import _ from "lodash";
-import { ROW_HEIGHT } from "../constants";
+import { getHighlightSegments } from "../utils/search";
+import CellEditor from "./CellEditor";
+import { renderAggregateValue, renderCellValue } from "./CellRenderers";
+import { getCellId, getSelectionRange, isInRange } from "../utils/selection";
+import { getColumnStyle, getPinnedClassName } from "../utils/pinning";
+import { getAggregateInfo, getGroupInfo, isGroupRow } from "../utils/grouping";
+import { getFormulaError } from "../utils/computedColumns";
+
+/**
+ * Renders a cell with its column type's renderer. Cells matching the search
+ * show their raw text instead, with the matching parts wrapped in <mark>.
+ */
+const renderCellContent = (value, type, search) => {
+  const segments = search?.query ? getHighlightSegments(value, search) : null;
+  if (!segments || !segments.some((segment) => segment.match)) {
+    return renderCellValue(value, type);
+  }
+
+  return segments.map((segment, i) =>
+    segment.match ? (
+      <mark key={i} className="search-match">
+        {segment.text}
+      </mark>
+    ) : (
+      segment.text
+    )
+  );
+};
 
 /**
  * Performance optimizations:
@@ -10,13 +43,35 @@ import { ROW_HEIGHT } from "../constants";
  * 3. Uses transform for positioning (triggers composite-only repaints)
  * 4. Uses memoization for row generation (reduces re-renders)
  * 5. Employs absolute positioning for buffer rows (keeps DOM layout stable)
+ * 6. Only renders the columns DataGrid passes in (horizontal virtualization),
+ *    with spacer cells keeping the skipped columns' width
+ * 7. Row offsets come from a height index (see utils/rowHeights.js). When
+ *    text wraps, rendered rows are measured after layout and the index is
+ *    corrected; rows measured above the viewport shift the scroll position
+ *    by the same amount so the visible rows don't jump.
  */
 const VirtualizedRows = ({
   data,
-  headers,
+  columns,
   visibleRowsCount,
+  viewportHeight,
+  rowHeights,
+  onScrollAdjust,
   scrollTop,
   totalWidth,
+  search,
+  activeMatch,
+  getRowEdits,
+  getRowIssues,
+  getRowClassName,
+  selection,
+  editingCell,
+  columnTypes,
+  columnNames,
+  onCommitEdit,
+  onCancelEdit,
+  onToggleGroup,
+  gridId,
 }) => {
   const containerRef = useRef(null);
   const topSentinelRef = useRef(null);
@@ -25,12 +80,26 @@ const VirtualizedRows = ({
     startIndex: 0,
     endIndex: visibleRowsCount,
   });
+  // Bumped when measuring changed row heights, to recompute the range
+  const [measureVersion, setMeasureVersion] = useState(0);
 
   // Use effect to update visible range when scrollTop changes
   useEffect(() => {
     // Calculate indices based on the current scroll position
-    const startIndex = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT));
-    const endIndex = Math.min(data.length, startIndex + visibleRowsCount + 2);
+    const startIndex = rowHeights.findIndexAtOffset(scrollTop);
+    const viewportBottom =
+      scrollTop +
+      (viewportHeight || visibleRowsCount * rowHeights.estimatedHeight);
+
+    // Walk down until the viewport is filled, plus two rows of buffer
+    let endIndex = startIndex;
+    while (
+      endIndex < data.length &&
+      rowHeights.getOffset(endIndex) < viewportBottom
+    ) {
+      endIndex++;
+    }
+    endIndex = Math.min(data.length, endIndex + 2);
 
     setVisibleRange({ startIndex, endIndex });
 
@@ -41,7 +110,14 @@ const VirtualizedRows = ({
       endIndex,
       visibleCount: endIndex - startIndex,
     });
-  }, [scrollTop, visibleRowsCount, data.length]);
+  }, [
+    scrollTop,
+    visibleRowsCount,
+    viewportHeight,
+    data.length,
+    rowHeights,
+    measureVersion,
+  ]);
 
   // Setup IntersectionObserver for sentinel elements
   useEffect(() => {
@@ -100,7 +176,7 @@ const VirtualizedRows = ({
     // rootMargin adds additional area around viewport to start loading earlier
     const options = {
       root: scrollableParent,
-      rootMargin: `${ROW_HEIGHT * 2}px 0px`,
+      rootMargin: `${rowHeights.estimatedHeight * 2}px 0px`,
       threshold: 0.1, // Trigger when at least 10% of sentinel is visible
     };
 
@@ -112,13 +188,13 @@ const VirtualizedRows = ({
 
     // Cleanup function to disconnect observer when component unmounts
     return () => observer.disconnect();
-  }, [data.length, visibleRange]);
+  }, [data.length, visibleRange, rowHeights]);
 
   // Calculate total height for scrollbar and layout
-  const totalHeight = data.length * ROW_HEIGHT;
+  const totalHeight = rowHeights.getTotalHeight();
 
   // Calculate offset for visible rows (for transform positioning)
-  const offsetY = visibleRange.startIndex * ROW_HEIGHT;
+  const offsetY = rowHeights.getOffset(visibleRange.startIndex);
 
   // Slice only the data we need to render (performance optimization)
   const visibleData = useMemo(
@@ -126,29 +202,251 @@ const VirtualizedRows = ({
     [data, visibleRange.startIndex, visibleRange.endIndex]
   );
 
+  // A single active cell isn't drawn as a range, only as the active cell
+  const selectionRange = useMemo(() => {
+    const range = getSelectionRange(selection);
+    return range && (range.top !== range.bottom || range.left !== range.right)
+      ? range
+      : null;
+  }, [selection]);
+
   // Memoize row generation to prevent unnecessary re-renders
   const visibleRows = useMemo(() => {
     return visibleData.map((row, index) => {
       const actualIndex = visibleRange.startIndex + index;
+      const rowStyle = rowHeights.measured
+        ? { minHeight: rowHeights.estimatedHeight, width: totalWidth }
+        : { height: rowHeights.estimatedHeight, width: totalWidth };
+      // Stands in for the columns outside the horizontal viewport
+      const renderSpacer = (key, width) => (
+        <div
+          key={key}
+          className="data-grid-column-spacer"
+          style={{ width }}
+          aria-hidden="true"
+        />
+      );
+      // The header is row 1 of the grid for assistive technology
+      const ariaRowIndex = actualIndex + 2;
+
+      // Group header: the first column holds the toggle, the group's value
+      // and its row count; other columns show their aggregate, if any
+      if (isGroupRow(row)) {
+        const group = getGroupInfo(row);
+        const groupValue = renderCellValue(
+          group.value,
+          columnTypes?.[group.columnId]
+        );
+        return (
+          <div
+            className="data-grid-row data-grid-group-row"
+            key={actualIndex}
+            role="row"
+            aria-rowindex={ariaRowIndex}
+            aria-expanded={!group.collapsed}
+            data-row-index={actualIndex}
+            style={rowStyle}
+          >
+            {columns.map(({ spacer, key, width, column: header, index }) => {
+              if (spacer) return renderSpacer(key, width);
+
+              const aggregate = group.aggregates[header.id];
+              const isActiveCell =
+                selection?.focus.row === actualIndex &&
+                selection.focus.col === index;
+              const isSelected = isInRange(selectionRange, actualIndex, index);
+              return (
+                <div
+                  className={`data-grid-cell group-cell ${
+                    isActiveCell ? "active-cell" : ""
+                  } ${isSelected ? "selected" : ""} cell-type-${
+                    index === 0 ? "text" : columnTypes?.[header.id] || "text"
+                  } ${getPinnedClassName(header)}`}
+                  key={`${actualIndex}-${header.id}`}
+                  id={getCellId(gridId, actualIndex, index)}
+                  role="gridcell"
+                  aria-colindex={index + 1}
+                  aria-selected={isActiveCell || isSelected}
+                  style={getColumnStyle(header)}
+                  data-row-index={actualIndex}
+                  data-column-id={header.id}
+                >
+                  {index === 0 ? (
+                    <button
+                      className="group-toggle"
+                      style={{ paddingLeft: group.depth * 16 }}
+                      title={
+                        group.collapsed ? "Expand group" : "Collapse group"
+                      }
+                      onClick={() => onToggleGroup?.(group.key)}
+                    >
+                      <span className="group-caret">
+                        {group.collapsed ? "▸" : "▾"}
+                      </span>
+                      <span className="group-label">
+                        {columnNames?.[group.columnId] ?? group.columnId}:{" "}
+                        {groupValue === "" ? "(empty)" : groupValue}
+                      </span>
+                      <span className="group-count">
+                        ({group.count.toLocaleString()})
+                      </span>
+                    </button>
+                  ) : (
+                    header.id in group.aggregates && (
+                      <span
+                        className="group-aggregate"
+                        title={getAggregateInfo(header.aggregate)?.label}
+                      >
+                        <span className="group-aggregate-symbol">
+                          {getAggregateInfo(header.aggregate)?.symbol}
+                        </span>{" "}
+                        {renderAggregateValue(
+                          aggregate,
+                          header.aggregate,
+                          columnTypes?.[header.id]
+                        )}
+                      </span>
+                    )
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        );
+      }
+
+      const rowEdits = getRowEdits?.(row);
+      const rowIssues = getRowIssues?.(row);
       return (
         <div
-          className="data-grid-row"
+          className={`data-grid-row ${rowEdits ? "dirty-row" : ""} ${
+            rowIssues ? "issue-row" : ""
+          } ${getRowClassName?.(row) || ""}`}
           key={actualIndex}
-          style={{ height: ROW_HEIGHT, width: totalWidth }}
+          role="row"
+          aria-rowindex={ariaRowIndex}
+          data-row-index={actualIndex}
+          style={rowStyle}
         >
-          {headers.map((header) => (
-            <div
-              className="data-grid-cell"
-              key={`${actualIndex}-${header.id}`}
-              style={{ width: header.width }}
-            >
-              {row[header.id] === undefined ? "" : row[header.id]}
-            </div>
-          ))}
+          {columns.map(({ spacer, key, width, column: header, index }) => {
+            if (spacer) return renderSpacer(key, width);
+
+            const colIndex = index;
+            const isEditing =
+              editingCell?.rowIndex === actualIndex &&
+              editingCell.columnId === header.id;
+            const isDirty = !!rowEdits && header.id in rowEdits;
+            const isActiveCell =
+              selection?.focus.row === actualIndex &&
+              selection.focus.col === colIndex;
+            const isSelected = isInRange(selectionRange, actualIndex, colIndex);
+            const isActiveMatch =
+              activeMatch?.rowIndex === actualIndex &&
+              activeMatch.columnId === header.id;
+            const formulaError = getFormulaError(row, header.id);
+
+            return (
+              <div
+                className={`data-grid-cell ${
+                  isActiveMatch ? "active-match" : ""
+                } ${isDirty ? "dirty" : ""} ${
+                  isEditing ? "editing" : ""
+                } ${isActiveCell ? "active-cell" : ""} ${
+                  isSelected ? "selected" : ""
+                } ${header.formula != null ? "computed" : ""} cell-type-${
+                  columnTypes?.[header.id] || "text"
+                } ${getPinnedClassName(header)} ${header.wrap ? "wrap" : ""} ${
+                  header.getCellClassName?.(row[header.id], row, header) || ""
+                }`}
+                key={`${actualIndex}-${header.id}`}
+                id={getCellId(gridId, actualIndex, colIndex)}
+                role="gridcell"
+                aria-colindex={colIndex + 1}
+                aria-selected={isActiveCell || isSelected}
+                style={getColumnStyle(header)}
+                data-row-index={actualIndex}
+                data-column-id={header.id}
+              >
+                {colIndex === 0 && rowIssues && (
+                  <span
+                    className="row-issue-icon"
+                    title={rowIssues.map((issue) => issue.message).join("\n")}
+                  >
+                    ⚠
+                  </span>
+                )}
+                {isEditing ? (
+                  <CellEditor
+                    value={row[header.id]}
+                    type={columnTypes?.[header.id]}
+                    onCommit={onCommitEdit}
+                    onCancel={onCancelEdit}
+                  />
+                ) : formulaError ? (
+                  <span className="formula-error" title={formulaError}>
+                    ⚠ {formulaError}
+                  </span>
+                ) : header.renderCell ? (
+                  header.renderCell(row[header.id], row, header)
+                ) : (
+                  renderCellContent(
+                    row[header.id],
+                    columnTypes?.[header.id],
+                    search
+                  )
+                )}
+              </div>
+            );
+          })}
         </div>
       );
     });
-  }, [visibleData, headers, visibleRange.startIndex, totalWidth]);
+  }, [
+    visibleData,
+    columns,
+    visibleRange.startIndex,
+    rowHeights,
+    totalWidth,
+    search,
+    activeMatch,
+    getRowEdits,
+    getRowIssues,
+    getRowClassName,
+    selection,
+    selectionRange,
+    editingCell,
+    columnTypes,
+    columnNames,
+    onCommitEdit,
+    onCancelEdit,
+    onToggleGroup,
+    gridId,
+  ]);
+
+  // Measure the rendered rows when their height depends on wrapped text
+  useLayoutEffect(() => {
+    if (!rowHeights.measured || !containerRef.current) return;
+
+    // Rows above the one at the top of the viewport push it down when they
+    // grow, so their change is compensated in the scroll position
+    const anchorIndex = rowHeights.findIndexAtOffset(scrollTop);
+    let changed = false;
+    let scrollDelta = 0;
+
+    containerRef.current
+      .querySelectorAll(".data-grid-row[data-row-index]")
+      .forEach((row) => {
+        const index = Number(row.dataset.rowIndex);
+        const change = rowHeights.setHeight(index, row.offsetHeight);
+        if (change !== 0) {
+          changed = true;
+          if (index < anchorIndex) scrollDelta += change;
+        }
+      });
+
+    if (scrollDelta !== 0) onScrollAdjust?.(scrollDelta);
+    if (changed) setMeasureVersion((version) => version + 1);
+  }, [rowHeights, scrollTop, onScrollAdjust, visibleRows]);
 
   // Debug output shows how many rows are actually being rendered
   console.log("Virtualized rows rendering:", {
@@ -174,7 +472,11 @@ const VirtualizedRows = ({
         ref={topSentinelRef}
         style={{
           position: "absolute",
-          top: Math.max(0, visibleRange.startIndex * ROW_HEIGHT - ROW_HEIGHT),
+          top: Math.max(
+            0,
+            rowHeights.getOffset(visibleRange.startIndex) -
+              rowHeights.estimatedHeight
+          ),
           height: "2px",
           width: "100%",
           pointerEvents: "none",
@@ -200,7 +502,8 @@ const VirtualizedRows = ({
           position: "absolute",
           top: Math.min(
             totalHeight,
-            visibleRange.endIndex * ROW_HEIGHT + ROW_HEIGHT
+            rowHeights.getOffset(visibleRange.endIndex) +
+              rowHeights.estimatedHeight
           ),
           height: "2px",
           width: "100%",
@@ -1,4 +1,15 @@
 export const SAMPLE_CSV_NAME = "SampleCSVFile_556kb.csv";
 export const SAMPLE_CSV_URL =
   "https://dev-test-csv.tiiny.co/SampleCSVFile_556kb.csv";
-export const ROW_HEIGHT = 35; // Fixed row height for virtualization
+export const ROW_HEIGHT = 35; // Default row height for virtualization
+
+// Estimated row height for each grid density setting. Rows are exactly this
+// tall unless a column wraps its text, in which case rows are measured.
+export const DENSITY_ROW_HEIGHTS = {
+  compact: 28,
+  normal: ROW_HEIGHT,
+  comfortable: 44,
+};
+
+// Drag data type carrying a column id when a header cell is dragged
+export const COLUMN_DRAG_TYPE = "application/x-data-grid-column";
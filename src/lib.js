@@ -0,0 +1,8 @@
+/**
+ * Entry point of the library build (npm run build:lib), for embedding the
+ * grid in other apps. The styles are emitted next to it as data-grid.css.
+ */
+
+export { default as DataGrid } from "./components/DataGrid";
+export { renderCellValue } from "./components/CellRenderers";
+export { getViewState } from "./utils/viewState";
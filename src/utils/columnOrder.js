@@ -0,0 +1,50 @@
+import _ from "lodash";
+
+/**
+ * Column order and visibility. The order of the `headers` array is the
+ * display order (pinned columns are still moved to their edge by
+ * orderPinnedColumns), and a header with `hidden: true` isn't rendered or
+ * exported.
+ */
+
+/**
+ * Moves a column next to another one. Dropping a column among pinned
+ * columns pins it to that edge; dropping a pinned one among the others
+ * unpins it.
+ */
+export function moveColumn(headers, columnId, targetId, side) {
+  const moved = headers.find((header) => header.id === columnId);
+  const target = headers.find((header) => header.id === targetId);
+  if (!moved || !target || moved === target) return headers;
+
+  const rest = headers.filter((header) => header !== moved);
+  const index = rest.indexOf(target) + (side === "after" ? 1 : 0);
+  return [
+    ...rest.slice(0, index),
+    { ...moved, pinned: target.pinned },
+    ...rest.slice(index),
+  ];
+}
+
+export const setColumnHidden = (headers, columnId, hidden) =>
+  headers.map((header) =>
+    header.id === columnId ? { ...header, hidden } : header
+  );
+
+export const showAllColumns = (headers) =>
+  headers.map((header) =>
+    header.hidden ? { ...header, hidden: false } : header
+  );
+
+/**
+ * Puts the columns back in their original (file) order, all shown. Other
+ * settings such as widths and pinning are kept.
+ */
+export function resetColumnLayout(headers, originalHeaders) {
+  const position = new Map(
+    originalHeaders.map((header, index) => [header.id, index])
+  );
+  return showAllColumns(
+    _.sortBy(headers, (header) => position.get(header.id) ?? Infinity)
+  );
+}
@@ -0,0 +1,135 @@
+import {
+  getComparatorType,
+  isEmptyValue,
+  isNumericType,
+  toNumber,
+  toTimestamp,
+} from "./columnTypes";
+
+/**
+ * Column statistics for the profiling panel. These run in a worker (see
+ * workers/columnProfile.worker.js) since a pass over a million cells would
+ * otherwise stall scrolling.
+ */
+
+export const PROFILE_TOP_VALUES = 10;
+export const MAX_HISTOGRAM_BINS = 30;
+
+/**
+ * Splits sorted numbers into equal-width bins. The bin count follows
+ * Sturges' rule, capped so the bars stay readable.
+ */
+export function buildHistogram(sorted, maxBins = MAX_HISTOGRAM_BINS) {
+  if (sorted.length === 0) return [];
+
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (min === max) return [{ start: min, end: max, count: sorted.length }];
+
+  const binCount = Math.min(maxBins, Math.ceil(Math.log2(sorted.length)) + 1);
+  const width = (max - min) / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    start: min + i * width,
+    end: i === binCount - 1 ? max : min + (i + 1) * width,
+    count: 0,
+  }));
+
+  for (const value of sorted) {
+    // The maximum belongs to the last bin rather than one past it
+    const index = Math.min(binCount - 1, Math.floor((value - min) / width));
+    bins[index].count++;
+  }
+  return bins;
+}
+
+const median = (sorted) => {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Summary statistics for the numbers in a column
+ */
+function profileNumbers(numbers) {
+  if (numbers.length === 0) return null;
+
+  const sorted = Float64Array.from(numbers).sort();
+  let sum = 0;
+  for (const value of sorted) sum += value;
+  const mean = sum / sorted.length;
+
+  let squares = 0;
+  for (const value of sorted) squares += (value - mean) ** 2;
+
+  return {
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean,
+    median: median(sorted),
+    // Population standard deviation: the column is the whole data set
+    stddev: Math.sqrt(squares / sorted.length),
+    histogram: buildHistogram(sorted),
+  };
+}
+
+/**
+ * Profiles one column's values. `type` is the column type; numeric and
+ * date columns get extra statistics, and `invalidCount` counts non-empty
+ * values that don't parse as that type.
+ */
+export function profileColumn(values, type, topN = PROFILE_TOP_VALUES) {
+  const isNumeric = isNumericType(type);
+  const isDate = getComparatorType(type) === "date";
+  const counts = new Map();
+  const numbers = [];
+  let emptyCount = 0;
+  let invalidCount = 0;
+  let minDate = Infinity;
+  let maxDate = -Infinity;
+
+  for (const value of values) {
+    if (isEmptyValue(value)) {
+      emptyCount++;
+      continue;
+    }
+
+    const key = String(value);
+    counts.set(key, (counts.get(key) || 0) + 1);
+
+    if (isNumeric) {
+      const number = toNumber(value);
+      if (Number.isNaN(number)) {
+        invalidCount++;
+      } else {
+        numbers.push(number);
+      }
+    } else if (isDate) {
+      const time = toTimestamp(value);
+      if (Number.isNaN(time)) {
+        invalidCount++;
+      } else {
+        if (time < minDate) minDate = time;
+        if (time > maxDate) maxDate = time;
+      }
+    }
+  }
+
+  const topValues = [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, topN)
+    .map(([value, count]) => ({ value, count }));
+
+  return {
+    type,
+    count: values.length,
+    emptyCount,
+    invalidCount,
+    distinctCount: counts.size,
+    topValues,
+    numeric: isNumeric ? profileNumbers(numbers) : null,
+    dateRange:
+      isDate && minDate <= maxDate ? { min: minDate, max: maxDate } : null,
+  };
+}
@@ -0,0 +1,205 @@
+/**
+ * Column type inference. CSVUploader infers a type for every column from a
+ * sample of parsed rows and stores it on the header as `header.type`; the
+ * grid uses it to pick cell renderers, editors, filter operators and sort
+ * comparators. Users can override it from the header menu.
+ */
+
+export const COLUMN_TYPES = [
+  { id: "integer", label: "Integer", icon: "#" },
+  { id: "decimal", label: "Decimal", icon: "1.5" },
+  { id: "currency", label: "Currency", icon: "$" },
+  { id: "percent", label: "Percent", icon: "%" },
+  { id: "boolean", label: "Boolean", icon: "✓" },
+  { id: "date", label: "Date", icon: "📅" },
+  { id: "datetime", label: "Date & time", icon: "🕓" },
+  { id: "url", label: "URL", icon: "🔗" },
+  { id: "email", label: "Email", icon: "@" },
+  { id: "text", label: "Text", icon: "Aa" },
+];
+
+const NUMERIC_TYPES = new Set(["integer", "decimal", "currency", "percent"]);
+
+// Only this many rows are inspected when inferring a column's type
+export const TYPE_SAMPLE_SIZE = 500;
+
+const INTEGER_PATTERN = /^[+-]?\d{1,3}(,\d{3})+$/;
+const CURRENCY_PATTERN =
+  /^\(?[+-]?\s?([$€£¥₹]\s?\d[\d,]*(\.\d+)?|\d[\d,]*(\.\d+)?\s?[$€£¥₹])\)?$/;
+const PERCENT_PATTERN = /^[+-]?\d[\d,]*(\.\d+)?\s?%$/;
+const BOOLEAN_PATTERN = /^(true|false|yes|no)$/i;
+// Only ISO dates are recognised: "01/02/2024" is January 2 in some places
+// and February 1 in others, and can't be read either way without guessing
+const DATE_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+const DATETIME_PATTERN =
+  /^(\d{4})-(\d{1,2})-(\d{1,2})[T ](\d{1,2}):(\d{2})(?::(\d{2})(\.\d+)?)?(Z|([+-])(\d{2}):?(\d{2}))?$/;
+const URL_PATTERN = /^(https?:\/\/|www\.)[^\s]+$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Whether a date and time exist, e.g. not "2024-02-30" or "25:00"
+const isValidDateTime = (
+  year,
+  month,
+  day,
+  hours = 0,
+  minutes = 0,
+  seconds = 0
+) =>
+  month >= 1 &&
+  month <= 12 &&
+  day >= 1 &&
+  day <= new Date(Date.UTC(year, month, 0)).getUTCDate() &&
+  hours <= 23 &&
+  minutes <= 59 &&
+  seconds <= 59;
+
+export const isEmptyValue = (value) =>
+  value === null || value === undefined || value === "";
+
+export const isNumericType = (type) => NUMERIC_TYPES.has(type);
+
+export const getColumnTypeInfo = (type) =>
+  COLUMN_TYPES.find(({ id }) => id === type) ||
+  COLUMN_TYPES[COLUMN_TYPES.length - 1];
+
+// Checks used during inference, in order of preference. A column gets the
+// first type that every non-empty sampled value satisfies.
+const TYPE_CHECKS = [
+  [
+    "boolean",
+    (v) =>
+      typeof v === "boolean" ||
+      (typeof v === "string" && BOOLEAN_PATTERN.test(v)),
+  ],
+  [
+    "integer",
+    (v) =>
+      Number.isInteger(v) || (typeof v === "string" && INTEGER_PATTERN.test(v)),
+  ],
+  ["decimal", (v) => typeof v === "number"],
+  ["currency", (v) => typeof v === "string" && CURRENCY_PATTERN.test(v)],
+  ["percent", (v) => typeof v === "string" && PERCENT_PATTERN.test(v)],
+  [
+    "date",
+    (v) =>
+      typeof v === "string" &&
+      DATE_PATTERN.test(v) &&
+      !Number.isNaN(toTimestamp(v)),
+  ],
+  ["datetime", (v) => !Number.isNaN(toTimestamp(v))],
+  ["url", (v) => typeof v === "string" && URL_PATTERN.test(v)],
+  ["email", (v) => typeof v === "string" && EMAIL_PATTERN.test(v)],
+];
+
+/**
+ * Infers the type of one column from the first TYPE_SAMPLE_SIZE rows.
+ * Mixed columns, and columns with no values at all, are text.
+ */
+export function inferColumnType(rows, columnId) {
+  const values = [];
+  const sampleSize = Math.min(rows.length, TYPE_SAMPLE_SIZE);
+
+  for (let i = 0; i < sampleSize; i++) {
+    const value = rows[i][columnId];
+    if (isEmptyValue(value)) continue;
+    values.push(typeof value === "string" ? value.trim() : value);
+  }
+
+  if (values.length === 0) return "text";
+
+  const match = TYPE_CHECKS.find(([, check]) => values.every(check));
+  return match ? match[0] : "text";
+}
+
+/**
+ * Numeric value of a cell: plain numbers as-is, "$1,234.50" -> 1234.5,
+ * "12.5%" -> 12.5, booleans as 1/0. NaN when the cell isn't numeric.
+ */
+export function toNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (isEmptyValue(value)) return NaN;
+
+  const text = String(value).trim();
+  // Accounting-style "(12.00)" and a leading minus are both negative
+  const negative = /^\(.*\)$/.test(text) || /^[^\d]*-/.test(text);
+  const digits = text.replace(/[^\d.]/g, "");
+  if (!digits || !/\d/.test(digits)) return NaN;
+
+  const number = Number(digits);
+  return negative ? -number : number;
+}
+
+/**
+ * Timestamp of an ISO date/datetime cell, or NaN (also for dates that
+ * don't exist, like "2024-13-45"). Dates, and times without
+ * a UTC offset, are local time, so dates don't shift a day in negative
+ * timezones.
+ */
+export function toTimestamp(value) {
+  if (isEmptyValue(value) || typeof value !== "string") return NaN;
+
+  const text = value.trim();
+  const date = DATE_PATTERN.exec(text);
+  if (date) {
+    const [year, month, day] = date.slice(1).map(Number);
+    return isValidDateTime(year, month, day)
+      ? new Date(year, month - 1, day).getTime()
+      : NaN;
+  }
+
+  const datetime = DATETIME_PATTERN.exec(text);
+  if (!datetime) return NaN;
+  const [
+    ,
+    year,
+    month,
+    day,
+    hours,
+    minutes,
+    seconds = 0,
+    fraction = 0,
+    zone,
+    sign,
+    offsetHours,
+    offsetMinutes,
+  ] = datetime;
+  const values = [year, month, day, hours, minutes, seconds].map(Number);
+  if (!isValidDateTime(...values)) return NaN;
+  const parts = [
+    values[0],
+    values[1] - 1,
+    ...values.slice(2),
+    Math.round(Number(fraction) * 1000),
+  ];
+  if (!zone) return new Date(...parts).getTime();
+
+  // "Z" is UTC itself, "+02:00" is two hours ahead of it
+  const offset =
+    zone === "Z"
+      ? 0
+      : (sign === "-" ? -1 : 1) *
+        (Number(offsetHours) * 60 + Number(offsetMinutes));
+  return Date.UTC(...parts) - offset * 60 * 1000;
+}
+
+/**
+ * Boolean value of a cell, or null when it isn't a recognised boolean
+ */
+export function toBoolean(value) {
+  if (typeof value === "boolean") return value;
+  if (typeof value !== "string") return null;
+  const text = value.trim().toLowerCase();
+  if (text === "true" || text === "yes") return true;
+  if (text === "false" || text === "no") return false;
+  return null;
+}
+
+/**
+ * How a column compares when sorting: "number", "date" or "text"
+ */
+export function getComparatorType(type) {
+  if (isNumericType(type) || type === "boolean") return "number";
+  if (type === "date" || type === "datetime") return "date";
+  return "text";
+}
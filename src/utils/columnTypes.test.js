@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { inferColumnType, toNumber, toTimestamp } from "./columnTypes";
+
+const infer = (...values) =>
+  inferColumnType(
+    values.map((value) => ({ a: value })),
+    "a"
+  );
+
+describe("inferColumnType", () => {
+  it("picks the first type every value fits", () => {
+    expect(infer(1, 2, "")).toBe("integer");
+    expect(infer(1, 2.5)).toBe("decimal");
+    expect(infer("$1,200.50", "€3")).toBe("currency");
+    expect(infer("12%", "3.5 %")).toBe("percent");
+    expect(infer("yes", "No")).toBe("boolean");
+    expect(infer("2024-01-31", "2024-02-01")).toBe("date");
+    expect(infer("2024-01-31", "2024-02-01T10:30:00Z")).toBe("datetime");
+    expect(infer("https://example.com", "www.example.org")).toBe("url");
+    expect(infer("ann@example.com")).toBe("email");
+    expect(infer(1, "two")).toBe("text");
+    expect(infer("", null)).toBe("text");
+  });
+
+  it("only takes ISO dates that exist as dates", () => {
+    expect(infer("31/01/2024")).toBe("text");
+    expect(infer("31.01.2024")).toBe("text");
+    expect(infer("2024-13-45")).toBe("text");
+    expect(infer("2023-02-29")).toBe("text");
+    expect(infer("2024-02-29")).toBe("date");
+  });
+});
+
+describe("toNumber", () => {
+  it("reads formatted numbers", () => {
+    expect(toNumber("$1,234.50")).toBe(1234.5);
+    expect(toNumber("(12.00)")).toBe(-12);
+    expect(toNumber("-3%")).toBe(-3);
+    expect(toNumber(true)).toBe(1);
+    expect(toNumber("")).toBeNaN();
+    expect(toNumber("n/a")).toBeNaN();
+  });
+});
+
+describe("toTimestamp", () => {
+  it("reads dates and times without an offset as local time", () => {
+    expect(toTimestamp("2024-01-31")).toBe(new Date(2024, 0, 31).getTime());
+    expect(toTimestamp("2024-01-31 10:05:30.25")).toBe(
+      new Date(2024, 0, 31, 10, 5, 30, 250).getTime()
+    );
+  });
+
+  it("applies UTC offsets", () => {
+    expect(toTimestamp("2024-01-31T10:05Z")).toBe(Date.UTC(2024, 0, 31, 10, 5));
+    expect(toTimestamp("2024-01-31T10:05+02:00")).toBe(
+      Date.UTC(2024, 0, 31, 8, 5)
+    );
+  });
+
+  it("rejects other formats and dates that don't exist", () => {
+    expect(toTimestamp("01/02/2024")).toBeNaN();
+    expect(toTimestamp("2024-02-30")).toBeNaN();
+    expect(toTimestamp("2024-01-31 24:00")).toBeNaN();
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Horizontal (column) virtualization. Only the columns inside the viewport,
+ * plus a few on each side, are rendered; the skipped columns are replaced
+ * by spacer elements of the same total width so the row keeps its full
+ * width and every rendered cell stays at its usual x position. Pinned
+ * columns are always rendered because they are always visible.
+ */
+
+// Extra columns rendered on each side of the viewport
+export const COLUMN_OVERSCAN = 3;
+
+/**
+ * Returns what a row (or the header) should render, in order: either
+ * { column, index } for a real column (index in `columns`) or
+ * { spacer: true, key, width } for a run of skipped columns
+ */
+export function getRenderedColumns(
+  columns,
+  scrollLeft,
+  viewportWidth,
+  overscan = COLUMN_OVERSCAN
+) {
+  const items = [];
+  let x = 0;
+  let firstVisible = -1;
+  let lastVisible = -1;
+
+  // Pinned columns cover part of the viewport edges
+  let pinnedLeft = 0;
+  let pinnedRight = 0;
+  for (const column of columns) {
+    if (column.pinned === "left") pinnedLeft += column.width;
+    if (column.pinned === "right") pinnedRight += column.width;
+  }
+  const viewStart = scrollLeft + pinnedLeft;
+  const viewEnd = scrollLeft + viewportWidth - pinnedRight;
+
+  // Find the scrolling columns that intersect the viewport
+  const offsets = columns.map((column) => {
+    const offset = x;
+    x += column.width;
+    return offset;
+  });
+
+  columns.forEach((column, index) => {
+    if (column.pinned) return;
+    const start = offsets[index];
+    const end = start + column.width;
+    if (end > viewStart && start < viewEnd) {
+      if (firstVisible === -1) firstVisible = index;
+      lastVisible = index;
+    }
+  });
+
+  const from = firstVisible === -1 ? 0 : firstVisible - overscan;
+  const to = lastVisible === -1 ? overscan - 1 : lastVisible + overscan;
+
+  let spacerWidth = 0;
+  let spacerKey = null;
+  const flushSpacer = () => {
+    if (spacerWidth > 0) {
+      items.push({
+        spacer: true,
+        key: `spacer-${spacerKey}`,
+        width: spacerWidth,
+      });
+    }
+    spacerWidth = 0;
+    spacerKey = null;
+  };
+
+  columns.forEach((column, index) => {
+    if (column.pinned || (index >= from && index <= to)) {
+      flushSpacer();
+      items.push({ column, index });
+    } else {
+      if (spacerKey === null) spacerKey = column.id;
+      spacerWidth += column.width;
+    }
+  });
+  flushSpacer();
+
+  return items;
+}
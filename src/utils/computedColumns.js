@@ -0,0 +1,124 @@
+import { compileFormula } from "./formula";
+
+/**
+ * Computed columns are headers with a `formula` (see utils/formula.js),
+ * whose values are worked out from the other columns of each row. They
+ * are ordinary columns otherwise: sorted, filtered, resized and exported
+ * like the rest.
+ */
+
+// Formula errors of a row with computed columns: { [column id]: message }
+export const FORMULA_ERRORS = Symbol("formulaErrors");
+
+export const isComputedColumn = (header) => header.formula != null;
+
+/**
+ * Header for a computed column, sized like the ones built from a file
+ */
+export const createComputedHeader = ({ id, name, formula, type }) => ({
+  id,
+  name,
+  formula,
+  type,
+  inferredType: type,
+  width: 150,
+  minWidth: 50,
+  maxWidth: 500,
+  resizable: true,
+  sortable: true,
+});
+
+/**
+ * An id no other column has: "computed-1", "computed-2"...
+ */
+export function getComputedColumnId(headers) {
+  const ids = new Set(headers.map((header) => header.id));
+  let n = 1;
+  while (ids.has(`computed-${n}`)) n++;
+  return `computed-${n}`;
+}
+
+// The error message of a formula column in a row, if it has one
+export const getFormulaError = (row, columnId) =>
+  row[FORMULA_ERRORS]?.[columnId];
+
+/**
+ * Compiles the formula of every computed column in `headers`, in an order
+ * where each comes after the computed columns it refers to. Returns
+ * [{ header, formula, error }] where `formula` is from compileFormula and
+ * `error` is set instead when the formula is invalid or circular.
+ */
+export function compileComputedColumns(headers, columnTypes) {
+  const columns = headers.map((header) => ({
+    id: header.id,
+    name: header.name,
+    type: columnTypes[header.id],
+  }));
+  const compiled = new Map(
+    headers.filter(isComputedColumn).map((header) => {
+      try {
+        return [
+          header.id,
+          { header, formula: compileFormula(header.formula, columns) },
+        ];
+      } catch (error) {
+        return [header.id, { header, error: error.message }];
+      }
+    })
+  );
+
+  // Depth-first, so a column's references are ordered before it. Returns
+  // false when `id` is already being visited, i.e. on a circular reference;
+  // columns that depend on the circle fail along with it in applyFormulas.
+  const ordered = [];
+  const state = new Map(); // id -> "visiting" | "done"
+  const visit = (id) => {
+    const entry = compiled.get(id);
+    if (!entry || state.get(id) === "done") return true;
+    if (state.get(id) === "visiting") return false;
+    state.set(id, "visiting");
+    const references = entry.formula?.references || [];
+    if (!references.every(visit) && !entry.error) {
+      entry.error = "The formula refers back to itself";
+    }
+    state.set(id, "done");
+    ordered.push(entry);
+    return true;
+  };
+  compiled.forEach((_, id) => visit(id));
+  return ordered;
+}
+
+/**
+ * `rows` with the values of the computed columns in `headers` filled in.
+ * `columnTypes` tells how to read each column (see readCell in
+ * utils/formula.js). Rows get new objects only when there are computed
+ * columns; a cell whose formula failed is left empty and its message can
+ * be read with getFormulaError.
+ */
+export function applyFormulas(rows, headers, columnTypes) {
+  if (!headers.some(isComputedColumn)) return rows;
+  const compiled = compileComputedColumns(headers, columnTypes);
+
+  return rows.map((sourceRow) => {
+    const row = { ...sourceRow };
+    const errors = {};
+    for (const { header, formula, error } of compiled) {
+      // A column that refers to a failed one fails too
+      const failedReference = formula?.references.find((id) => errors[id]);
+      if (error || failedReference) {
+        row[header.id] = "";
+        errors[header.id] = error || errors[failedReference];
+        continue;
+      }
+      try {
+        row[header.id] = formula.evaluate(row);
+      } catch (evaluationError) {
+        row[header.id] = "";
+        errors[header.id] = evaluationError.message;
+      }
+    }
+    if (Object.keys(errors).length > 0) row[FORMULA_ERRORS] = errors;
+    return row;
+  });
+}
@@ -0,0 +1,87 @@
+import { inferColumnType } from "./columnTypes";
+import { defaultImportOptions } from "./importOptions";
+
+// Format headers for the DataGrid component. Column types are inferred from
+// the first parsed rows (unless type detection was turned off on import);
+// `inferredType` remembers the detection when the user overrides `type`
+// from the header menu.
+export const buildHeaders = (fields, sampleRows, detectTypes) =>
+  fields.map((field) => {
+    const type = detectTypes ? inferColumnType(sampleRows, field) : "text";
+    return {
+      id: field,
+      name: field,
+      type,
+      inferredType: type,
+      width: 150,
+      minWidth: 50,
+      maxWidth: 500,
+      resizable: true,
+      sortable: true,
+    };
+  });
+
+/**
+ * Parses all of `source` ({ file } or { url }, plus import `options`) in
+ * the parser worker (see workers/csvParser.worker.js), for when the rows
+ * aren't needed while they stream in. Resolves with
+ * { headers, rows, errorCount }; aborting `signal` stops the worker and
+ * rejects with an AbortError.
+ */
+export function readCSVFile(source, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(
+      new URL("../workers/csvParser.worker.js", import.meta.url),
+      { type: "module" }
+    );
+    const chunks = [];
+    let headers = null;
+
+    const handleAbort = () => {
+      worker.terminate();
+      reject(new DOMException("The file was not read", "AbortError"));
+    };
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener("abort", handleAbort);
+    };
+
+    if (signal?.aborted) {
+      handleAbort();
+      return;
+    }
+    signal?.addEventListener("abort", handleAbort);
+
+    worker.onmessage = ({ data: message }) => {
+      switch (message.type) {
+        case "chunk":
+          headers ??= buildHeaders(
+            message.fields || [],
+            message.rows,
+            (source.options || defaultImportOptions).detectTypes
+          );
+          chunks.push(message.rows);
+          break;
+        case "complete":
+          finish();
+          resolve({
+            headers: headers || [],
+            rows: chunks.flat(),
+            errorCount: message.errorCount,
+          });
+          break;
+        case "error":
+          finish();
+          reject(new Error(message.message));
+          break;
+      }
+    };
+
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message));
+    };
+
+    worker.postMessage(source);
+  });
+}
@@ -0,0 +1,62 @@
+/**
+ * Helpers for the ways data gets into the app besides the file picker:
+ * dropped files, pasted text and remote URLs (typed in, or passed as
+ * ?src=<url> when the page opens).
+ */
+
+export const SOURCE_URL_PARAM = "src";
+
+// Name given to data pasted from the clipboard
+export const PASTED_FILE_NAME = "Pasted data.csv";
+
+/**
+ * Validates a URL typed by the user. Relative URLs resolve against the
+ * page, so files served next to the app can be loaded by path.
+ * Throws an Error describing the problem otherwise.
+ */
+export function parseSourceUrl(text) {
+  let url;
+  try {
+    url = new URL(text.trim(), window.location.href);
+  } catch {
+    throw new Error(`"${text}" isn't a valid URL`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error("Only http:// and https:// URLs can be loaded");
+  }
+  return url.href;
+}
+
+/**
+ * File name to show for a URL: its last path segment, or the host name
+ */
+export function getFileNameFromUrl(href) {
+  const url = new URL(href);
+  const segment = url.pathname.split("/").filter(Boolean).pop();
+  if (!segment) return url.hostname;
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+/**
+ * The URL passed as ?src= in the page address, if any
+ */
+export const getSourceUrlParam = () =>
+  new URLSearchParams(window.location.search).get(SOURCE_URL_PARAM);
+
+/**
+ * Wraps pasted text in a File so it goes through the same import path as
+ * an uploaded one
+ */
+export const createPastedFile = (text) =>
+  new File([text], PASTED_FILE_NAME, { type: "text/plain" });
+
+/**
+ * Whether a drag carries files from outside the page (as opposed to, say,
+ * a column header being dragged within the grid)
+ */
+export const isFileDrag = (e) =>
+  Array.from(e.dataTransfer?.types || []).includes("Files");
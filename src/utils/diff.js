@@ -0,0 +1,123 @@
+/**
+ * Row and cell differences between two versions of a table. Rows are
+ * matched by the values of one or more key columns; a key that appears
+ * several times is matched in file order (first with first, and so on).
+ * Values are compared as text, so "1.0" and "1" differ just as they would
+ * in the files.
+ */
+
+export const DIFF_STATUSES = [
+  { id: "added", label: "Added" },
+  { id: "removed", label: "Removed" },
+  { id: "modified", label: "Modified" },
+  { id: "unchanged", label: "Unchanged" },
+];
+
+const toText = (value) => (value == null ? "" : String(value));
+
+const getRowKey = (row, keyColumns) =>
+  JSON.stringify(keyColumns.map((column) => toText(row[column])));
+
+/**
+ * Columns of both files by where they appear: in both, only in the new one
+ * (added) or only in the old one (removed), each in file order
+ */
+export function compareColumns(oldColumns, newColumns) {
+  const oldSet = new Set(oldColumns);
+  const newSet = new Set(newColumns);
+  return {
+    commonColumns: newColumns.filter((column) => oldSet.has(column)),
+    addedColumns: newColumns.filter((column) => !oldSet.has(column)),
+    removedColumns: oldColumns.filter((column) => !newSet.has(column)),
+  };
+}
+
+/**
+ * Compares `oldRows` with `newRows` (arrays of row objects) by
+ * `keyColumns`, which must be in both. Returns:
+ * - entries: one per row, { status, oldIndex, newIndex, changed } where
+ *   the indexes point into the inputs (null for the side a row is missing
+ *   from) and `changed` lists the common columns whose value differs.
+ *   Entries follow the new file, with removed rows placed after the row
+ *   that preceded them in the old one.
+ * - commonColumns, addedColumns, removedColumns: see compareColumns
+ * - counts: number of entries by status
+ * - duplicateKeys: how many key values appear more than once in a file
+ */
+export function diffTables({
+  oldColumns,
+  oldRows,
+  newColumns,
+  newRows,
+  keyColumns,
+}) {
+  const columns = compareColumns(oldColumns, newColumns);
+
+  // Old row indexes by key, consumed as new rows are matched to them
+  const oldByKey = new Map();
+  oldRows.forEach((row, index) => {
+    const key = getRowKey(row, keyColumns);
+    if (!oldByKey.has(key)) oldByKey.set(key, []);
+    oldByKey.get(key).push(index);
+  });
+  let duplicateKeys = 0;
+  for (const indexes of oldByKey.values()) {
+    if (indexes.length > 1) duplicateKeys++;
+  }
+
+  // New index matched to each old row
+  const matches = new Array(oldRows.length).fill(null);
+  const newKeyCounts = new Map();
+  const newEntries = newRows.map((row, newIndex) => {
+    const key = getRowKey(row, keyColumns);
+    const count = (newKeyCounts.get(key) || 0) + 1;
+    newKeyCounts.set(key, count);
+    if (count === 2) duplicateKeys++;
+
+    const oldIndex = oldByKey.get(key)?.shift();
+    if (oldIndex === undefined) {
+      return { status: "added", oldIndex: null, newIndex, changed: [] };
+    }
+    matches[oldIndex] = newIndex;
+    const oldRow = oldRows[oldIndex];
+    const changed = columns.commonColumns.filter(
+      (column) => toText(oldRow[column]) !== toText(row[column])
+    );
+    return {
+      status: changed.length > 0 ? "modified" : "unchanged",
+      oldIndex,
+      newIndex,
+      changed,
+    };
+  });
+
+  // Removed rows by the new index of the last matched row before them in
+  // the old file (-1 when there is none)
+  const removedAfter = new Map();
+  let previous = -1;
+  matches.forEach((newIndex, oldIndex) => {
+    if (newIndex !== null) {
+      previous = newIndex;
+      return;
+    }
+    if (!removedAfter.has(previous)) removedAfter.set(previous, []);
+    removedAfter.get(previous).push({
+      status: "removed",
+      oldIndex,
+      newIndex: null,
+      changed: [],
+    });
+  });
+
+  const entries = [...(removedAfter.get(-1) || [])];
+  newEntries.forEach((entry, newIndex) => {
+    entries.push(entry, ...(removedAfter.get(newIndex) || []));
+  });
+
+  const counts = Object.fromEntries(
+    DIFF_STATUSES.map((status) => [status.id, 0])
+  );
+  for (const entry of entries) counts[entry.status]++;
+
+  return { entries, ...columns, counts, duplicateKeys };
+}
@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { diffTables } from "./diff";
+
+describe("diffTables", () => {
+  it("matches rows by key and finds changed cells", () => {
+    const result = diffTables({
+      oldColumns: ["id", "name", "city"],
+      oldRows: [
+        { id: "1", name: "Ann", city: "Oslo" },
+        { id: "2", name: "Bob", city: "Rome" },
+        { id: "3", name: "Cy", city: "Lima" },
+      ],
+      newColumns: ["id", "name", "email"],
+      newRows: [
+        { id: "1", name: "Ann", email: "a@x.io" },
+        { id: "3", name: "Cyd", email: "c@x.io" },
+        { id: "4", name: "Dee", email: "d@x.io" },
+      ],
+      keyColumns: ["id"],
+    });
+
+    expect(result.entries).toEqual([
+      { status: "unchanged", oldIndex: 0, newIndex: 0, changed: [] },
+      { status: "removed", oldIndex: 1, newIndex: null, changed: [] },
+      { status: "modified", oldIndex: 2, newIndex: 1, changed: ["name"] },
+      { status: "added", oldIndex: null, newIndex: 2, changed: [] },
+    ]);
+    expect(result.commonColumns).toEqual(["id", "name"]);
+    expect(result.addedColumns).toEqual(["email"]);
+    expect(result.removedColumns).toEqual(["city"]);
+    expect(result.counts).toEqual({
+      added: 1,
+      removed: 1,
+      modified: 1,
+      unchanged: 1,
+    });
+  });
+
+  it("matches repeated keys in file order and counts them", () => {
+    const result = diffTables({
+      oldColumns: ["k", "v"],
+      oldRows: [
+        { k: "a", v: "1" },
+        { k: "a", v: "2" },
+      ],
+      newColumns: ["k", "v"],
+      newRows: [
+        { k: "a", v: "1" },
+        { k: "a", v: "3" },
+      ],
+      keyColumns: ["k"],
+    });
+
+    expect(result.entries.map((entry) => entry.status)).toEqual([
+      "unchanged",
+      "modified",
+    ]);
+    expect(result.duplicateKeys).toBe(2);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Cell edit tracking for the grid. Edits are stored as a sparse overlay on
+ * top of the data as originally parsed, keyed by the row's index in that
+ * data, so the original rows are never mutated and discarding is free.
+ *
+ * State shape:
+ *   edits: { [rowIndex]: { [columnId]: value } }
+ *   undoStack / redoStack: [{ rowIndex, columnId, before, after, original }]
+ */
+
+export const initialEditState = {
+  edits: {},
+  undoStack: [],
+  redoStack: [],
+};
+
+// Older entries are dropped past this point to bound memory use
+const MAX_HISTORY = 500;
+
+/**
+ * Sets a cell in the overlay. Writing the original value back removes the
+ * override, so a cell that was edited and then restored isn't dirty.
+ */
+function setCell(edits, { rowIndex, columnId, original }, value) {
+  const rowEdits = { ...(edits[rowIndex] || {}) };
+
+  if (value === original) {
+    delete rowEdits[columnId];
+  } else {
+    rowEdits[columnId] = value;
+  }
+
+  const next = { ...edits };
+  if (Object.keys(rowEdits).length === 0) {
+    delete next[rowIndex];
+  } else {
+    next[rowIndex] = rowEdits;
+  }
+  return next;
+}
+
+export function editReducer(state, action) {
+  switch (action.type) {
+    case "edit": {
+      const { rowIndex, columnId, before, after, original } = action;
+      if (before === after) return state;
+
+      const entry = { rowIndex, columnId, before, after, original };
+      return {
+        edits: setCell(state.edits, entry, after),
+        undoStack: [...state.undoStack, entry].slice(-MAX_HISTORY),
+        redoStack: [],
+      };
+    }
+    case "undo": {
+      const entry = state.undoStack[state.undoStack.length - 1];
+      if (!entry) return state;
+      return {
+        edits: setCell(state.edits, entry, entry.before),
+        undoStack: state.undoStack.slice(0, -1),
+        redoStack: [...state.redoStack, entry],
+      };
+    }
+    case "redo": {
+      const entry = state.redoStack[state.redoStack.length - 1];
+      if (!entry) return state;
+      return {
+        edits: setCell(state.edits, entry, entry.after),
+        undoStack: [...state.undoStack, entry],
+        redoStack: state.redoStack.slice(0, -1),
+      };
+    }
+    case "discard":
+      return initialEditState;
+    default:
+      return state;
+  }
+}
+
+/**
+ * Returns the data with every edit applied. Unedited rows keep their
+ * original object identity.
+ */
+export function applyEdits(data, edits) {
+  const editedIndexes = Object.keys(edits);
+  if (editedIndexes.length === 0) return data;
+
+  const result = data.slice();
+  for (const index of editedIndexes) {
+    if (result[index]) result[index] = { ...result[index], ...edits[index] };
+  }
+  return result;
+}
+
+/**
+ * Converts the text typed into a cell editor into a value of the column's
+ * type, mirroring what Papa's dynamicTyping produces when parsing.
+ * Currency and percent cells keep their formatting, so they stay text.
+ */
+export function parseEditorValue(text, type) {
+  if (text === "") return null;
+
+  if (type === "integer" || type === "decimal") {
+    const number = Number(text);
+    return Number.isNaN(number) ? text : number;
+  }
+
+  if (type === "boolean" && (text === "true" || text === "false")) {
+    return text === "true";
+  }
+
+  return text;
+}
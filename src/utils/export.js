@@ -0,0 +1,123 @@
+import Papa from "papaparse";
+
+export const EXPORT_FORMATS = [
+  { id: "csv", label: "CSV", extension: "csv", mimeType: "text/csv" },
+  {
+    id: "tsv",
+    label: "TSV",
+    extension: "tsv",
+    mimeType: "text/tab-separated-values",
+  },
+  {
+    id: "json",
+    label: "JSON",
+    extension: "json",
+    mimeType: "application/json",
+  },
+  {
+    id: "ndjson",
+    label: "NDJSON",
+    extension: "ndjson",
+    mimeType: "application/x-ndjson",
+  },
+];
+
+// Rows serialized per batch before yielding back to the event loop
+const BATCH_SIZE = 5000;
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Plain object holding only the exported columns, in display order
+const pickColumns = (row, headers) =>
+  Object.fromEntries(
+    headers.map((header) => [header.name, row[header.id] ?? null])
+  );
+
+/**
+ * Serializes one batch of rows. Batches are kept as separate strings and
+ * handed to the Blob constructor as parts, so no single giant string is
+ * ever built.
+ */
+function serializeBatch(rows, headers, format, isFirst) {
+  switch (format) {
+    case "csv":
+    case "tsv": {
+      const text = Papa.unparse(
+        {
+          fields: headers.map((header) => header.name),
+          data: rows.map((row) => headers.map((header) => row[header.id])),
+        },
+        { header: isFirst, delimiter: format === "tsv" ? "\t" : "," }
+      );
+      return isFirst ? text : `\r\n${text}`;
+    }
+    case "json":
+      return rows
+        .map(
+          (row, i) =>
+            `${isFirst && i === 0 ? "" : ",\n"}  ${JSON.stringify(
+              pickColumns(row, headers),
+              null,
+              2
+            ).replace(/\n/g, "\n  ")}`
+        )
+        .join("");
+    case "ndjson":
+      return rows
+        .map((row) => `${JSON.stringify(pickColumns(row, headers))}\n`)
+        .join("");
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Builds a Blob of `rows` restricted to `headers` (in that order) in the
+ * given format. Work is split into batches with a yield in between, so
+ * exporting a large data set doesn't freeze the page.
+ */
+export async function exportRows(rows, headers, format) {
+  const { mimeType } = EXPORT_FORMATS.find(({ id }) => id === format);
+  const parts = [];
+
+  if (format === "json") parts.push("[\n");
+
+  for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+    const batch = rows.slice(start, start + BATCH_SIZE);
+    parts.push(serializeBatch(batch, headers, format, start === 0));
+    await nextTick();
+  }
+
+  // Header-only CSV/TSV when there are no rows to export
+  if (rows.length === 0 && (format === "csv" || format === "tsv")) {
+    parts.push(serializeBatch([], headers, format, true));
+  }
+
+  if (format === "json") parts.push(rows.length > 0 ? "\n]\n" : "]\n");
+
+  return new Blob(parts, { type: `${mimeType};charset=utf-8` });
+}
+
+/**
+ * Triggers a browser download of a Blob
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Builds the download name, e.g. "sales.csv" -> "sales-export.tsv"
+ */
+export function getExportFileName(sourceName, format) {
+  const { extension } = EXPORT_FORMATS.find(({ id }) => id === format);
+  const baseName = (sourceName || "data").replace(/\.[^.]+$/, "");
+  return `${baseName}-export.${extension}`;
+}
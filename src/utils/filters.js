@@ -0,0 +1,165 @@
+import _ from "lodash";
+import { isEmptyValue, isNumericType, toNumber } from "./columnTypes";
+
+/**
+ * Operators offered for number columns
+ */
+export const NUMBER_OPERATORS = [
+  { id: "eq", label: "=" },
+  { id: "neq", label: "≠" },
+  { id: "lt", label: "<" },
+  { id: "lte", label: "≤" },
+  { id: "gt", label: ">" },
+  { id: "gte", label: "≥" },
+  { id: "between", label: "between" },
+  { id: "empty", label: "is empty" },
+];
+
+/**
+ * Operators offered for text columns
+ */
+export const TEXT_OPERATORS = [
+  { id: "contains", label: "contains" },
+  { id: "startsWith", label: "starts with" },
+  { id: "regex", label: "matches regex" },
+  { id: "oneOf", label: "is one of" },
+  { id: "empty", label: "is empty" },
+];
+
+/**
+ * Which operator set a column type gets: "number" or "text"
+ */
+export const getFilterKind = (type) =>
+  isNumericType(type) ? "number" : "text";
+
+export const getOperators = (kind) =>
+  kind === "number" ? NUMBER_OPERATORS : TEXT_OPERATORS;
+
+/**
+ * Returns up to `limit` distinct values of a column, most frequent first,
+ * for the "is one of" checklist
+ */
+export function getDistinctValues(data, columnId, limit = 1000) {
+  const counts = new Map();
+
+  for (const row of data) {
+    const value = row[columnId];
+    const key = isEmptyValue(value) ? "" : String(value);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  return _.take(
+    _.orderBy([...counts], [1, 0], ["desc", "asc"]).map(([value, count]) => ({
+      value,
+      count,
+    })),
+    limit
+  );
+}
+
+/**
+ * Builds a RegExp for the regex operator, or null when the pattern is invalid
+ */
+export function toFilterRegex(pattern) {
+  try {
+    return new RegExp(pattern, "i");
+  } catch {
+    return null;
+  }
+}
+
+// Numbers typed into the filter popover
+const toOperand = (value) => (isEmptyValue(value) ? NaN : Number(value));
+
+/**
+ * Compiles a filter definition into a predicate over a single cell value.
+ * Returns null for filters that are incomplete or invalid, which are then
+ * ignored rather than hiding every row.
+ */
+export function compileFilter(filter, kind) {
+  if (!filter || !filter.operator) return null;
+  const { operator, value, value2, values } = filter;
+
+  if (operator === "empty") return isEmptyValue;
+
+  if (kind === "number") {
+    const a = toOperand(value);
+    const b = toOperand(value2);
+
+    if (operator === "between") {
+      if (Number.isNaN(a) || Number.isNaN(b)) return null;
+      const [low, high] = a <= b ? [a, b] : [b, a];
+      return (cell) => {
+        const number = toNumber(cell);
+        return number >= low && number <= high;
+      };
+    }
+
+    if (Number.isNaN(a)) return null;
+
+    // Comparisons against NaN are false, so non-numeric cells never match
+    // an ordering operator
+    switch (operator) {
+      case "eq":
+        return (cell) => toNumber(cell) === a;
+      case "neq":
+        return (cell) => toNumber(cell) !== a;
+      case "lt":
+        return (cell) => toNumber(cell) < a;
+      case "lte":
+        return (cell) => toNumber(cell) <= a;
+      case "gt":
+        return (cell) => toNumber(cell) > a;
+      case "gte":
+        return (cell) => toNumber(cell) >= a;
+      default:
+        return null;
+    }
+  }
+
+  switch (operator) {
+    case "contains": {
+      if (!value) return null;
+      const needle = String(value).toLowerCase();
+      return (cell) =>
+        !isEmptyValue(cell) && String(cell).toLowerCase().includes(needle);
+    }
+    case "startsWith": {
+      if (!value) return null;
+      const needle = String(value).toLowerCase();
+      return (cell) =>
+        !isEmptyValue(cell) && String(cell).toLowerCase().startsWith(needle);
+    }
+    case "regex": {
+      const regex = value ? toFilterRegex(value) : null;
+      if (!regex) return null;
+      return (cell) => !isEmptyValue(cell) && regex.test(String(cell));
+    }
+    case "oneOf": {
+      if (!values || values.length === 0) return null;
+      const allowed = new Set(values);
+      return (cell) => allowed.has(isEmptyValue(cell) ? "" : String(cell));
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Returns the rows matching every active filter. `filters` maps column ids
+ * to filter definitions and `columnTypes` maps column ids to column types.
+ */
+export function applyFilters(data, filters, columnTypes) {
+  const predicates = Object.entries(filters)
+    .map(([columnId, filter]) => [
+      columnId,
+      compileFilter(filter, getFilterKind(columnTypes[columnId])),
+    ])
+    .filter(([, predicate]) => predicate);
+
+  if (predicates.length === 0) return data;
+
+  return data.filter((row) =>
+    predicates.every(([columnId, predicate]) => predicate(row[columnId]))
+  );
+}
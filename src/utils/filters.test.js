@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import { applyFilters, compileFilter, getDistinctValues } from "./filters";
+
+describe("compileFilter", () => {
+  it("compares number cells, including formatted ones", () => {
+    const greater = compileFilter({ operator: "gt", value: "1000" }, "number");
+
+    expect(greater(1200)).toBe(true);
+    expect(greater("$1,200")).toBe(true);
+    expect(greater("900")).toBe(false);
+    expect(greater("n/a")).toBe(false);
+  });
+
+  it("matches between either way round, with formatted cells", () => {
+    const between = compileFilter(
+      { operator: "between", value: "20", value2: "10" },
+      "number"
+    );
+
+    expect(between(15)).toBe(true);
+    expect(between("15%")).toBe(true);
+    expect(between("$1,200")).toBe(false);
+    expect(between("")).toBe(false);
+  });
+
+  it("matches text case-insensitively", () => {
+    expect(
+      compileFilter({ operator: "contains", value: "OR" }, "text")("North")
+    ).toBe(true);
+    expect(
+      compileFilter({ operator: "startsWith", value: "no" }, "text")("North")
+    ).toBe(true);
+    expect(
+      compileFilter({ operator: "regex", value: "^n.*h$" }, "text")("North")
+    ).toBe(true);
+  });
+
+  it("matches one of the picked values, with empty cells as blank", () => {
+    const oneOf = compileFilter(
+      { operator: "oneOf", values: ["a", ""] },
+      "text"
+    );
+
+    expect(oneOf("a")).toBe(true);
+    expect(oneOf(null)).toBe(true);
+    expect(oneOf("b")).toBe(false);
+  });
+
+  it("ignores incomplete and invalid filters", () => {
+    expect(compileFilter({ operator: "gt", value: "" }, "number")).toBeNull();
+    expect(compileFilter({ operator: "regex", value: "(" }, "text")).toBeNull();
+    expect(compileFilter({ operator: "oneOf", values: [] }, "text")).toBeNull();
+  });
+});
+
+describe("applyFilters", () => {
+  const rows = [
+    { name: "Ann", age: "31" },
+    { name: "Bob", age: "" },
+    { name: "Cy", age: "45" },
+  ];
+
+  it("keeps the rows matching every filter", () => {
+    expect(
+      applyFilters(
+        rows,
+        {
+          age: { operator: "gte", value: "30" },
+          name: { operator: "contains", value: "c" },
+        },
+        { age: "integer", name: "text" }
+      )
+    ).toEqual([rows[2]]);
+  });
+
+  it("returns the same rows when no filter applies", () => {
+    expect(
+      applyFilters(rows, { age: { operator: "gt" } }, { age: "integer" })
+    ).toBe(rows);
+  });
+});
+
+describe("getDistinctValues", () => {
+  it("counts values, most frequent first", () => {
+    expect(
+      getDistinctValues([{ a: "x" }, { a: "y" }, { a: "y" }, { a: null }], "a")
+    ).toEqual([
+      { value: "y", count: 2 },
+      { value: "", count: 1 },
+      { value: "x", count: 1 },
+    ]);
+  });
+});
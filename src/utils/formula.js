@@ -0,0 +1,841 @@
+import {
+  isEmptyValue,
+  isNumericType,
+  toBoolean,
+  toNumber,
+  toTimestamp,
+} from "./columnTypes";
+
+/**
+ * Formula language for computed columns, e.g.
+ *   price * quantity
+ *   upper(name) & " (" & [Country Code] & ")"
+ *   if(status == "paid", amount, 0)
+ *
+ * Columns are referred to by header name, bare when the name is a simple
+ * identifier and in brackets otherwise. Values are numbers, text, booleans,
+ * dates and null (an empty cell); arithmetic on null gives null. Formulas
+ * are tokenized, parsed into a tree and compiled into plain functions, so
+ * nothing is ever handed to eval.
+ *
+ *   or, ||   and, &&   not, !          logic
+ *   == (=)  != (<>)  <  <=  >  >=      comparison
+ *   &                                  text concatenation
+ *   +  -  *  /  %  ^                   arithmetic; date ± days, date - date
+ * plus the functions in FUNCTIONS.
+ */
+
+/**
+ * A formula that can't be parsed (with the `position` in the formula it
+ * was found at) or a value it can't compute (without one)
+ */
+export class FormulaError extends Error {
+  constructor(message, position = null) {
+    super(message);
+    this.name = "FormulaError";
+    this.position = position;
+  }
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const OPERATORS = [
+  "==",
+  "!=",
+  "<>",
+  "<=",
+  ">=",
+  "&&",
+  "||",
+  "<",
+  ">",
+  "=",
+  "+",
+  "-",
+  "*",
+  "/",
+  "%",
+  "^",
+  "&",
+  "!",
+];
+
+const NUMBER_PATTERN = /^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/;
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_.]*/;
+const KEYWORDS = new Set(["true", "false", "null", "and", "or", "not"]);
+
+/**
+ * Splits a formula into { type, value, position } tokens: number, string,
+ * name, column (a [bracketed] name), operator, "(", ")", "," and end
+ */
+export function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const rest = source.slice(position);
+    const char = source[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    const number = NUMBER_PATTERN.exec(rest);
+    if (number) {
+      tokens.push({ type: "number", value: Number(number[0]), position });
+      position += number[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = "";
+      let end = position + 1;
+      while (end < source.length && source[end] !== char) {
+        // A backslash escapes the next character, quotes included
+        if (source[end] === "\\" && end + 1 < source.length) end++;
+        value += source[end];
+        end++;
+      }
+      if (end >= source.length) {
+        throw new FormulaError("Text is missing its closing quote", position);
+      }
+      tokens.push({ type: "string", value, position });
+      position = end + 1;
+      continue;
+    }
+
+    if (char === "[") {
+      const end = source.indexOf("]", position);
+      if (end === -1) {
+        throw new FormulaError(
+          "Column name is missing its closing ]",
+          position
+        );
+      }
+      tokens.push({
+        type: "column",
+        value: source.slice(position + 1, end),
+        position,
+      });
+      position = end + 1;
+      continue;
+    }
+
+    const name = NAME_PATTERN.exec(rest);
+    if (name) {
+      const keyword = name[0].toLowerCase();
+      tokens.push({
+        type: KEYWORDS.has(keyword) ? "keyword" : "name",
+        value: KEYWORDS.has(keyword) ? keyword : name[0],
+        position,
+      });
+      position += name[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find((op) => rest.startsWith(op));
+    if (operator) {
+      tokens.push({ type: "operator", value: operator, position });
+      position += operator.length;
+      continue;
+    }
+
+    if (char === "(" || char === ")" || char === ",") {
+      tokens.push({ type: char, value: char, position });
+      position++;
+      continue;
+    }
+
+    throw new FormulaError(`Unexpected character "${char}"`, position);
+  }
+
+  tokens.push({ type: "end", value: "", position: source.length });
+  return tokens;
+}
+
+// Binary operators from the loosest to the tightest binding. Comparisons
+// don't chain; the others associate to the left, except ^.
+const PRECEDENCE = [
+  { operators: ["or", "||"] },
+  { operators: ["and", "&&"] },
+  // not applies to a whole comparison: not a == b is not (a == b)
+  { prefix: ["not", "!"] },
+  { operators: ["==", "=", "!=", "<>", "<", "<=", ">", ">="], single: true },
+  { operators: ["&"] },
+  { operators: ["+", "-"] },
+  { operators: ["*", "/", "%"] },
+];
+
+// Spelling variants, so the tree only has one name per operator
+const OPERATOR_ALIASES = { "||": "or", "&&": "and", "=": "==", "<>": "!=" };
+
+/**
+ * Parses a formula into a tree of nodes:
+ *   { type: "literal", value }
+ *   { type: "column", name }
+ *   { type: "unary", operator, operand }
+ *   { type: "binary", operator, left, right }
+ *   { type: "call", name, args }
+ * Every node has the `position` it starts at.
+ */
+export function parseFormula(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOperator = (token, operators) =>
+    (token.type === "operator" || token.type === "keyword") &&
+    operators.includes(token.value);
+  const expect = (type, description) => {
+    const token = next();
+    if (token.type !== type) {
+      throw new FormulaError(
+        `Expected ${description} ${describeToken(token)}`,
+        token.position
+      );
+    }
+    return token;
+  };
+
+  const parseBinary = (level) => {
+    if (level === PRECEDENCE.length) return parseUnary();
+    const { operators, single, prefix } = PRECEDENCE[level];
+    if (prefix) {
+      const token = peek();
+      if (!isOperator(token, prefix)) return parseBinary(level + 1);
+      next();
+      return {
+        type: "unary",
+        operator: "not",
+        operand: parseBinary(level),
+        position: token.position,
+      };
+    }
+    let left = parseBinary(level + 1);
+    while (isOperator(peek(), operators)) {
+      const token = next();
+      const right = parseBinary(level + 1);
+      left = {
+        type: "binary",
+        operator: OPERATOR_ALIASES[token.value] || token.value,
+        left,
+        right,
+        position: token.position,
+      };
+      if (single && isOperator(peek(), operators)) {
+        throw new FormulaError(
+          "Comparisons can't be chained; combine them with and",
+          peek().position
+        );
+      }
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (isOperator(token, ["-"])) {
+      next();
+      return {
+        type: "unary",
+        operator: "-",
+        operand: parseUnary(),
+        position: token.position,
+      };
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (!isOperator(peek(), ["^"])) return base;
+    const token = next();
+    return {
+      type: "binary",
+      operator: "^",
+      left: base,
+      right: parseUnary(),
+      position: token.position,
+    };
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    switch (token.type) {
+      case "number":
+      case "string":
+        return {
+          type: "literal",
+          value: token.value,
+          position: token.position,
+        };
+      case "keyword":
+        if (token.value === "true" || token.value === "false") {
+          return {
+            type: "literal",
+            value: token.value === "true",
+            position: token.position,
+          };
+        }
+        if (token.value === "null") {
+          return { type: "literal", value: null, position: token.position };
+        }
+        break;
+      case "column":
+        return { type: "column", name: token.value, position: token.position };
+      case "name":
+        if (peek().type !== "(") {
+          return {
+            type: "column",
+            name: token.value,
+            position: token.position,
+          };
+        }
+        return parseCall(token);
+      case "(": {
+        const expression = parseBinary(0);
+        expect(")", "a closing )");
+        return expression;
+      }
+    }
+    throw new FormulaError(
+      `Expected a value ${describeToken(token)}`,
+      token.position
+    );
+  };
+
+  const parseCall = (nameToken) => {
+    next(); // (
+    const args = [];
+    if (peek().type !== ")") {
+      args.push(parseBinary(0));
+      while (peek().type === ",") {
+        next();
+        args.push(parseBinary(0));
+      }
+    }
+    expect(")", "a comma or a closing )");
+    return {
+      type: "call",
+      name: nameToken.value,
+      args,
+      position: nameToken.position,
+    };
+  };
+
+  if (peek().type === "end") throw new FormulaError("Enter a formula", 0);
+  const tree = parseBinary(0);
+  const rest = peek();
+  if (rest.type !== "end") {
+    throw new FormulaError(
+      `Expected an operator ${describeToken(rest)}`,
+      rest.position
+    );
+  }
+  return tree;
+}
+
+function describeToken(token) {
+  switch (token.type) {
+    case "end":
+      return "at the end of the formula";
+    case "string":
+      return `before "${token.value}"`;
+    case "column":
+      return `before [${token.value}]`;
+    default:
+      return `before "${token.value}"`;
+  }
+}
+
+// Values
+
+const describeValue = (value) => {
+  if (value instanceof Date) return "a date";
+  if (typeof value === "string") return `"${value}"`;
+  return String(value);
+};
+
+const asNumber = (value) => {
+  if (typeof value === "number") return value;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (typeof value === "string" && value.trim() !== "") {
+    const number = Number(value);
+    if (!Number.isNaN(number)) return number;
+  }
+  throw new FormulaError(`Expected a number, got ${describeValue(value)}`);
+};
+
+const asDate = (value) => {
+  if (value instanceof Date) return value;
+  if (typeof value === "string") {
+    const time = toTimestamp(value);
+    if (!Number.isNaN(time)) return new Date(time);
+  }
+  throw new FormulaError(`Expected a date, got ${describeValue(value)}`);
+};
+
+const pad = (number, length = 2) => String(number).padStart(length, "0");
+
+// Dates become text the way they'd be written in a CSV file
+const formatDate = (date) => {
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+  return date.getHours() || date.getMinutes() || date.getSeconds()
+    ? `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(
+        date.getSeconds()
+      )}`
+    : day;
+};
+
+const asText = (value) => {
+  if (value === null) return "";
+  if (value instanceof Date) return formatDate(value);
+  return String(value);
+};
+
+export const isTruthy = (value) => {
+  if (value === null) return false;
+  if (typeof value === "string") return value !== "";
+  if (typeof value === "number") return value !== 0 && !Number.isNaN(value);
+  return Boolean(value);
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const collator = new Intl.Collator(undefined, { numeric: true });
+
+// Sort order of two non-null values: numbers and dates by value, text
+// alphabetically, text against a number by its numeric value if it has one
+export const compareValues = (a, b) => {
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  if (typeof left === typeof right) {
+    return typeof left === "string"
+      ? collator.compare(left, right)
+      : Number(left) - Number(right);
+  }
+  if (typeof left === "number" || typeof right === "number") {
+    const leftNumber = Number(left);
+    const rightNumber = Number(right);
+    if (!Number.isNaN(leftNumber) && !Number.isNaN(rightNumber)) {
+      return leftNumber - rightNumber;
+    }
+  }
+  return collator.compare(asText(a), asText(b));
+};
+
+// Result of `operator` on two evaluated operands
+function applyOperator(operator, a, b) {
+  switch (operator) {
+    case "&":
+      return asText(a) + asText(b);
+    case "==":
+      return a === null || b === null ? a === b : compareValues(a, b) === 0;
+    case "!=":
+      return a === null || b === null ? a !== b : compareValues(a, b) !== 0;
+  }
+
+  // Anything else with an empty operand is empty
+  if (a === null || b === null) return null;
+
+  switch (operator) {
+    case "<":
+      return compareValues(a, b) < 0;
+    case "<=":
+      return compareValues(a, b) <= 0;
+    case ">":
+      return compareValues(a, b) > 0;
+    case ">=":
+      return compareValues(a, b) >= 0;
+    case "+":
+      if (a instanceof Date) return addDays(a, asNumber(b));
+      if (b instanceof Date) return addDays(b, asNumber(a));
+      return asNumber(a) + asNumber(b);
+    case "-":
+      if (a instanceof Date && b instanceof Date) return (a - b) / DAY;
+      if (a instanceof Date) return addDays(a, -asNumber(b));
+      return asNumber(a) - asNumber(b);
+    case "*":
+      return asNumber(a) * asNumber(b);
+    case "/":
+    case "%": {
+      const divisor = asNumber(b);
+      if (divisor === 0) throw new FormulaError("Division by zero");
+      return operator === "/" ? asNumber(a) / divisor : asNumber(a) % divisor;
+    }
+    case "^":
+      return asNumber(a) ** asNumber(b);
+  }
+  throw new FormulaError(`Unknown operator ${operator}`);
+}
+
+// Functions
+
+// A function of evaluated arguments, null when a required one is empty
+const strict =
+  (fn) =>
+  (...args) =>
+    args.some((arg) => arg === null) ? null : fn(...args);
+
+const nonEmpty = (args) => args.filter((arg) => arg !== null);
+
+/**
+ * Functions by lower-case name: { min, max, fn }. `min` and `max` bound
+ * the number of arguments; `lazy` ones get argument thunks so they only
+ * evaluate what they need.
+ */
+const FUNCTIONS = {
+  // Numbers
+  abs: { min: 1, max: 1, fn: strict((x) => Math.abs(asNumber(x))) },
+  round: {
+    min: 1,
+    max: 2,
+    fn: strict((x, digits = 0) => {
+      const factor = 10 ** asNumber(digits);
+      return Math.round(asNumber(x) * factor) / factor;
+    }),
+  },
+  floor: { min: 1, max: 1, fn: strict((x) => Math.floor(asNumber(x))) },
+  ceil: { min: 1, max: 1, fn: strict((x) => Math.ceil(asNumber(x))) },
+  sqrt: {
+    min: 1,
+    max: 1,
+    fn: strict((x) => {
+      const number = asNumber(x);
+      if (number < 0) {
+        throw new FormulaError("Square root of a negative number");
+      }
+      return Math.sqrt(number);
+    }),
+  },
+  mod: { min: 2, max: 2, fn: strict((a, b) => applyOperator("%", a, b)) },
+  min: {
+    min: 1,
+    max: Infinity,
+    fn: (...args) =>
+      nonEmpty(args).length ? Math.min(...nonEmpty(args).map(asNumber)) : null,
+  },
+  max: {
+    min: 1,
+    max: Infinity,
+    fn: (...args) =>
+      nonEmpty(args).length ? Math.max(...nonEmpty(args).map(asNumber)) : null,
+  },
+  sum: {
+    min: 1,
+    max: Infinity,
+    fn: (...args) =>
+      nonEmpty(args).reduce((total, arg) => total + asNumber(arg), 0),
+  },
+  number: {
+    min: 1,
+    max: 1,
+    fn: strict((x) => {
+      // Reads "$1,234.50" and "12%" like numeric columns do
+      const number = toNumber(x);
+      if (Number.isNaN(number)) {
+        throw new FormulaError(`${describeValue(x)} isn't a number`);
+      }
+      return number;
+    }),
+  },
+
+  // Text
+  text: { min: 1, max: 1, fn: asText },
+  upper: { min: 1, max: 1, fn: (s) => asText(s).toUpperCase() },
+  lower: { min: 1, max: 1, fn: (s) => asText(s).toLowerCase() },
+  trim: { min: 1, max: 1, fn: (s) => asText(s).trim() },
+  len: { min: 1, max: 1, fn: (s) => asText(s).length },
+  concat: {
+    min: 1,
+    max: Infinity,
+    fn: (...args) => args.map(asText).join(""),
+  },
+  left: {
+    min: 2,
+    max: 2,
+    fn: (s, n) => asText(s).slice(0, Math.max(0, asNumber(n))),
+  },
+  right: {
+    min: 2,
+    max: 2,
+    fn: (s, n) => {
+      const count = Math.max(0, asNumber(n));
+      return count === 0 ? "" : asText(s).slice(-count);
+    },
+  },
+  mid: {
+    min: 3,
+    max: 3,
+    fn: (s, start, count) => {
+      const from = Math.max(0, asNumber(start) - 1);
+      return asText(s).slice(from, from + Math.max(0, asNumber(count)));
+    },
+  },
+  replace: {
+    min: 3,
+    max: 3,
+    fn: (s, find, replacement) =>
+      asText(find) === ""
+        ? asText(s)
+        : asText(s).split(asText(find)).join(asText(replacement)),
+  },
+  contains: {
+    min: 2,
+    max: 2,
+    fn: (s, find) => asText(s).includes(asText(find)),
+  },
+
+  // Dates
+  date: {
+    min: 3,
+    max: 3,
+    fn: strict(
+      (year, month, day) =>
+        new Date(asNumber(year), asNumber(month) - 1, asNumber(day))
+    ),
+  },
+  today: {
+    min: 0,
+    max: 0,
+    fn: () => {
+      const now = new Date();
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    },
+  },
+  now: { min: 0, max: 0, fn: () => new Date() },
+  year: { min: 1, max: 1, fn: strict((d) => asDate(d).getFullYear()) },
+  month: { min: 1, max: 1, fn: strict((d) => asDate(d).getMonth() + 1) },
+  day: { min: 1, max: 1, fn: strict((d) => asDate(d).getDate()) },
+  // 1 for Monday to 7 for Sunday
+  weekday: {
+    min: 1,
+    max: 1,
+    fn: strict((d) => asDate(d).getDay() || 7),
+  },
+  datediff: {
+    min: 2,
+    max: 2,
+    fn: strict((start, end) => Math.round((asDate(end) - asDate(start)) / DAY)),
+  },
+  adddays: {
+    min: 2,
+    max: 2,
+    fn: strict((d, days) => addDays(asDate(d), asNumber(days))),
+  },
+  addmonths: {
+    min: 2,
+    max: 2,
+    fn: strict((d, months) => {
+      const result = new Date(asDate(d));
+      result.setMonth(result.getMonth() + asNumber(months));
+      return result;
+    }),
+  },
+
+  // Logic
+  if: {
+    min: 2,
+    max: 3,
+    lazy: true,
+    fn: (condition, then, otherwise) =>
+      isTruthy(condition()) ? then() : otherwise ? otherwise() : null,
+  },
+  iferror: {
+    min: 2,
+    max: 2,
+    lazy: true,
+    fn: (value, fallback) => {
+      try {
+        return value();
+      } catch (error) {
+        if (error instanceof FormulaError) return fallback();
+        throw error;
+      }
+    },
+  },
+  isempty: {
+    min: 1,
+    max: 1,
+    fn: (x) => x === null || x === "",
+  },
+  coalesce: {
+    min: 1,
+    max: Infinity,
+    fn: (...args) => args.find((arg) => arg !== null && arg !== "") ?? null,
+  },
+};
+
+export const FUNCTION_NAMES = Object.keys(FUNCTIONS);
+
+// A cell's value as formulas see it, read according to its column's type
+function readCell(value, type) {
+  if (isEmptyValue(value)) return null;
+  if (isNumericType(type)) {
+    const number = toNumber(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (type === "boolean") return toBoolean(value) ?? value;
+  if (type === "date" || type === "datetime") {
+    const time = toTimestamp(value);
+    return Number.isNaN(time) ? value : new Date(time);
+  }
+  return value;
+}
+
+/**
+ * Turns what a formula computed into a cell value: numbers and booleans as
+ * they are, dates as ISO text, null as an empty cell
+ */
+export function toCellValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    throw new FormulaError("The result is not a finite number");
+  }
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      throw new FormulaError("The result is not a valid date");
+    }
+    return formatDate(value);
+  }
+  return value;
+}
+
+/**
+ * Compiles a tree from parseFormula (or built the same way) against
+ * `columns` ({ id, name, type } that may be referred to), with
+ * `extraFunctions` ({ [name]: { min, max, fn, lazy } }) available besides
+ * the formula functions. With `sqlNulls`, null is SQL's unknown: = and
+ * != with a null operand, and not of null, give null, and and/or give
+ * null unless the other operand decides the result. Returns
+ * { evaluate(row), references } where evaluate gives the value of the
+ * expression for a row, and `references` are the ids of the columns used.
+ * Throws a FormulaError with a position for unknown columns and functions.
+ */
+export function compileExpression(
+  tree,
+  columns,
+  extraFunctions = {},
+  { sqlNulls = false } = {}
+) {
+  const references = new Set();
+  const isUnknown = (value) => sqlNulls && value === null;
+
+  const findColumn = (name, position) => {
+    const column =
+      columns.find((candidate) => candidate.name === name) ||
+      columns.find(
+        (candidate) => candidate.name.toLowerCase() === name.toLowerCase()
+      );
+    if (!column) {
+      throw new FormulaError(`Unknown column "${name}"`, position);
+    }
+    return column;
+  };
+
+  const compile = (node) => {
+    switch (node.type) {
+      case "literal":
+        return () => node.value;
+      case "column": {
+        const { id, type } = findColumn(node.name, node.position);
+        references.add(id);
+        return (row) => readCell(row[id], type);
+      }
+      case "unary": {
+        const operand = compile(node.operand);
+        return node.operator === "-"
+          ? (row) => {
+              const value = operand(row);
+              return value === null ? null : -asNumber(value);
+            }
+          : (row) => {
+              const value = operand(row);
+              return isUnknown(value) ? null : !isTruthy(value);
+            };
+      }
+      case "binary": {
+        const left = compile(node.left);
+        const right = compile(node.right);
+        if (node.operator === "and" || node.operator === "or") {
+          // The operand value that decides the result on its own
+          const decisive = node.operator === "or";
+          return (row) => {
+            const a = left(row);
+            if (!isUnknown(a) && isTruthy(a) === decisive) return decisive;
+            const b = right(row);
+            if (!isUnknown(b) && isTruthy(b) === decisive) return decisive;
+            return isUnknown(a) || isUnknown(b) ? null : !decisive;
+          };
+        }
+        if (sqlNulls && (node.operator === "==" || node.operator === "!=")) {
+          return (row) => {
+            const a = left(row);
+            const b = right(row);
+            return a === null || b === null
+              ? null
+              : applyOperator(node.operator, a, b);
+          };
+        }
+        return (row) => applyOperator(node.operator, left(row), right(row));
+      }
+      case "call": {
+        // Only the functions' own names, not ones like "constructor"
+        const name = node.name.toLowerCase();
+        const definition = [extraFunctions, FUNCTIONS].find((functions) =>
+          Object.hasOwn(functions, name)
+        )?.[name];
+        if (!definition) {
+          throw new FormulaError(
+            `Unknown function "${node.name}"`,
+            node.position
+          );
+        }
+        const { min, max, fn, lazy } = definition;
+        if (node.args.length < min || node.args.length > max) {
+          const expected =
+            min === max
+              ? `${min} ${min === 1 ? "argument" : "arguments"}`
+              : max === Infinity
+                ? `at least ${min}`
+                : `${min} to ${max} arguments`;
+          throw new FormulaError(
+            `${node.name}() takes ${expected}`,
+            node.position
+          );
+        }
+        const args = node.args.map(compile);
+        return lazy
+          ? (row) => fn(...args.map((arg) => () => arg(row)))
+          : (row) => fn(...args.map((arg) => arg(row)));
+      }
+    }
+    throw new FormulaError("Unsupported formula");
+  };
+
+  const evaluate = compile(tree);
+  return { evaluate, references: [...references] };
+}
+
+/**
+ * Compiles `source` against `columns` ({ id, name, type } that may be
+ * referred to). Returns { evaluate(row), references } where evaluate gives
+ * the cell value for a row and throws a FormulaError when it can't, and
+ * `references` are the ids of the columns used. Throws a FormulaError
+ * with a position when the formula is invalid.
+ */
+export function compileFormula(source, columns) {
+  const { evaluate, references } = compileExpression(
+    parseFormula(source),
+    columns
+  );
+  return { evaluate: (row) => toCellValue(evaluate(row)), references };
+}
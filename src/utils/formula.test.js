@@ -0,0 +1,94 @@
+import { describe, expect, it } from "vitest";
+import { compileFormula, FormulaError, parseFormula } from "./formula";
+
+const columns = [
+  { id: "p", name: "price", type: "decimal" },
+  { id: "q", name: "Order qty", type: "integer" },
+  { id: "s", name: "status", type: "text" },
+  { id: "d", name: "due", type: "date" },
+];
+const row = { p: "2.5", q: "4", s: "paid", d: "2024-01-31" };
+
+const evaluate = (source, values = row) =>
+  compileFormula(source, columns).evaluate(values);
+
+const getError = (run) => {
+  try {
+    run();
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected an error");
+};
+
+describe("compileFormula", () => {
+  it("follows operator precedence", () => {
+    expect(evaluate("1 + 2 * 3 ^ 2")).toBe(19);
+    expect(evaluate("(1 + 2) * 3")).toBe(9);
+    expect(evaluate("-2 ^ 2")).toBe(-4);
+  });
+
+  it("applies not to a whole comparison", () => {
+    expect(evaluate("not price == 3")).toBe(true);
+    expect(evaluate('!status == "due"')).toBe(true);
+    expect(evaluate('not status == "due" and price > 2')).toBe(true);
+    expect(evaluate("not not true")).toBe(true);
+  });
+
+  it("reads columns by name, in brackets when needed, as their type", () => {
+    expect(evaluate("price * [Order qty]")).toBe(10);
+    expect(evaluate("PRICE + 1")).toBe(3.5);
+  });
+
+  it("lists the columns a formula refers to", () => {
+    expect(compileFormula("price * [Order qty]", columns).references).toEqual([
+      "p",
+      "q",
+    ]);
+  });
+
+  it("has text, logic and date functions", () => {
+    expect(evaluate('upper(status) & "!"')).toBe("PAID!");
+    expect(evaluate('if(status == "paid", price, 0)')).toBe(2.5);
+    expect(evaluate("round(10 / 3, 2)")).toBe(3.33);
+    expect(evaluate("coalesce(null, 3)")).toBe(3);
+    expect(evaluate("year(due) * 100 + month(due)")).toBe(202401);
+    expect(evaluate("adddays(due, 1)")).toBe("2024-02-01");
+  });
+
+  it("points out syntax errors and unknown names", () => {
+    const syntax = getError(() => compileFormula("price * (", columns));
+    expect(syntax).toBeInstanceOf(FormulaError);
+    expect(syntax.position).toBe(9);
+
+    const column = getError(() => compileFormula("nope + 1", columns));
+    expect(column.message).toBe('Unknown column "nope"');
+    expect(column.position).toBe(0);
+
+    expect(() => compileFormula("nofunction(1)", columns)).toThrow(
+      FormulaError
+    );
+    expect(() => compileFormula("constructor(1)", columns)).toThrow(
+      'Unknown function "constructor"'
+    );
+  });
+
+  it("fails the evaluation of a cell it can't compute", () => {
+    expect(() => evaluate("price / 0")).toThrow("Division by zero");
+    expect(() => evaluate("price * 2", { ...row, p: "cheap" })).toThrow(
+      FormulaError
+    );
+    expect(evaluate("iferror(price / 0, -1)")).toBe(-1);
+  });
+});
+
+describe("parseFormula", () => {
+  it("builds a tree with source positions", () => {
+    expect(parseFormula("a + 1")).toMatchObject({
+      type: "binary",
+      operator: "+",
+      left: { type: "column", name: "a", position: 0 },
+      right: { type: "literal", value: 1, position: 4 },
+    });
+  });
+});
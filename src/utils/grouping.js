@@ -0,0 +1,171 @@
+import { isEmptyValue, isNumericType, toNumber } from "./columnTypes";
+
+/**
+ * Group-by support. Rows are sorted by the grouping columns first, then
+ * flattened into a single list where each group is preceded by a group row
+ * (with its count and aggregates), so the virtualizer can render groups and
+ * data rows alike. Rows of collapsed groups are left out of the list.
+ */
+
+export const AGGREGATES = [
+  { id: "sum", label: "Sum", symbol: "Σ", numeric: true },
+  { id: "avg", label: "Average", symbol: "x̄", numeric: true },
+  { id: "min", label: "Min", symbol: "min", numeric: true },
+  { id: "max", label: "Max", symbol: "max", numeric: true },
+  { id: "countDistinct", label: "Count distinct", symbol: "#", numeric: false },
+];
+
+/**
+ * Aggregates that make sense for a column type. Count distinct works for
+ * any column; the arithmetic ones need numbers.
+ */
+export const getAggregatesForType = (type) =>
+  AGGREGATES.filter((aggregate) => !aggregate.numeric || isNumericType(type));
+
+export const getAggregateInfo = (id) => AGGREGATES.find((a) => a.id === id);
+
+// Marks group rows in the flattened list. A symbol can't clash with a CSV
+// column name the way a string key could.
+const GROUP = Symbol("group");
+
+export const isGroupRow = (row) => !!row && row[GROUP] !== undefined;
+
+export const getGroupInfo = (row) => row[GROUP];
+
+/**
+ * Computes one aggregate over a column of a group's rows
+ */
+export function computeAggregate(rows, columnId, aggregate) {
+  if (aggregate === "countDistinct") {
+    const values = new Set();
+    for (const row of rows) {
+      const value = row[columnId];
+      if (!isEmptyValue(value)) values.add(String(value));
+    }
+    return values.size;
+  }
+
+  let count = 0;
+  let sum = 0;
+  let min = Infinity;
+  let max = -Infinity;
+
+  for (const row of rows) {
+    const number = toNumber(row[columnId]);
+    if (Number.isNaN(number)) continue;
+    count++;
+    sum += number;
+    if (number < min) min = number;
+    if (number > max) max = number;
+  }
+
+  if (count === 0) return null;
+
+  switch (aggregate) {
+    case "sum":
+      return sum;
+    case "avg":
+      return sum / count;
+    case "min":
+      return min;
+    case "max":
+      return max;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Sort config that orders rows by the grouping columns first. A grouping
+ * column that the user sorted keeps its direction.
+ */
+export function getGroupedSortConfig(groupBy, sortConfig) {
+  if (groupBy.length === 0) return sortConfig;
+
+  const groupKeys = groupBy.map((key) => ({
+    key,
+    direction:
+      sortConfig.find((entry) => entry.key === key)?.direction || "asc",
+  }));
+  return [
+    ...groupKeys,
+    ...sortConfig.filter((entry) => !groupBy.includes(entry.key)),
+  ];
+}
+
+const getGroupKey = (values) => JSON.stringify(values);
+
+/**
+ * Flattens rows (already sorted by the grouping columns, which orders the
+ * groups) into group rows and data rows. `aggregates` maps column ids to
+ * aggregate ids and `collapsed` is a Set of group keys whose rows are
+ * hidden.
+ */
+export function buildGroupedRows(rows, groupBy, aggregates, collapsed) {
+  if (groupBy.length === 0) return rows;
+
+  const result = [];
+
+  const addGroups = (groupRows, depth, parentValues) => {
+    const columnId = groupBy[depth];
+
+    // Rows with the same value make one group, wherever they are: the sort
+    // treats values like "North" and "north" as equal and leaves them
+    // interleaved, but they are still different groups
+    const groups = new Map();
+    for (const row of groupRows) {
+      const groupValue = isEmptyValue(row[columnId]) ? null : row[columnId];
+      const members = groups.get(groupValue);
+      if (members) {
+        members.push(row);
+      } else {
+        groups.set(groupValue, [row]);
+      }
+    }
+
+    groups.forEach((members, groupValue) => {
+      const values = [...parentValues, groupValue];
+      const key = getGroupKey(values);
+      const isCollapsed = collapsed.has(key);
+
+      result.push({
+        [GROUP]: {
+          key,
+          depth,
+          columnId,
+          value: groupValue,
+          count: members.length,
+          collapsed: isCollapsed,
+          aggregates: Object.fromEntries(
+            Object.entries(aggregates).map(([id, aggregate]) => [
+              id,
+              computeAggregate(members, id, aggregate),
+            ])
+          ),
+        },
+      });
+
+      if (!isCollapsed) {
+        if (depth + 1 < groupBy.length) {
+          addGroups(members, depth + 1, values);
+        } else {
+          // One at a time: spreading a large group as arguments would
+          // overflow the stack
+          for (const row of members) result.push(row);
+        }
+      }
+    });
+  };
+
+  addGroups(rows, 0, []);
+  return result;
+}
+
+/**
+ * Keys of every group in the flattened list, for "collapse all"
+ */
+export function getAllGroupKeys(rows, groupBy) {
+  return buildGroupedRows(rows, groupBy, {}, new Set())
+    .filter(isGroupRow)
+    .map((row) => getGroupInfo(row).key);
+}
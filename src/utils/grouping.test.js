@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import { buildGroupedRows, getGroupInfo, isGroupRow } from "./grouping";
+import { sortRows } from "./sorting";
+
+const getGroups = (rows) =>
+  rows.filter(isGroupRow).map((row) => {
+    const { key, value, count, aggregates } = getGroupInfo(row);
+    return { key, value, count, aggregates };
+  });
+
+describe("buildGroupedRows", () => {
+  it("keeps values that only differ in case in one group each", () => {
+    const rows = [
+      { region: "North", amount: 1 },
+      { region: "north", amount: 2 },
+      { region: "South", amount: 4 },
+      { region: "North", amount: 8 },
+    ];
+    // The sort treats "North" and "north" as equal, so they stay interleaved
+    const sorted = sortRows(rows, [{ key: "region", direction: "asc" }], {
+      region: "text",
+    });
+
+    const grouped = buildGroupedRows(
+      sorted,
+      ["region"],
+      { amount: "sum" },
+      new Set()
+    );
+
+    expect(getGroups(grouped)).toEqual([
+      { key: '["North"]', value: "North", count: 2, aggregates: { amount: 9 } },
+      { key: '["north"]', value: "north", count: 1, aggregates: { amount: 2 } },
+      { key: '["South"]', value: "South", count: 1, aggregates: { amount: 4 } },
+    ]);
+    expect(grouped.filter((row) => !isGroupRow(row))).toEqual([
+      rows[0],
+      rows[3],
+      rows[1],
+      rows[2],
+    ]);
+  });
+
+  it("hides the rows of a collapsed group only", () => {
+    const rows = [
+      { region: "North" },
+      { region: "north" },
+      { region: "North" },
+    ];
+
+    const grouped = buildGroupedRows(
+      rows,
+      ["region"],
+      {},
+      new Set(['["North"]'])
+    );
+
+    expect(grouped.map((row) => getGroupInfo(row)?.key ?? row)).toEqual([
+      '["North"]',
+      '["north"]',
+      rows[1],
+    ]);
+  });
+
+  it("handles groups too large to pass as arguments", () => {
+    const rows = Array.from({ length: 300000 }, (_, index) => ({
+      region: index % 2 ? "North" : "South",
+    }));
+
+    const grouped = buildGroupedRows(rows, ["region"], {}, new Set());
+
+    expect(grouped).toHaveLength(300002);
+    expect(getGroups(grouped).map((group) => group.count)).toEqual([
+      150000, 150000,
+    ]);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Options chosen in the import dialog, and the row handling they imply.
+ * Papa always parses into arrays of values; skipping rows, taking the
+ * header row and naming the columns happens here, so the preview and the
+ * parser worker treat a file exactly the same way.
+ */
+
+export const defaultImportOptions = {
+  delimiter: "", // "" lets Papa detect it
+  quoteChar: '"',
+  encoding: "utf-8",
+  hasHeader: true,
+  skipRows: 0,
+  detectTypes: true,
+};
+
+export const DELIMITERS = [
+  { id: "", label: "Auto-detect" },
+  { id: ",", label: "Comma (,)" },
+  { id: ";", label: "Semicolon (;)" },
+  { id: "\t", label: "Tab" },
+  { id: "|", label: "Pipe (|)" },
+  { id: " ", label: "Space" },
+];
+
+export const QUOTE_CHARS = [
+  { id: '"', label: 'Double quote (")' },
+  { id: "'", label: "Single quote (')" },
+];
+
+// Labels understood by both TextDecoder and FileReader.readAsText
+export const ENCODINGS = [
+  { id: "utf-8", label: "UTF-8" },
+  { id: "windows-1252", label: "Windows-1252 (Western European)" },
+  { id: "iso-8859-1", label: "ISO-8859-1 (Latin-1)" },
+  { id: "iso-8859-2", label: "ISO-8859-2 (Central European)" },
+  { id: "windows-1251", label: "Windows-1251 (Cyrillic)" },
+  { id: "utf-16le", label: "UTF-16 LE" },
+  { id: "shift_jis", label: "Shift JIS" },
+];
+
+/**
+ * Papa config for the options. Headers and type detection are handled by
+ * createRecordReader, so Papa is always run without them.
+ */
+export const getPapaConfig = (options) => ({
+  header: false,
+  delimiter: options.delimiter,
+  quoteChar: options.quoteChar,
+  encoding: options.encoding,
+  skipEmptyLines: true,
+});
+
+// The rules of Papa's dynamicTyping
+const MAX_FLOAT = 2 ** 53;
+const FLOAT = /^\s*-?(\d+\.?|\.\d+|\d+\.\d+)([eE][-+]?\d+)?\s*$/;
+const ISO_DATE =
+  /^\d{4}-[01]\d-[0-3]\dT[0-2]\d:[0-5]\d(:[0-5]\d(\.\d+)?)?([+-][0-2]\d:[0-5]\d|Z)$/;
+
+/**
+ * A parsed field as Papa's dynamicTyping would type it: booleans, numbers
+ * and ISO timestamps are converted, and empty fields become null
+ */
+export function typeValue(value) {
+  if (value === "true" || value === "TRUE") return true;
+  if (value === "false" || value === "FALSE") return false;
+  if (FLOAT.test(value)) {
+    const number = parseFloat(value);
+    if (number > -MAX_FLOAT && number < MAX_FLOAT) return number;
+  }
+  if (ISO_DATE.test(value)) return new Date(value);
+  return value === "" ? null : value;
+}
+
+/**
+ * Column names from a header row: blanks become "Column N" and repeated
+ * names get a " (2)", " (3)"... suffix so every column id is unique
+ */
+export function makeUniqueHeaders(names) {
+  const used = new Set();
+  return names.map((name, index) => {
+    const base =
+      name === null || name === undefined || String(name).trim() === ""
+        ? `Column ${index + 1}`
+        : String(name).trim();
+
+    let candidate = base;
+    for (let n = 2; used.has(candidate); n++) {
+      candidate = `${base} (${n})`;
+    }
+    used.add(candidate);
+    return candidate;
+  });
+}
+
+/**
+ * Returns a function that turns successive batches of parsed rows (arrays)
+ * into records keyed by column name. The first `skipRows` rows are dropped,
+ * then the header row is taken (or names are generated from the first row's
+ * width). With `detectTypes`, the values of every row after the header are
+ * typed (see typeValue), so header names keep their text as written.
+ * Rows with a different number of fields than the header are kept
+ * and reported the way Papa reports them in header mode. Papa's own errors
+ * for the batch can be passed along to have their row numbers translated.
+ * Returns { fields, records, errors }, where error rows are 0-based record
+ * indexes across all batches.
+ */
+export function createRecordReader({ hasHeader, skipRows, detectTypes }) {
+  let skipped = 0;
+  let fields = null;
+  let recordCount = 0;
+
+  return (rows, parseErrors = []) => {
+    const records = [];
+    const errors = [];
+    // Record index of each row in the batch (undefined if it isn't one)
+    const recordIndexes = [];
+
+    rows.forEach((values, rowIndex) => {
+      if (skipped < skipRows) {
+        skipped++;
+        return;
+      }
+
+      if (!fields) {
+        fields = makeUniqueHeaders(hasHeader ? values : values.map(() => ""));
+        if (hasHeader) return;
+      }
+
+      recordIndexes[rowIndex] = recordCount;
+
+      if (values.length !== fields.length) {
+        const tooFew = values.length < fields.length;
+        errors.push({
+          type: "FieldMismatch",
+          code: tooFew ? "TooFewFields" : "TooManyFields",
+          message: `Too ${tooFew ? "few" : "many"} fields: expected ${
+            fields.length
+          } fields but parsed ${values.length}`,
+          row: recordCount,
+        });
+      }
+
+      const record = {};
+      const count = Math.min(fields.length, values.length);
+      for (let i = 0; i < count; i++) {
+        record[fields[i]] = detectTypes ? typeValue(values[i]) : values[i];
+      }
+      records.push(record);
+      recordCount++;
+    });
+
+    for (const error of parseErrors) {
+      errors.push({ ...error, row: recordIndexes[error.row] });
+    }
+
+    return { fields, records, errors };
+  };
+}
@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import {
+  createRecordReader,
+  makeUniqueHeaders,
+  typeValue,
+} from "./importOptions";
+
+describe("createRecordReader", () => {
+  it("keeps header names as written while typing the values", () => {
+    const read = createRecordReader({
+      hasHeader: true,
+      skipRows: 1,
+      detectTypes: true,
+    });
+
+    expect(
+      read([
+        ["exported 2024"],
+        ["007", "TRUE", "1.50", ""],
+        ["007", "TRUE", "1.50", ""],
+      ])
+    ).toEqual({
+      fields: ["007", "TRUE", "1.50", "Column 4"],
+      records: [{ "007": 7, TRUE: true, "1.50": 1.5, "Column 4": null }],
+      errors: [],
+    });
+  });
+
+  it("leaves values as text without type detection", () => {
+    const read = createRecordReader({
+      hasHeader: false,
+      skipRows: 0,
+      detectTypes: false,
+    });
+
+    expect(read([["007", ""]]).records).toEqual([
+      { "Column 1": "007", "Column 2": "" },
+    ]);
+  });
+
+  it("reports rows with the wrong number of fields across batches", () => {
+    const read = createRecordReader({ hasHeader: true, skipRows: 0 });
+    read([
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+
+    expect(read([["3"]]).errors).toMatchObject([
+      { code: "TooFewFields", row: 1 },
+    ]);
+  });
+});
+
+describe("typeValue", () => {
+  it("types values the way Papa's dynamicTyping does", () => {
+    expect(typeValue("-1e3")).toBe(-1000);
+    expect(typeValue("false")).toBe(false);
+    expect(typeValue("12345678901234567890")).toBe("12345678901234567890");
+    expect(typeValue("2024-01-02T03:04Z")).toEqual(
+      new Date("2024-01-02T03:04Z")
+    );
+    expect(typeValue("2024-01-02")).toBe("2024-01-02");
+  });
+});
+
+describe("makeUniqueHeaders", () => {
+  it("names blank columns and numbers repeats", () => {
+    expect(makeUniqueHeaders(["a", "", "a", " a "])).toEqual([
+      "a",
+      "Column 2",
+      "a (2)",
+      "a (3)",
+    ]);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Column pinning. A header with `pinned: "left"` or `pinned: "right"` is
+ * moved to that edge and kept in place with `position: sticky`, in both the
+ * header row and every body row, while the other columns scroll.
+ */
+
+/**
+ * Returns the headers in display order (left-pinned, unpinned, right-pinned)
+ * with each pinned header's sticky offset and whether it sits on the inner
+ * edge of its pinned group (where the shadow separator goes)
+ */
+export function orderPinnedColumns(headers) {
+  const left = headers.filter((header) => header.pinned === "left");
+  const right = headers.filter((header) => header.pinned === "right");
+  if (left.length === 0 && right.length === 0) return headers;
+
+  const center = headers.filter(
+    (header) => header.pinned !== "left" && header.pinned !== "right"
+  );
+
+  let offset = 0;
+  const pinnedLeft = left.map((header, i) => {
+    const pinOffset = offset;
+    offset += header.width;
+    return { ...header, pinOffset, pinEdge: i === left.length - 1 };
+  });
+
+  offset = 0;
+  const pinnedRight = right
+    .slice()
+    .reverse()
+    .map((header, i) => {
+      const pinOffset = offset;
+      offset += header.width;
+      return { ...header, pinOffset, pinEdge: i === right.length - 1 };
+    })
+    .reverse();
+
+  return [...pinnedLeft, ...center, ...pinnedRight];
+}
+
+/**
+ * Total width of the columns pinned to each edge
+ */
+export function getPinnedWidths(headers) {
+  let left = 0;
+  let right = 0;
+  for (const header of headers) {
+    if (header.pinned === "left") left += header.width;
+    if (header.pinned === "right") right += header.width;
+  }
+  return { left, right };
+}
+
+/**
+ * Inline style for a cell of the given (ordered) header
+ */
+export function getColumnStyle(header) {
+  if (header.pinned !== "left" && header.pinned !== "right") {
+    return { width: header.width };
+  }
+  return {
+    width: header.width,
+    position: "sticky",
+    [header.pinned]: header.pinOffset,
+  };
+}
+
+/**
+ * Class names marking a pinned cell and its shadow edge
+ */
+export function getPinnedClassName(header) {
+  if (header.pinned !== "left" && header.pinned !== "right") return "";
+  return `pinned pinned-${header.pinned}${header.pinEdge ? " pin-edge" : ""}`;
+}
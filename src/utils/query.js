@@ -0,0 +1,1058 @@
+import {
+  compareValues,
+  compileExpression,
+  FormulaError,
+  isTruthy,
+  toCellValue,
+} from "./formula";
+
+/**
+ * SQL-style queries over a table, e.g.
+ *   SELECT region, SUM(amount) WHERE year >= 2023
+ *   GROUP BY region ORDER BY 2 DESC LIMIT 100
+ *
+ * Supported: SELECT [DISTINCT] with * and expressions (AS aliases), an
+ * optional FROM naming the table, WHERE, GROUP BY, HAVING, ORDER BY (by
+ * expression, alias or position, ASC or DESC) and LIMIT ... OFFSET.
+ * Expressions have the operators and functions of formulas (see
+ * utils/formula.js, which compiles them) plus SQL's =, <>, ||, LIKE, IN,
+ * BETWEEN, IS [NOT] NULL and CASE, and the aggregates COUNT, SUM, AVG, MIN
+ * and MAX. Columns are named as they are, or "quoted" (also [bracketed]
+ * or `backticked`) when the name has spaces or is a keyword. Empty cells
+ * are NULL, and comparing NULL gives NULL as in SQL, so `NOT region = 'x'`
+ * leaves out rows without a region; IS NULL finds them.
+ */
+
+/**
+ * A query that can't be parsed or run, with the `position` in the query
+ * it went wrong at when there is one
+ */
+export class QueryError extends Error {
+  constructor(message, position = null) {
+    super(message);
+    this.name = "QueryError";
+    this.position = position;
+  }
+}
+
+const KEYWORDS = new Set([
+  "select",
+  "distinct",
+  "from",
+  "where",
+  "group",
+  "by",
+  "having",
+  "order",
+  "asc",
+  "desc",
+  "limit",
+  "offset",
+  "as",
+  "and",
+  "or",
+  "not",
+  "like",
+  "in",
+  "is",
+  "null",
+  "between",
+  "true",
+  "false",
+  "case",
+  "when",
+  "then",
+  "else",
+  "end",
+]);
+
+const OPERATORS = [
+  "<=",
+  ">=",
+  "<>",
+  "!=",
+  "==",
+  "||",
+  "=",
+  "<",
+  ">",
+  "+",
+  "-",
+  "*",
+  "/",
+  "%",
+];
+
+const AGGREGATES = ["count", "sum", "avg", "min", "max"];
+
+const NUMBER_PATTERN = /^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/;
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_.]*/;
+const CLOSING_QUOTES = { '"': '"', "`": "`", "[": "]" };
+
+/**
+ * Splits a query into { type, value, position, end } tokens: number,
+ * string, name (with `quoted` set for "quoted" ones), keyword (lower
+ * case), operator, "(", ")", ",", ";" and end
+ */
+export function tokenizeQuery(sql) {
+  const tokens = [];
+  let position = 0;
+
+  const push = (type, value, end, extra) => {
+    tokens.push({ type, value, position, end, ...extra });
+    position = end;
+  };
+
+  while (position < sql.length) {
+    const rest = sql.slice(position);
+    const char = sql[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    // -- comments run to the end of the line
+    if (rest.startsWith("--")) {
+      const end = sql.indexOf("\n", position);
+      position = end === -1 ? sql.length : end + 1;
+      continue;
+    }
+
+    const number = NUMBER_PATTERN.exec(rest);
+    if (number) {
+      push("number", Number(number[0]), position + number[0].length);
+      continue;
+    }
+
+    // 'text', with '' standing for a quote
+    if (char === "'") {
+      let value = "";
+      let end = position + 1;
+      for (;;) {
+        if (end >= sql.length) {
+          throw new QueryError("Text is missing its closing quote", position);
+        }
+        if (sql[end] === "'") {
+          if (sql[end + 1] !== "'") break;
+          end++;
+        }
+        value += sql[end];
+        end++;
+      }
+      push("string", value, end + 1);
+      continue;
+    }
+
+    if (char in CLOSING_QUOTES) {
+      const end = sql.indexOf(CLOSING_QUOTES[char], position + 1);
+      if (end === -1) {
+        throw new QueryError(
+          `Column name is missing its closing ${CLOSING_QUOTES[char]}`,
+          position
+        );
+      }
+      push("name", sql.slice(position + 1, end), end + 1, { quoted: true });
+      continue;
+    }
+
+    const name = NAME_PATTERN.exec(rest);
+    if (name) {
+      const keyword = name[0].toLowerCase();
+      if (KEYWORDS.has(keyword)) {
+        push("keyword", keyword, position + name[0].length);
+      } else {
+        push("name", name[0], position + name[0].length);
+      }
+      continue;
+    }
+
+    const operator = OPERATORS.find((op) => rest.startsWith(op));
+    if (operator) {
+      push("operator", operator, position + operator.length);
+      continue;
+    }
+
+    if ("(),;".includes(char)) {
+      push(char, char, position + 1);
+      continue;
+    }
+
+    throw new QueryError(`Unexpected character "${char}"`, position);
+  }
+
+  tokens.push({
+    type: "end",
+    value: "",
+    position: sql.length,
+    end: sql.length,
+  });
+  return tokens;
+}
+
+const describeToken = (token) => {
+  switch (token.type) {
+    case "end":
+      return "the end of the query";
+    case "string":
+      return `'${token.value}'`;
+    case "keyword":
+      return token.value.toUpperCase();
+    default:
+      return `"${token.value}"`;
+  }
+};
+
+// Formula operator for each SQL comparison
+const COMPARISONS = {
+  "=": "==",
+  "==": "==",
+  "<>": "!=",
+  "!=": "!=",
+  "<": "<",
+  "<=": "<=",
+  ">": ">",
+  ">=": ">=",
+};
+
+/**
+ * Parses a query into
+ *   { distinct, select: [{ expression, star, alias, name, position }],
+ *     from: { name, position } | null, where, groupBy: [expression],
+ *     having, orderBy: [{ expression, descending }], limit, offset }
+ * Expressions are formula trees (see parseFormula in utils/formula.js),
+ * with { type: "aggregate", name, argument, distinct } nodes for the
+ * aggregates; COUNT(*) has no argument. A select item's `name` is its
+ * alias, its column's name or else its text in the query.
+ */
+export function parseQuery(sql) {
+  const tokens = tokenizeQuery(sql);
+  let index = 0;
+
+  const peek = (offset = 0) => tokens[index + offset];
+  const next = () => tokens[index++];
+  const isKeyword = (token, ...keywords) =>
+    token.type === "keyword" && keywords.includes(token.value);
+  const isOperator = (token, ...operators) =>
+    token.type === "operator" && operators.includes(token.value);
+  const fail = (expected, token = peek()) => {
+    throw new QueryError(
+      `Expected ${expected} but found ${describeToken(token)}`,
+      token.position
+    );
+  };
+  const acceptKeyword = (...keywords) =>
+    isKeyword(peek(), ...keywords) ? next() : null;
+  const expectKeyword = (keyword) =>
+    acceptKeyword(keyword) || fail(keyword.toUpperCase());
+  const expect = (type, description) =>
+    peek().type === type ? next() : fail(description);
+
+  const binary = (operator, left, right, position) => ({
+    type: "binary",
+    operator,
+    left,
+    right,
+    position,
+  });
+  const not = (operand, position) => ({
+    type: "unary",
+    operator: "not",
+    operand,
+    position,
+  });
+  const call = (name, args, position) => ({
+    type: "call",
+    name,
+    args,
+    position,
+  });
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (isKeyword(peek(), "or")) {
+      const { position } = next();
+      left = binary("or", left, parseAnd(), position);
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (isKeyword(peek(), "and")) {
+      const { position } = next();
+      left = binary("and", left, parseNot(), position);
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (isKeyword(peek(), "not")) {
+      const { position } = next();
+      return not(parseNot(), position);
+    }
+    return parsePredicate();
+  };
+
+  // Comparisons and the SQL predicates, which don't chain
+  const parsePredicate = () => {
+    const left = parseConcat();
+    const token = peek();
+
+    if (token.type === "operator" && token.value in COMPARISONS) {
+      next();
+      return binary(
+        COMPARISONS[token.value],
+        left,
+        parseConcat(),
+        token.position
+      );
+    }
+
+    if (isKeyword(token, "is")) {
+      next();
+      const negated = acceptKeyword("not");
+      expectKeyword("null");
+      const test = call("isempty", [left], token.position);
+      return negated ? not(test, token.position) : test;
+    }
+
+    const negated = isKeyword(token, "not") && peek(1);
+    if (negated && !isKeyword(negated, "like", "in", "between")) {
+      fail("LIKE, IN or BETWEEN", negated);
+    }
+    if (negated) next();
+    const predicate = peek();
+    let test;
+    if (isKeyword(predicate, "like")) {
+      next();
+      test = call("like", [left, parseConcat()], predicate.position);
+    } else if (isKeyword(predicate, "in")) {
+      next();
+      expect("(", "(");
+      const values = [parseConcat()];
+      while (peek().type === ",") {
+        next();
+        values.push(parseConcat());
+      }
+      expect(")", "a comma or )");
+      test = values
+        .map((value) => binary("==", left, value, predicate.position))
+        .reduce((either, equal) =>
+          binary("or", either, equal, predicate.position)
+        );
+    } else if (isKeyword(predicate, "between")) {
+      next();
+      const low = parseConcat();
+      expectKeyword("and");
+      const high = parseConcat();
+      test = binary(
+        "and",
+        binary(">=", left, low, predicate.position),
+        binary("<=", left, high, predicate.position),
+        predicate.position
+      );
+    } else {
+      return left;
+    }
+    return negated ? not(test, token.position) : test;
+  };
+
+  const parseConcat = () => {
+    let left = parseAdditive();
+    while (isOperator(peek(), "||")) {
+      const { position } = next();
+      left = binary("&", left, parseAdditive(), position);
+    }
+    return left;
+  };
+
+  const parseAdditive = () => {
+    let left = parseMultiplicative();
+    while (isOperator(peek(), "+", "-")) {
+      const { value, position } = next();
+      left = binary(value, left, parseMultiplicative(), position);
+    }
+    return left;
+  };
+
+  const parseMultiplicative = () => {
+    let left = parseUnary();
+    while (isOperator(peek(), "*", "/", "%")) {
+      const { value, position } = next();
+      left = binary(value, left, parseUnary(), position);
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOperator(peek(), "-")) {
+      const { position } = next();
+      return {
+        type: "unary",
+        operator: "-",
+        operand: parseUnary(),
+        position,
+      };
+    }
+    if (isOperator(peek(), "+")) next();
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    const { position } = token;
+    switch (token.type) {
+      case "number":
+      case "string":
+        return { type: "literal", value: token.value, position };
+      case "name":
+        if (!token.quoted && peek().type === "(") return parseCall(token);
+        return { type: "column", name: token.value, position };
+      case "(": {
+        const expression = parseOr();
+        expect(")", ")");
+        return expression;
+      }
+      case "keyword":
+        if (token.value === "true" || token.value === "false") {
+          return { type: "literal", value: token.value === "true", position };
+        }
+        if (token.value === "null") {
+          return { type: "literal", value: null, position };
+        }
+        if (token.value === "case") return parseCase(token);
+        break;
+    }
+    return fail("a value", token);
+  };
+
+  // CASE [value] WHEN ... THEN ... [ELSE ...] END, as nested if() calls
+  const parseCase = (caseToken) => {
+    const subject = isKeyword(peek(), "when") ? null : parseOr();
+    const branches = [];
+    while (isKeyword(peek(), "when")) {
+      const { position } = next();
+      const condition = parseOr();
+      expectKeyword("then");
+      branches.push({
+        condition: subject
+          ? binary("==", subject, condition, position)
+          : condition,
+        result: parseOr(),
+        position,
+      });
+    }
+    if (branches.length === 0) fail("WHEN");
+    const otherwise = acceptKeyword("else")
+      ? parseOr()
+      : { type: "literal", value: null, position: caseToken.position };
+    expectKeyword("end");
+    return branches.reduceRight(
+      (rest, branch) =>
+        call("if", [branch.condition, branch.result, rest], branch.position),
+      otherwise
+    );
+  };
+
+  const parseCall = (nameToken) => {
+    next(); // (
+    const name = nameToken.value.toLowerCase();
+    const { position } = nameToken;
+    const isAggregate =
+      AGGREGATES.includes(name) &&
+      // min() and max() of several values are the formula functions
+      !((name === "min" || name === "max") && hasSeveralArguments());
+
+    if (isAggregate) {
+      if (name === "count" && isOperator(peek(), "*")) {
+        next();
+        expect(")", ")");
+        return { type: "aggregate", name, argument: null, position };
+      }
+      const distinct = !!acceptKeyword("distinct");
+      const argument = parseOr();
+      expect(")", ")");
+      return { type: "aggregate", name, argument, distinct, position };
+    }
+
+    const args = [];
+    if (peek().type !== ")") {
+      args.push(parseOr());
+      while (peek().type === ",") {
+        next();
+        args.push(parseOr());
+      }
+    }
+    expect(")", "a comma or )");
+    return call(nameToken.value, args, position);
+  };
+
+  // Whether the call whose ( was just read has a comma at its own level
+  function hasSeveralArguments() {
+    let depth = 0;
+    for (let i = index; i < tokens.length; i++) {
+      const { type } = tokens[i];
+      if (type === "(") depth++;
+      if (type === ")" && depth-- === 0) return false;
+      if (type === "," && depth === 0) return true;
+      if (type === "end") return false;
+    }
+    return false;
+  }
+
+  const parseSelectItem = () => {
+    const start = peek();
+    if (isOperator(start, "*")) {
+      next();
+      return { star: true, position: start.position };
+    }
+    const expression = parseOr();
+    const text = sql.slice(start.position, tokens[index - 1].end);
+    let alias = null;
+    if (acceptKeyword("as")) {
+      alias = expect("name", "a column name").value;
+    } else if (peek().type === "name") {
+      alias = next().value;
+    }
+    return {
+      expression,
+      alias,
+      name: alias ?? (expression.type === "column" ? expression.name : text),
+      position: start.position,
+    };
+  };
+
+  const parseList = (parseItem) => {
+    const items = [parseItem()];
+    while (peek().type === ",") {
+      next();
+      items.push(parseItem());
+    }
+    return items;
+  };
+
+  const parseCount = (clause) => {
+    const token = peek();
+    if (token.type !== "number" || !Number.isInteger(token.value)) {
+      fail(`a whole number after ${clause}`);
+    }
+    return next().value;
+  };
+
+  if (peek().type === "end") throw new QueryError("Enter a query", 0);
+  expectKeyword("select");
+  const query = {
+    distinct: !!acceptKeyword("distinct"),
+    select: parseList(parseSelectItem),
+    from: null,
+    where: null,
+    groupBy: [],
+    having: null,
+    orderBy: [],
+    limit: null,
+    offset: 0,
+  };
+
+  if (acceptKeyword("from")) {
+    const token = expect("name", "a table name");
+    query.from = { name: token.value, position: token.position };
+  }
+  if (acceptKeyword("where")) query.where = parseOr();
+  if (acceptKeyword("group")) {
+    expectKeyword("by");
+    query.groupBy = parseList(parseOr);
+  }
+  if (acceptKeyword("having")) query.having = parseOr();
+  if (acceptKeyword("order")) {
+    expectKeyword("by");
+    query.orderBy = parseList(() => {
+      const expression = parseOr();
+      const direction = acceptKeyword("asc", "desc");
+      return { expression, descending: direction?.value === "desc" };
+    });
+  }
+  if (acceptKeyword("limit")) {
+    query.limit = parseCount("LIMIT");
+    if (acceptKeyword("offset")) query.offset = parseCount("OFFSET");
+  }
+  if (peek().type === ";") next();
+  if (peek().type !== "end") {
+    fail(
+      query.limit !== null
+        ? "the end of the query"
+        : "FROM, WHERE, GROUP BY, HAVING, ORDER BY or LIMIT"
+    );
+  }
+  return query;
+}
+
+// Execution
+
+// LIKE patterns: % for any text, _ for one character, ignoring case
+const likePatterns = new Map();
+const getLikePattern = (pattern) => {
+  if (!likePatterns.has(pattern)) {
+    const source = pattern
+      .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+      .replace(/%/g, ".*")
+      .replace(/_/g, ".");
+    likePatterns.set(pattern, new RegExp(`^${source}$`, "is"));
+  }
+  return likePatterns.get(pattern);
+};
+
+const QUERY_FUNCTIONS = {
+  like: {
+    min: 2,
+    max: 2,
+    fn: (value, pattern) =>
+      value === null || pattern === null
+        ? null
+        : getLikePattern(String(toCellValue(pattern))).test(
+            String(toCellValue(value))
+          ),
+  },
+};
+
+// Compiles an expression against `columns`, with errors as QueryErrors
+function compile(expression, columns) {
+  try {
+    return compileExpression(expression, columns, QUERY_FUNCTIONS, {
+      sqlNulls: true,
+    }).evaluate;
+  } catch (error) {
+    if (error instanceof FormulaError) {
+      throw new QueryError(error.message, error.position);
+    }
+    throw error;
+  }
+}
+
+// Calls `fn`, turning a FormulaError into a QueryError about `what`
+function evaluating(what, fn) {
+  try {
+    return fn();
+  } catch (error) {
+    if (error instanceof FormulaError) {
+      throw new QueryError(`${error.message} (${what})`);
+    }
+    throw error;
+  }
+}
+
+// Calls `visit` on every node of an expression
+function walk(node, visit) {
+  if (!node) return;
+  visit(node);
+  walk(node.operand, visit);
+  walk(node.left, visit);
+  walk(node.right, visit);
+  walk(node.argument, visit);
+  node.args?.forEach((arg) => walk(arg, visit));
+}
+
+// The node with `map` applied to its operands and arguments (but not to
+// the argument of an aggregate, which is evaluated per row)
+const mapOperands = (node, map) => ({
+  ...node,
+  ...(node.operand && { operand: map(node.operand) }),
+  ...(node.left && { left: map(node.left) }),
+  ...(node.right && { right: map(node.right) }),
+  ...(node.args && { args: node.args.map(map) }),
+});
+
+// The first aggregate in an expression, if there is one
+function findAggregate(expression) {
+  let found = null;
+  walk(expression, (node) => {
+    if (node.type === "aggregate") found ??= node;
+  });
+  return found;
+}
+
+// The same expression wherever it's written, ignoring case in names
+const getShape = (node) =>
+  JSON.stringify(node, (key, value) => {
+    if (key === "position") return undefined;
+    if (value?.type === "column") {
+      return { type: "column", name: value.name.toLowerCase() };
+    }
+    if (value?.type === "call")
+      return { ...value, name: value.name.toLowerCase() };
+    return value;
+  });
+
+const toNumbers = (values, name) =>
+  values.map((value) => {
+    const number = typeof value === "number" ? value : Number(value);
+    if (typeof value === "boolean" || Number.isNaN(number)) {
+      throw new QueryError(
+        `${name.toUpperCase()}() needs numbers, got ${JSON.stringify(
+          toCellValue(value)
+        )}`
+      );
+    }
+    return number;
+  });
+
+// Aggregate results from the non-empty values they were given
+const AGGREGATE_FUNCTIONS = {
+  count: (values) => values.length,
+  sum: (values) =>
+    values.length ? toNumbers(values, "sum").reduce((a, b) => a + b, 0) : null,
+  avg: (values) =>
+    values.length
+      ? toNumbers(values, "avg").reduce((a, b) => a + b, 0) / values.length
+      : null,
+  min: (values) =>
+    values.length
+      ? values.reduce((min, value) =>
+          compareValues(value, min) < 0 ? value : min
+        )
+      : null,
+  max: (values) =>
+    values.length
+      ? values.reduce((max, value) =>
+          compareValues(value, max) > 0 ? value : max
+        )
+      : null,
+};
+
+// Key telling values apart for grouping and DISTINCT
+const getValueKey = (values) =>
+  JSON.stringify(
+    values.map((value) => (value instanceof Date ? value.getTime() : value))
+  );
+
+// Ascending order with empty values last, whatever the direction
+const compareNullable = (a, b, descending) => {
+  if (a === null || b === null) {
+    return a === b ? 0 : a === null ? 1 : -1;
+  }
+  const order = compareValues(a, b);
+  return descending ? -order : order;
+};
+
+/**
+ * Runs a query from parseQuery on a table ({ name, headers, rows } with
+ * headers and rows as DataGrid gets them; header types say how cells are
+ * read). A FROM clause has to name the table. Returns
+ * { fields, rows }: the result's column names, unique, and its rows keyed
+ * by them. Throws a QueryError for a query that doesn't fit the table.
+ */
+export function executeQuery(query, { name, headers, rows }) {
+  if (query.from && query.from.name.toLowerCase() !== name?.toLowerCase()) {
+    throw new QueryError(
+      `No table is named "${query.from.name}"`,
+      query.from.position
+    );
+  }
+
+  const columns = headers.map((header) => ({
+    id: header.id,
+    name: header.name,
+    type: header.type,
+  }));
+
+  // * stands for every column of the table
+  const items = query.select.flatMap((item) =>
+    item.star
+      ? columns.map((column) => ({
+          expression: {
+            type: "column",
+            name: column.name,
+            position: item.position,
+          },
+          name: column.name,
+        }))
+      : [item]
+  );
+
+  // ORDER BY and GROUP BY can name a select item by position or alias
+  const resolveItem = (expression, clause) => {
+    if (expression.type === "literal" && typeof expression.value === "number") {
+      const item = items[expression.value - 1];
+      if (!Number.isInteger(expression.value) || !item) {
+        throw new QueryError(
+          `${clause} ${expression.value} is not a column of the result, which has ${items.length}`,
+          expression.position
+        );
+      }
+      return items.indexOf(item);
+    }
+    if (expression.type !== "column") return -1;
+    const name = expression.name.toLowerCase();
+    const isTableColumn = columns.some(
+      (column) => column.name.toLowerCase() === name
+    );
+    return items.findIndex(
+      (item) => item.alias?.toLowerCase() === name && !isTableColumn
+    );
+  };
+  const groupBy = query.groupBy.map((expression) => {
+    const index = resolveItem(expression, "GROUP BY");
+    return index === -1 ? expression : items[index].expression;
+  });
+  const orderBy = query.orderBy.map((entry) => ({
+    ...entry,
+    itemIndex: resolveItem(entry.expression, "ORDER BY"),
+  }));
+  // HAVING can name a select item by alias wherever it reads a column
+  const resolveAliases = (node) => {
+    if (node.type !== "column") return mapOperands(node, resolveAliases);
+    const index = resolveItem(node, "HAVING");
+    return index === -1 ? node : items[index].expression;
+  };
+  const having = query.having && resolveAliases(query.having);
+
+  for (const [clause, expressions] of [
+    ["WHERE", [query.where]],
+    ["GROUP BY", groupBy],
+  ]) {
+    const aggregate = expressions.map(findAggregate).find(Boolean);
+    if (aggregate) {
+      throw new QueryError(
+        `Aggregates can't be used in ${clause}; filter groups with HAVING`,
+        aggregate.position
+      );
+    }
+  }
+
+  const where = query.where && compile(query.where, columns);
+  const filtered = where
+    ? rows.filter((row, index) =>
+        evaluating(`row ${index + 1}`, () => isTruthy(where(row)))
+      )
+    : rows;
+
+  const orderExpressions = orderBy
+    .filter((entry) => entry.itemIndex === -1)
+    .map((entry) => entry.expression);
+  const isGrouped =
+    groupBy.length > 0 ||
+    query.having !== null ||
+    [...items.map((item) => item.expression), ...orderExpressions].some(
+      findAggregate
+    );
+
+  // Rows (or group records) to project, and the columns and rewriting to
+  // evaluate the select and order expressions with
+  let records;
+  let context;
+  if (!isGrouped) {
+    records = filtered;
+    context = { columns, prepare: (expression) => expression };
+  } else {
+    ({ records, context } = groupRows(filtered, groupBy, having, {
+      columns,
+      expressions: [
+        ...items.map((item) => item.expression),
+        ...orderExpressions,
+      ],
+    }));
+  }
+
+  const outputs = items.map((item) =>
+    compile(context.prepare(item.expression), context.columns)
+  );
+  const orderKeys = orderBy.map((entry) =>
+    entry.itemIndex === -1
+      ? compile(context.prepare(entry.expression), context.columns)
+      : null
+  );
+
+  const results = records.map((record, index) =>
+    evaluating(isGrouped ? `group ${index + 1}` : `row ${index + 1}`, () => {
+      const values = outputs.map((output) => output(record));
+      return {
+        values,
+        keys: orderBy.map((entry, i) =>
+          entry.itemIndex === -1
+            ? orderKeys[i](record)
+            : values[entry.itemIndex]
+        ),
+      };
+    })
+  );
+
+  if (orderBy.length > 0) {
+    results.sort((a, b) => {
+      for (let i = 0; i < orderBy.length; i++) {
+        const order = compareNullable(
+          a.keys[i],
+          b.keys[i],
+          orderBy[i].descending
+        );
+        if (order !== 0) return order;
+      }
+      return 0;
+    });
+  }
+
+  let cells = results.map(({ values }) =>
+    evaluating("result", () => values.map(toCellValue))
+  );
+  if (query.distinct) {
+    const seen = new Set();
+    cells = cells.filter((values) => {
+      const key = getValueKey(values);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+  cells = cells.slice(
+    query.offset,
+    query.limit === null ? undefined : query.offset + query.limit
+  );
+
+  // Result columns are named after the select items, numbered if needed
+  const fields = [];
+  for (const item of items) {
+    let field = item.name;
+    for (let n = 2; fields.includes(field); n++) field = `${item.name} (${n})`;
+    fields.push(field);
+  }
+
+  return {
+    fields,
+    rows: cells.map((values) =>
+      Object.fromEntries(fields.map((field, i) => [field, values[i]]))
+    ),
+  };
+}
+
+/**
+ * Groups `rows` by the values of the `groupBy` expressions (all rows
+ * making one group when there are none) and works out the aggregates in
+ * `expressions` and HAVING for each group. Returns the groups that pass
+ * HAVING as records, and a context in which the expressions read group
+ * keys and aggregates instead of table columns.
+ */
+function groupRows(rows, groupBy, having, { columns, expressions }) {
+  const keyShapes = groupBy.map(getShape);
+
+  // Every distinct aggregate, so all are computed in one pass
+  const aggregates = [];
+  const aggregateShapes = [];
+  for (const expression of [...expressions, having]) {
+    walk(expression, (node) => {
+      if (node.type !== "aggregate") return;
+      const nested = findAggregate(node.argument);
+      if (nested) {
+        throw new QueryError(
+          "Aggregates can't contain other aggregates",
+          nested.position
+        );
+      }
+      const shape = getShape(node);
+      if (!aggregateShapes.includes(shape)) {
+        aggregates.push(node);
+        aggregateShapes.push(shape);
+      }
+    });
+  }
+
+  // Group keys and aggregates become columns of the group records
+  const keyColumn = (index) => `\0key${index}`;
+  const aggregateColumn = (index) => `\0aggregate${index}`;
+
+  // An expression over a group: the parts that are group keys read them,
+  // aggregates read their result, and nothing else reads table columns
+  const prepare = (node) => {
+    const shape = getShape(node);
+    const keyIndex = keyShapes.indexOf(shape);
+    if (keyIndex !== -1) {
+      return {
+        type: "column",
+        name: keyColumn(keyIndex),
+        position: node.position,
+      };
+    }
+    if (node.type === "aggregate") {
+      return {
+        type: "column",
+        name: aggregateColumn(aggregateShapes.indexOf(shape)),
+        position: node.position,
+      };
+    }
+    if (node.type === "column") {
+      throw new QueryError(
+        `"${node.name}" must be in GROUP BY or inside an aggregate such as SUM()`,
+        node.position
+      );
+    }
+    return mapOperands(node, prepare);
+  };
+
+  const keys = groupBy.map((expression) => compile(expression, columns));
+  const arguments_ = aggregates.map(
+    (aggregate) => aggregate.argument && compile(aggregate.argument, columns)
+  );
+
+  const groups = new Map();
+  // Aggregates over no rows at all still make one group
+  if (groupBy.length === 0) {
+    groups.set(getValueKey([]), {
+      keyValues: [],
+      values: aggregates.map(() => []),
+    });
+  }
+  rows.forEach((row, index) =>
+    evaluating(`row ${index + 1}`, () => {
+      const keyValues = keys.map((key) => key(row));
+      const groupKey = getValueKey(keyValues);
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, {
+          keyValues,
+          values: aggregates.map(() => []),
+        });
+      }
+      const group = groups.get(groupKey);
+      arguments_.forEach((argument, i) => {
+        // COUNT(*) counts rows, the others the non-empty values
+        const value = argument ? argument(row) : true;
+        if (value !== null && value !== "") group.values[i].push(value);
+      });
+    })
+  );
+
+  const groupColumns = [
+    ...groupBy.map((_, index) => keyColumn(index)),
+    ...aggregates.map((_, index) => aggregateColumn(index)),
+  ].map((name) => ({ id: name, name }));
+
+  let records = [...groups.values()].map(({ keyValues, values }) => {
+    const record = {};
+    keyValues.forEach((value, index) => {
+      record[keyColumn(index)] = value;
+    });
+    aggregates.forEach((aggregate, index) => {
+      const groupValues = aggregate.distinct
+        ? [
+            ...new Map(
+              values[index].map((value) => [getValueKey([value]), value])
+            ).values(),
+          ]
+        : values[index];
+      record[aggregateColumn(index)] =
+        AGGREGATE_FUNCTIONS[aggregate.name](groupValues);
+    });
+    return record;
+  });
+
+  if (having) {
+    const test = compile(prepare(having), groupColumns);
+    records = records.filter((record, index) =>
+      evaluating(`group ${index + 1}`, () => isTruthy(test(record)))
+    );
+  }
+
+  return { records, context: { columns: groupColumns, prepare } };
+}
+
+/**
+ * Parses and runs `sql` on a table; see parseQuery and executeQuery
+ */
+export const runQuery = (sql, table) => executeQuery(parseQuery(sql), table);
@@ -0,0 +1,137 @@
+import { describe, expect, it } from "vitest";
+import { parseQuery, QueryError, runQuery } from "./query";
+
+const table = {
+  headers: [
+    { id: "r", name: "region", type: "text" },
+    { id: "a", name: "amount", type: "integer" },
+    { id: "y", name: "year", type: "integer" },
+  ],
+  rows: [
+    { r: "North", a: "10", y: "2023" },
+    { r: "South", a: "5", y: "2022" },
+    { r: "North", a: "7", y: "2024" },
+    { r: "", a: "1", y: "2024" },
+  ],
+};
+
+const run = (sql) => runQuery(sql, table);
+
+const getError = (sql) => {
+  try {
+    run(sql);
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected an error");
+};
+
+describe("runQuery", () => {
+  it("selects every column with *, with LIMIT and OFFSET", () => {
+    expect(run("SELECT * LIMIT 1 OFFSET 1")).toEqual({
+      fields: ["region", "amount", "year"],
+      rows: [{ region: "South", amount: 5, year: 2022 }],
+    });
+  });
+
+  it("filters, groups, aggregates and orders", () => {
+    expect(
+      run(
+        "SELECT region, SUM(amount) AS total WHERE year >= 2023 GROUP BY region ORDER BY 2 DESC"
+      )
+    ).toEqual({
+      fields: ["region", "total"],
+      rows: [
+        { region: "North", total: 17 },
+        { region: "", total: 1 },
+      ],
+    });
+  });
+
+  it("aggregates the whole table without GROUP BY", () => {
+    expect(run("SELECT COUNT(*) AS n, MAX(amount), AVG(amount)").rows).toEqual([
+      { n: 4, "MAX(amount)": 10, "AVG(amount)": 5.75 },
+    ]);
+  });
+
+  it("keeps groups matching HAVING", () => {
+    expect(
+      run("SELECT region, COUNT(*) GROUP BY region HAVING COUNT(*) > 1").rows
+    ).toEqual([{ region: "North", "COUNT(*)": 2 }]);
+  });
+
+  it("supports DISTINCT, LIKE, IN, BETWEEN and CASE", () => {
+    expect(run("SELECT DISTINCT region WHERE region IS NOT NULL").rows).toEqual(
+      [{ region: "North" }, { region: "South" }]
+    );
+    expect(run("SELECT amount WHERE region LIKE 'n%'").rows).toEqual([
+      { amount: 10 },
+      { amount: 7 },
+    ]);
+    expect(
+      run("SELECT amount WHERE year IN (2022, 2023) ORDER BY amount").rows
+    ).toEqual([{ amount: 5 }, { amount: 10 }]);
+    expect(run("SELECT amount WHERE amount BETWEEN 5 AND 7").rows).toEqual([
+      { amount: 5 },
+      { amount: 7 },
+    ]);
+    expect(
+      run(
+        "SELECT CASE WHEN amount > 6 THEN 'big' ELSE 'small' END AS size LIMIT 2"
+      ).rows
+    ).toEqual([{ size: "big" }, { size: "small" }]);
+  });
+
+  it("lets HAVING name select items by alias", () => {
+    expect(
+      run("SELECT region, COUNT(*) AS n GROUP BY region HAVING n > 1").rows
+    ).toEqual([{ region: "North", n: 2 }]);
+  });
+
+  it("treats comparisons with empty cells as unknown, as SQL does", () => {
+    expect(run("SELECT amount WHERE NOT region = 'North'").rows).toEqual([
+      { amount: 5 },
+    ]);
+    expect(
+      run("SELECT amount WHERE region <> 'South' OR year = 2022").rows
+    ).toEqual([{ amount: 10 }, { amount: 5 }, { amount: 7 }]);
+    expect(
+      run("SELECT amount WHERE NOT (region = 'x' AND year = 2022)").rows
+    ).toEqual([{ amount: 10 }, { amount: 5 }, { amount: 7 }, { amount: 1 }]);
+    expect(run("SELECT amount WHERE region IS NULL").rows).toEqual([
+      { amount: 1 },
+    ]);
+  });
+
+  it("reads only the table named in FROM", () => {
+    const named = { ...table, name: "Sales" };
+
+    expect(runQuery("SELECT COUNT(*) AS n FROM sales", named).rows).toEqual([
+      { n: 4 },
+    ]);
+    expect(() => runQuery("SELECT * FROM orders", named)).toThrow(
+      'No table is named "orders"'
+    );
+    expect(() => run("SELECT * FROM sales")).toThrow(QueryError);
+  });
+
+  it("points out errors in the query", () => {
+    const syntax = getError("SELECT amount WHERE");
+    expect(syntax).toBeInstanceOf(QueryError);
+    expect(syntax.position).toBe(19);
+
+    expect(getError("SELECT region, amount GROUP BY region").message).toBe(
+      '"amount" must be in GROUP BY or inside an aggregate such as SUM()'
+    );
+    expect(getError("SELECT nope").message).toMatch(/nope/);
+  });
+});
+
+describe("parseQuery", () => {
+  it("reads the table named in FROM", () => {
+    expect(parseQuery('SELECT * FROM "sales 2024"').from).toEqual({
+      name: "sales 2024",
+      position: 14,
+    });
+  });
+});
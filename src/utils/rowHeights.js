@@ -0,0 +1,82 @@
+/**
+ * Height cache and offset index for the row virtualizer.
+ *
+ * Every row starts at an estimated height. When rows are `measured` (some
+ * column wraps its text), rows that have been rendered report their
+ * measured height, which is recorded as a difference from the estimate in a
+ * Fenwick (binary indexed) tree, so both updating a height and finding a
+ * row's offset stay O(log n) even for millions of rows. Until the first row
+ * is measured no tree is allocated and everything is plain multiplication,
+ * which is the common case when no column wraps its text.
+ */
+export function createRowHeightIndex(rowCount, estimatedHeight, measured) {
+  // Measured height minus estimate, per measured row
+  const deltas = new Map();
+  let tree = null;
+
+  const addDelta = (index, delta) => {
+    if (!tree) tree = new Float64Array(rowCount + 1);
+    for (let i = index + 1; i <= rowCount; i += i & -i) tree[i] += delta;
+  };
+
+  // Sum of the deltas of rows [0, index)
+  const deltaBefore = (index) => {
+    if (!tree) return 0;
+    let sum = 0;
+    for (let i = Math.min(index, rowCount); i > 0; i -= i & -i) sum += tree[i];
+    return sum;
+  };
+
+  const getOffset = (index) => index * estimatedHeight + deltaBefore(index);
+
+  const getHeight = (index) => estimatedHeight + (deltas.get(index) || 0);
+
+  return {
+    rowCount,
+    estimatedHeight,
+    measured,
+    getOffset,
+    getHeight,
+
+    /**
+     * Records a measured height. Returns the change from the previously
+     * known height (0 when nothing changed).
+     */
+    setHeight(index, height) {
+      if (!measured || index < 0 || index >= rowCount) return 0;
+      const change = height - getHeight(index);
+      if (change === 0) return 0;
+
+      deltas.set(index, height - estimatedHeight);
+      addDelta(index, change);
+      return change;
+    },
+
+    getTotalHeight() {
+      return getOffset(rowCount);
+    },
+
+    /**
+     * Index of the row covering the given vertical offset
+     */
+    findIndexAtOffset(offset) {
+      if (rowCount === 0 || offset <= 0) return 0;
+      if (!tree) {
+        return Math.min(rowCount - 1, Math.floor(offset / estimatedHeight));
+      }
+
+      // Last row whose top is at or above the offset
+      let low = 0;
+      let high = rowCount - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (getOffset(mid) <= offset) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      return low;
+    },
+  };
+}
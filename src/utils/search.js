@@ -0,0 +1,96 @@
+import { isGroupRow } from "./grouping";
+
+/**
+ * Global search helpers. The grid only renders a slice of the rows, so
+ * browser find (Ctrl+F) can't see most of the data - these helpers scan the
+ * full data set instead and tell the renderer which parts of a cell to mark.
+ */
+
+// Stop collecting matches past this point to keep huge result sets cheap
+export const MAX_SEARCH_MATCHES = 100000;
+
+export const defaultSearch = {
+  query: "",
+  caseSensitive: false,
+  wholeCell: false,
+};
+
+const cellText = (value) =>
+  value === null || value === undefined ? "" : String(value);
+
+/**
+ * Builds a predicate telling whether a cell value matches the search, or
+ * null when the search is empty
+ */
+export function createMatcher({ query, caseSensitive, wholeCell }) {
+  if (!query) return null;
+  const needle = caseSensitive ? query : query.toLowerCase();
+
+  return (value) => {
+    const text = cellText(value);
+    if (!text) return false;
+    const haystack = caseSensitive ? text : text.toLowerCase();
+    return wholeCell ? haystack === needle : haystack.includes(needle);
+  };
+}
+
+/**
+ * Scans every cell of `data` (in row order, then column order) and returns
+ * the matching cells as { rowIndex, columnId }. Group rows are skipped.
+ */
+export function findMatches(data, headers, search) {
+  const matcher = createMatcher(search);
+  if (!matcher) return [];
+
+  const matches = [];
+  for (let rowIndex = 0; rowIndex < data.length; rowIndex++) {
+    const row = data[rowIndex];
+    if (isGroupRow(row)) continue;
+    for (const header of headers) {
+      if (matcher(row[header.id])) {
+        matches.push({ rowIndex, columnId: header.id });
+        if (matches.length >= MAX_SEARCH_MATCHES) return matches;
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ * Splits a cell's text into plain and matching segments for highlighting
+ */
+export function getHighlightSegments(
+  value,
+  { query, caseSensitive, wholeCell }
+) {
+  const text = cellText(value);
+  if (!query || !text) return [{ text, match: false }];
+
+  const haystack = caseSensitive ? text : text.toLowerCase();
+  const needle = caseSensitive ? query : query.toLowerCase();
+
+  if (wholeCell) {
+    return [{ text, match: haystack === needle }];
+  }
+
+  const segments = [];
+  let cursor = 0;
+  let index = haystack.indexOf(needle);
+
+  while (index !== -1) {
+    if (index > cursor) {
+      segments.push({ text: text.slice(cursor, index), match: false });
+    }
+    segments.push({
+      text: text.slice(index, index + needle.length),
+      match: true,
+    });
+    cursor = index + needle.length;
+    index = haystack.indexOf(needle, cursor);
+  }
+
+  if (cursor < text.length) {
+    segments.push({ text: text.slice(cursor), match: false });
+  }
+  return segments;
+}
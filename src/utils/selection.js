@@ -0,0 +1,121 @@
+import Papa from "papaparse";
+import { isGroupRow } from "./grouping";
+
+/**
+ * Cell selection helpers. A selection is { anchor, focus } where both are
+ * { row, col } positions in display order (sorted rows, visible columns).
+ * The focus is the active cell; the anchor is where a Shift-extended range
+ * started. Positions are plain indexes, so a selection survives its rows
+ * being virtualized away while scrolling.
+ */
+
+export const createSelection = (cell) => ({ anchor: cell, focus: cell });
+
+/**
+ * Normalized rectangle { top, bottom, left, right } covered by a selection
+ */
+export function getSelectionRange(selection) {
+  if (!selection) return null;
+  const { anchor, focus } = selection;
+  return {
+    top: Math.min(anchor.row, focus.row),
+    bottom: Math.max(anchor.row, focus.row),
+    left: Math.min(anchor.col, focus.col),
+    right: Math.max(anchor.col, focus.col),
+  };
+}
+
+export const isInRange = (range, row, col) =>
+  !!range &&
+  row >= range.top &&
+  row <= range.bottom &&
+  col >= range.left &&
+  col <= range.right;
+
+// DOM id of a rendered cell, for aria-activedescendant
+export const getCellId = (gridId, row, col) => `${gridId}-cell-${row}-${col}`;
+
+/**
+ * Where a navigation key moves the focus, or null for keys that don't
+ * navigate. `bounds` is { rowCount, colCount, pageSize }.
+ */
+export function getNavigationTarget(e, focus, bounds) {
+  const { rowCount, colCount, pageSize } = bounds;
+  const ctrl = e.ctrlKey || e.metaKey;
+  let { row, col } = focus;
+
+  switch (e.key) {
+    case "ArrowUp":
+      row = ctrl ? 0 : row - 1;
+      break;
+    case "ArrowDown":
+      row = ctrl ? rowCount - 1 : row + 1;
+      break;
+    case "ArrowLeft":
+      col = ctrl ? 0 : col - 1;
+      break;
+    case "ArrowRight":
+      col = ctrl ? colCount - 1 : col + 1;
+      break;
+    case "PageUp":
+      row -= pageSize;
+      break;
+    case "PageDown":
+      row += pageSize;
+      break;
+    case "Home":
+      col = 0;
+      if (ctrl) row = 0;
+      break;
+    case "End":
+      col = colCount - 1;
+      if (ctrl) row = rowCount - 1;
+      break;
+    default:
+      return null;
+  }
+
+  return {
+    row: Math.max(0, Math.min(rowCount - 1, row)),
+    col: Math.max(0, Math.min(colCount - 1, col)),
+  };
+}
+
+/**
+ * Serializes the selected cells as TSV, which pastes cleanly into
+ * spreadsheets. Cells containing tabs, newlines or quotes are quoted.
+ * Group rows in the range are left out.
+ */
+export function selectionToTSV(rows, headers, range) {
+  const columns = headers.slice(range.left, range.right + 1);
+  const data = rows
+    .slice(range.top, range.bottom + 1)
+    .filter((row) => !isGroupRow(row))
+    .map((row) => columns.map((header) => row[header.id] ?? ""));
+
+  return Papa.unparse(data, { delimiter: "\t", newline: "\n" });
+}
+
+/**
+ * Writes text to the clipboard, falling back to a hidden textarea where the
+ * async Clipboard API isn't available (e.g. insecure origins)
+ */
+export async function copyText(text) {
+  if (navigator.clipboard?.writeText) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return;
+    } catch (error) {
+      console.warn("Clipboard API failed, falling back:", error);
+    }
+  }
+
+  const textarea = document.createElement("textarea");
+  textarea.value = text;
+  textarea.style.position = "fixed";
+  textarea.style.opacity = "0";
+  document.body.appendChild(textarea);
+  textarea.select();
+  document.execCommand("copy");
+  textarea.remove();
+}
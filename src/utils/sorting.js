@@ -0,0 +1,120 @@
+import {
+  getComparatorType,
+  isEmptyValue,
+  toNumber,
+  toTimestamp,
+} from "./columnTypes";
+
+// Shift+click adds sort keys up to this many (primary, secondary, tertiary)
+export const MAX_SORT_KEYS = 3;
+
+// Locale-aware text ordering; numeric: true puts "item 9" before "item 10"
+const collator = new Intl.Collator(undefined, {
+  numeric: true,
+  sensitivity: "base",
+});
+
+/**
+ * Converts a cell into the value its comparator works with. Empty cells and
+ * values that don't fit the column type become null so they sort last.
+ */
+function toSortValue(value, type) {
+  if (isEmptyValue(value)) return null;
+
+  if (type === "number") {
+    const number = toNumber(value);
+    return Number.isNaN(number) ? null : number;
+  }
+
+  if (type === "date") {
+    const time = toTimestamp(value);
+    return Number.isNaN(time) ? null : time;
+  }
+
+  return String(value);
+}
+
+/**
+ * Sorts rows by several keys at once. `sortConfig` is an ordered list of
+ * { key, direction } and `columnTypes` maps column ids to column types,
+ * which decide the comparator: numeric, date or locale-aware text.
+ * Empty cells always sort last whatever the direction, and rows that tie on
+ * every key keep their original order.
+ */
+export function sortRows(data, sortConfig, columnTypes) {
+  if (sortConfig.length === 0) return data;
+
+  const columns = sortConfig.map(({ key, direction }) => ({
+    key,
+    type: getComparatorType(columnTypes[key]),
+    factor: direction === "desc" ? -1 : 1,
+  }));
+
+  // Convert each cell once up front instead of on every comparison
+  const decorated = data.map((row, index) => ({
+    row,
+    index,
+    values: columns.map(({ key, type }) => toSortValue(row[key], type)),
+  }));
+
+  decorated.sort((a, b) => {
+    for (let i = 0; i < columns.length; i++) {
+      const valueA = a.values[i];
+      const valueB = b.values[i];
+
+      if (valueA === valueB) continue;
+      if (valueA === null) return 1;
+      if (valueB === null) return -1;
+
+      const result =
+        columns[i].type === "text"
+          ? collator.compare(valueA, valueB)
+          : valueA - valueB;
+
+      if (result !== 0) return result * columns[i].factor;
+    }
+    return a.index - b.index;
+  });
+
+  return decorated.map(({ row }) => row);
+}
+
+/**
+ * Sentence describing the sort order, for screen reader announcements
+ */
+export function describeSort(sortConfig, columnNames) {
+  if (sortConfig.length === 0) return "Sorting removed";
+  const keys = sortConfig.map(
+    ({ key, direction }) =>
+      `${columnNames[key] ?? key} ${
+        direction === "asc" ? "ascending" : "descending"
+      }`
+  );
+  return `Sorted by ${keys.join(", then by ")}`;
+}
+
+/**
+ * Returns the next sort configuration after a header click. A plain click
+ * sorts by that column alone (asc -> desc -> off); Shift+click adds the
+ * column as an extra key or cycles its direction within the existing keys.
+ */
+export function getNextSortConfig(sortConfig, key, additive) {
+  const existing = sortConfig.find((entry) => entry.key === key);
+
+  if (!additive) {
+    if (existing && sortConfig.length === 1) {
+      return existing.direction === "asc" ? [{ key, direction: "desc" }] : [];
+    }
+    return [{ key, direction: "asc" }];
+  }
+
+  if (existing) {
+    return existing.direction === "asc"
+      ? sortConfig.map((entry) =>
+          entry.key === key ? { key, direction: "desc" } : entry
+        )
+      : sortConfig.filter((entry) => entry.key !== key);
+  }
+
+  return [...sortConfig.slice(0, MAX_SORT_KEYS - 1), { key, direction: "asc" }];
+}
@@ -0,0 +1,99 @@
+import { describe, expect, it } from "vitest";
+import { getNextSortConfig, sortRows } from "./sorting";
+
+const values = (rows, key) => rows.map((row) => row[key]);
+
+describe("sortRows", () => {
+  it("sorts numbers by value and text naturally", () => {
+    const rows = [
+      { n: "$1,200", t: "item 10" },
+      { n: "90", t: "item 9" },
+      { n: "-5", t: "Item 1" },
+    ];
+
+    expect(
+      values(
+        sortRows(rows, [{ key: "n", direction: "asc" }], { n: "currency" }),
+        "n"
+      )
+    ).toEqual(["-5", "90", "$1,200"]);
+    expect(
+      values(
+        sortRows(rows, [{ key: "t", direction: "asc" }], { t: "text" }),
+        "t"
+      )
+    ).toEqual(["Item 1", "item 9", "item 10"]);
+  });
+
+  it("sorts ISO dates chronologically", () => {
+    const rows = [
+      { d: "2024-02-01" },
+      { d: "2023-12-31" },
+      { d: "2024-01-15" },
+    ];
+
+    expect(
+      values(
+        sortRows(rows, [{ key: "d", direction: "desc" }], { d: "date" }),
+        "d"
+      )
+    ).toEqual(["2024-02-01", "2024-01-15", "2023-12-31"]);
+  });
+
+  it("puts empty and unreadable cells last in either direction", () => {
+    const rows = [{ n: "" }, { n: "2" }, { n: "x" }, { n: "1" }];
+
+    expect(
+      values(
+        sortRows(rows, [{ key: "n", direction: "asc" }], { n: "integer" }),
+        "n"
+      )
+    ).toEqual(["1", "2", "", "x"]);
+    expect(
+      values(
+        sortRows(rows, [{ key: "n", direction: "desc" }], { n: "integer" }),
+        "n"
+      )
+    ).toEqual(["2", "1", "", "x"]);
+  });
+
+  it("breaks ties with the next key, then the original order", () => {
+    const rows = [
+      { g: "b", n: 1, id: 1 },
+      { g: "a", n: 2, id: 2 },
+      { g: "a", n: 1, id: 3 },
+      { g: "a", n: 1, id: 4 },
+    ];
+
+    const sorted = sortRows(
+      rows,
+      [
+        { key: "g", direction: "asc" },
+        { key: "n", direction: "desc" },
+      ],
+      { g: "text", n: "integer" }
+    );
+
+    expect(values(sorted, "id")).toEqual([2, 3, 4, 1]);
+  });
+});
+
+describe("getNextSortConfig", () => {
+  it("cycles one column through ascending, descending and off", () => {
+    const asc = getNextSortConfig([], "a", false);
+    const desc = getNextSortConfig(asc, "a", false);
+
+    expect(asc).toEqual([{ key: "a", direction: "asc" }]);
+    expect(desc).toEqual([{ key: "a", direction: "desc" }]);
+    expect(getNextSortConfig(desc, "a", false)).toEqual([]);
+  });
+
+  it("adds keys with Shift, up to three", () => {
+    let config = [];
+    for (const key of ["a", "b", "c", "d"]) {
+      config = getNextSortConfig(config, key, true);
+    }
+
+    expect(config.map((entry) => entry.key)).toEqual(["a", "b", "d"]);
+  });
+});
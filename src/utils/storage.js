@@ -0,0 +1,185 @@
+/**
+ * Local persistence in IndexedDB. Each loaded file is stored under a key
+ * made of its file name and a signature of its column names:
+ * - "files": metadata for the recent files list (name, headers, row count)
+ *   and the parse issues found in the file
+ * - "rows": the parsed rows, kept apart so listing files stays cheap
+ * - "views": the grid layout (widths, sort, filters...) last used for it
+ *
+ * Every function rejects when IndexedDB is unavailable (e.g. some private
+ * browsing modes); callers treat persistence as best-effort.
+ */
+
+const DB_NAME = "csv-data-grid";
+const DB_VERSION = 1;
+
+// Older files are dropped from storage beyond this many
+export const MAX_RECENT_FILES = 10;
+
+let dbPromise = null;
+
+// Wraps an IDBRequest (or a transaction's completion) in a promise
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const files = db.createObjectStore("files", { keyPath: "key" });
+        files.createIndex("savedAt", "savedAt");
+        db.createObjectStore("rows");
+        const views = db.createObjectStore("views", { keyPath: "key" });
+        views.createIndex("signature", "signature");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow retrying if opening failed
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// FNV-1a, enough to tell column sets apart without storing them in the key
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+};
+
+/**
+ * Signature of a file's columns: same names in the same order, same
+ * signature
+ */
+export const getHeaderSignature = (headers) =>
+  `${headers.length}-${hashString(
+    headers.map((header) => header.id).join("\u001f")
+  )}`;
+
+export const getDatasetKey = (fileName, signature) =>
+  `${fileName}|${signature}`;
+
+/**
+ * Stores a parsed file and its rows, then drops the oldest files beyond
+ * MAX_RECENT_FILES
+ */
+export async function saveDataset({
+  key,
+  fileName,
+  signature,
+  headers,
+  rows,
+  issues,
+}) {
+  const db = await openDatabase();
+  const transaction = db.transaction(["files", "rows"], "readwrite");
+  transaction.objectStore("files").put({
+    key,
+    fileName,
+    signature,
+    headers,
+    rowCount: rows.length,
+    issues,
+    savedAt: Date.now(),
+  });
+  transaction.objectStore("rows").put(rows, key);
+  await transactionDone(transaction);
+
+  await pruneRecentFiles(db);
+}
+
+async function pruneRecentFiles(db) {
+  const files = await listRecentFiles(Infinity);
+  const stale = files.slice(MAX_RECENT_FILES);
+  if (stale.length === 0) return;
+
+  const transaction = db.transaction(["files", "rows", "views"], "readwrite");
+  for (const { key } of stale) {
+    transaction.objectStore("files").delete(key);
+    transaction.objectStore("rows").delete(key);
+    transaction.objectStore("views").delete(key);
+  }
+  await transactionDone(transaction);
+}
+
+/**
+ * Stored files, most recently saved first (without their rows)
+ */
+export async function listRecentFiles(limit = MAX_RECENT_FILES) {
+  const db = await openDatabase();
+  const files = await promisify(
+    db.transaction("files").objectStore("files").index("savedAt").getAll()
+  );
+  return files.reverse().slice(0, limit);
+}
+
+/**
+ * A stored file with its rows, or null if it's no longer stored
+ */
+export async function loadDataset(key) {
+  const db = await openDatabase();
+  const transaction = db.transaction(["files", "rows"]);
+  const [file, rows] = await Promise.all([
+    promisify(transaction.objectStore("files").get(key)),
+    promisify(transaction.objectStore("rows").get(key)),
+  ]);
+  return file && rows ? { ...file, rows } : null;
+}
+
+export async function deleteDataset(key) {
+  const db = await openDatabase();
+  const transaction = db.transaction(["files", "rows", "views"], "readwrite");
+  transaction.objectStore("files").delete(key);
+  transaction.objectStore("rows").delete(key);
+  transaction.objectStore("views").delete(key);
+  await transactionDone(transaction);
+}
+
+export async function saveView(key, signature, view) {
+  const db = await openDatabase();
+  const transaction = db.transaction("views", "readwrite");
+  transaction
+    .objectStore("views")
+    .put({ key, signature, view, savedAt: Date.now() });
+  await transactionDone(transaction);
+}
+
+/**
+ * The saved view for a file. A file that was never opened under this name
+ * gets the most recent view saved for another file with the same columns.
+ */
+export async function findView(key, signature) {
+  const db = await openDatabase();
+  const store = db.transaction("views").objectStore("views");
+  const exact = await promisify(store.get(key));
+  if (exact) return exact.view;
+
+  const matches = await promisify(store.index("signature").getAll(signature));
+  if (matches.length === 0) return null;
+  return matches.reduce((latest, match) =>
+    match.savedAt > latest.savedAt ? match : latest
+  ).view;
+}
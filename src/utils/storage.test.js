@@ -0,0 +1,70 @@
+import "fake-indexeddb/auto";
+import { describe, expect, it } from "vitest";
+import {
+  deleteDataset,
+  findView,
+  getDatasetKey,
+  getHeaderSignature,
+  listRecentFiles,
+  loadDataset,
+  MAX_RECENT_FILES,
+  saveDataset,
+  saveView,
+} from "./storage";
+
+const headers = [{ id: "id" }, { id: "name" }];
+const signature = getHeaderSignature(headers);
+
+const saveFile = (fileName, rows = [{ id: 1, name: "Ann" }]) =>
+  saveDataset({
+    key: getDatasetKey(fileName, signature),
+    fileName,
+    signature,
+    headers,
+    rows,
+    issues: { errors: [], errorCount: 0 },
+  });
+
+describe("getHeaderSignature", () => {
+  it("depends on the column names and their order", () => {
+    expect(getHeaderSignature([{ id: "id" }, { id: "name" }])).toBe(signature);
+    expect(getHeaderSignature([{ id: "name" }, { id: "id" }])).not.toBe(
+      signature
+    );
+  });
+});
+
+describe("storage", () => {
+  it("stores, lists, loads and deletes files", async () => {
+    const key = getDatasetKey("people.csv", signature);
+    await saveFile("people.csv");
+
+    expect(
+      (await listRecentFiles()).find((file) => file.key === key)
+    ).toMatchObject({ fileName: "people.csv", signature });
+    expect((await loadDataset(key)).rows).toEqual([{ id: 1, name: "Ann" }]);
+
+    await deleteDataset(key);
+    expect(await loadDataset(key)).toBeNull();
+  });
+
+  it("keeps only the most recent files", async () => {
+    for (let i = 0; i <= MAX_RECENT_FILES; i++) await saveFile(`file${i}.csv`);
+
+    const files = await listRecentFiles(Infinity);
+
+    expect(files).toHaveLength(MAX_RECENT_FILES);
+    expect(files.some((file) => file.fileName === "file0.csv")).toBe(false);
+  });
+
+  it("falls back to a view saved for a file with the same columns", async () => {
+    await saveView(getDatasetKey("jan.csv", signature), signature, {
+      sortConfig: [{ key: "name", direction: "asc" }],
+    });
+
+    expect(
+      await findView(getDatasetKey("feb.csv", signature), signature)
+    ).toEqual({ sortConfig: [{ key: "name", direction: "asc" }] });
+    expect(await findView("other.csv|0-0", "0-0")).toBeNull();
+  });
+});
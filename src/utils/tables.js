@@ -0,0 +1,133 @@
+import { isEmptyValue } from "./columnTypes";
+
+/**
+ * Several files can be open at once as named tables, and two tables can be
+ * joined into a new one.
+ */
+
+export const JOIN_TYPES = [
+  { id: "inner", label: "Inner", description: "Only rows found in both" },
+  { id: "left", label: "Left", description: "Every row of the left table" },
+  { id: "full", label: "Full outer", description: "Every row of both" },
+];
+
+/**
+ * `name`, numbered when a table of that name is already open
+ */
+export function getUniqueTableName(name, tables) {
+  const names = new Set(tables.map((table) => table.name));
+  let unique = name;
+  for (let n = 2; names.has(unique); n++) unique = `${name} (${n})`;
+  return unique;
+}
+
+// A file's table is named after it, without the extension
+export const getTableName = (fileName, tables) =>
+  getUniqueTableName(fileName.replace(/\.[^.]+$/, "") || "table", tables);
+
+// Rows with an empty key value match nothing, like NULLs in SQL
+const getJoinKey = (row, columns) =>
+  columns.some((column) => isEmptyValue(row[column]))
+    ? null
+    : JSON.stringify(columns.map((column) => String(row[column])));
+
+/**
+ * Joins `right` onto `left` (both { name, headers, rows }) where the
+ * columns of each pair in `on` ([{ left, right }]) have equal values.
+ * `type` is one of JOIN_TYPES. The key columns appear once, named after
+ * the left table's and filled from the right one for rows only it has.
+ * Other columns keep their names unless both tables have one of that
+ * name, in which case they are prefixed with their table's name
+ * ("orders.date", "customers.date") and numbered if that name is taken
+ * too. Rows are read as given, so the caller passes any edits or computed
+ * columns it wants joined. Returns { headers, rows }: left rows
+ * in order, each followed by its matches, then (for a full join) the
+ * right rows nothing matched.
+ */
+export function joinTables({ left, right, on, type }) {
+  const leftKeys = on.map((pair) => pair.left);
+  const rightKeys = on.map((pair) => pair.right);
+  const rightKeySet = new Set(rightKeys);
+  const rightHeaders = right.headers.filter(
+    (header) => !rightKeySet.has(header.id)
+  );
+
+  // Names taken by more than one column get prefixed, except the left
+  // key columns, which the right key values go into
+  const leftNames = new Set(left.headers.map((header) => header.id));
+  const clashes = new Set(
+    rightHeaders.map((header) => header.id).filter((id) => leftNames.has(id))
+  );
+  const isPrefixed = (header, side) =>
+    clashes.has(header.id) &&
+    !(side === "left" && leftKeys.includes(header.id));
+  const sourceColumns = [
+    ...left.headers.map((header) => ({ header, table: left, side: "left" })),
+    ...rightHeaders.map((header) => ({ header, table: right, side: "right" })),
+  ];
+
+  // A prefixed name can itself be taken ("orders.date" in either table),
+  // so it's numbered until it's unique
+  const usedIds = new Set(
+    sourceColumns
+      .filter(({ header, side }) => !isPrefixed(header, side))
+      .map(({ header }) => header.id)
+  );
+  const columns = sourceColumns.map(({ header, table, side }) => {
+    let id = header.id;
+    if (isPrefixed(header, side)) {
+      const base = `${table.name}.${header.id}`;
+      id = base;
+      for (let n = 2; usedIds.has(id); n++) id = `${base} (${n})`;
+      usedIds.add(id);
+    }
+    return { id, header, side };
+  });
+
+  const buildRow = (leftRow, rightRow) => {
+    const row = {};
+    for (const { id, header, side } of columns) {
+      const sourceRow = side === "left" ? leftRow : rightRow;
+      row[id] = sourceRow ? sourceRow[header.id] : "";
+    }
+    if (!leftRow) {
+      on.forEach((pair) => {
+        row[pair.left] = rightRow[pair.right];
+      });
+    }
+    return row;
+  };
+
+  // Right row indexes by key
+  const rightByKey = new Map();
+  right.rows.forEach((row, index) => {
+    const key = getJoinKey(row, rightKeys);
+    if (key === null) return;
+    if (!rightByKey.has(key)) rightByKey.set(key, []);
+    rightByKey.get(key).push(index);
+  });
+
+  const rows = [];
+  const matchedRight = new Set();
+  for (const leftRow of left.rows) {
+    const key = getJoinKey(leftRow, leftKeys);
+    const matches = (key !== null && rightByKey.get(key)) || [];
+    for (const index of matches) {
+      matchedRight.add(index);
+      rows.push(buildRow(leftRow, right.rows[index]));
+    }
+    if (matches.length === 0 && type !== "inner") {
+      rows.push(buildRow(leftRow, null));
+    }
+  }
+  if (type === "full") {
+    right.rows.forEach((rightRow, index) => {
+      if (!matchedRight.has(index)) rows.push(buildRow(null, rightRow));
+    });
+  }
+
+  return {
+    headers: columns.map(({ id, header }) => ({ ...header, id, name: id })),
+    rows,
+  };
+}
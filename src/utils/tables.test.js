@@ -0,0 +1,108 @@
+import { describe, expect, it } from "vitest";
+import { getTableName, getUniqueTableName, joinTables } from "./tables";
+
+const header = (id) => ({ id, name: id, type: "text", width: 150 });
+
+const orders = {
+  name: "orders",
+  headers: ["id", "customer", "date"].map(header),
+  rows: [
+    { id: "1", customer: "c1", date: "2024-01-01" },
+    { id: "2", customer: "c2", date: "2024-01-02" },
+    { id: "3", customer: "", date: "2024-01-03" },
+  ],
+};
+const customers = {
+  name: "customers",
+  headers: ["cid", "name", "date"].map(header),
+  rows: [
+    { cid: "c1", name: "Ann", date: "2020-05-05" },
+    { cid: "c9", name: "Zed", date: "2021-06-06" },
+  ],
+};
+const on = [{ left: "customer", right: "cid" }];
+
+describe("joinTables", () => {
+  it("keeps only matching rows in an inner join", () => {
+    const { headers, rows } = joinTables({
+      left: orders,
+      right: customers,
+      on,
+      type: "inner",
+    });
+
+    expect(headers.map((column) => column.id)).toEqual([
+      "id",
+      "customer",
+      "orders.date",
+      "name",
+      "customers.date",
+    ]);
+    expect(rows).toEqual([
+      {
+        id: "1",
+        customer: "c1",
+        "orders.date": "2024-01-01",
+        name: "Ann",
+        "customers.date": "2020-05-05",
+      },
+    ]);
+  });
+
+  it("numbers a prefixed name that another column already has", () => {
+    const { headers } = joinTables({
+      left: {
+        ...orders,
+        headers: [...orders.headers, header("customers.date")],
+      },
+      right: customers,
+      on,
+      type: "inner",
+    });
+
+    expect(headers.map((column) => column.id)).toEqual([
+      "id",
+      "customer",
+      "orders.date",
+      "customers.date",
+      "name",
+      "customers.date (2)",
+    ]);
+  });
+
+  it("keeps unmatched rows of the left table, and empty keys match nothing", () => {
+    const { rows } = joinTables({
+      left: orders,
+      right: customers,
+      on,
+      type: "left",
+    });
+
+    expect(rows.map((row) => [row.id, row.name])).toEqual([
+      ["1", "Ann"],
+      ["2", ""],
+      ["3", ""],
+    ]);
+  });
+
+  it("adds unmatched right rows to a full join, with their key", () => {
+    const { rows } = joinTables({
+      left: orders,
+      right: customers,
+      on,
+      type: "full",
+    });
+
+    expect(rows.at(-1)).toMatchObject({ id: "", customer: "c9", name: "Zed" });
+  });
+});
+
+describe("table names", () => {
+  it("names tables after files, numbering repeats", () => {
+    const open = [{ name: "sales" }, { name: "sales (2)" }];
+
+    expect(getTableName("sales.csv", open)).toBe("sales (3)");
+    expect(getTableName(".csv", [])).toBe("table");
+    expect(getUniqueTableName("new", open)).toBe("new");
+  });
+});
@@ -0,0 +1,32 @@
+import { useCallback, useRef, useState } from "react";
+
+/**
+ * State a parent can optionally take over, the way an <input> works with
+ * `value` or `defaultValue`. While `value` is undefined the state is kept
+ * here, starting from `defaultValue`. Otherwise `value` is used as is and
+ * only changes when the parent passes a new one. Either way, the setter
+ * takes a value or an updater function like useState's, and reports every
+ * change through `onChange`.
+ */
+export function useControllableState(value, defaultValue, onChange) {
+  const [ownValue, setOwnValue] = useState(defaultValue);
+  const isControlled = value !== undefined;
+  const current = isControlled ? value : ownValue;
+
+  // Read by the setter, so it can stay the same function across renders
+  const stateRef = useRef({});
+  stateRef.current = { current, isControlled, onChange };
+
+  const setValue = useCallback((next) => {
+    const state = stateRef.current;
+    const resolved = typeof next === "function" ? next(state.current) : next;
+    if (Object.is(resolved, state.current)) return;
+
+    // Several updates in one event each build on the one before
+    state.current = resolved;
+    if (!state.isControlled) setOwnValue(resolved);
+    state.onChange?.(resolved);
+  }, []);
+
+  return [current, setValue];
+}
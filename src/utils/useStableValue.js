@@ -0,0 +1,13 @@
+import { useRef } from "react";
+import _ from "lodash";
+
+/**
+ * `value`, kept as the same object for as long as it's deeply equal to the
+ * one before. Lets a value worked out on every render be a hook dependency
+ * that only changes when its contents do.
+ */
+export function useStableValue(value) {
+  const valueRef = useRef(value);
+  if (!_.isEqual(valueRef.current, value)) valueRef.current = value;
+  return valueRef.current;
+}
@@ -0,0 +1,79 @@
+import _ from "lodash";
+
+/**
+ * Shareable view links. The grid's view (see utils/viewState.js) is kept in
+ * the URL hash as #view=<base64url JSON>, next to any ?src=<url> data
+ * source, so copying the address reopens the same rows the same way.
+ * Every view change gets its own history entry, letting back/forward step
+ * through them; scrolling only updates the current entry.
+ */
+
+const HASH_PARAM = "view";
+
+// Bytes are turned into characters a chunk at a time, as spreading a large
+// view's bytes into one String.fromCharCode call overflows the stack
+const BYTES_PER_CHUNK = 0x8000;
+
+// btoa/atob only handle Latin-1, so the JSON goes through UTF-8 bytes
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += BYTES_PER_CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BYTES_PER_CHUNK));
+  }
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+const fromBase64Url = (encoded) =>
+  new TextDecoder().decode(
+    Uint8Array.from(
+      atob(encoded.replace(/-/g, "+").replace(/_/g, "/")),
+      (char) => char.charCodeAt(0)
+    )
+  );
+
+export const encodeViewHash = (view) =>
+  `#${HASH_PARAM}=${toBase64Url(JSON.stringify(view))}`;
+
+/**
+ * The view in a URL hash, or null if there is none or it can't be read
+ */
+export function decodeViewHash(hash) {
+  const encoded = new URLSearchParams(hash.replace(/^#/, "")).get(HASH_PARAM);
+  if (!encoded) return null;
+  try {
+    const view = JSON.parse(fromBase64Url(encoded));
+    return _.isPlainObject(view) ? view : null;
+  } catch (error) {
+    console.warn("Ignoring unreadable view link:", error);
+    return null;
+  }
+}
+
+export const readViewFromUrl = () => decodeViewHash(window.location.hash);
+
+/**
+ * Puts the view in the URL hash. A new history entry is added unless the
+ * URL had no view yet, the view differs from the current one only in
+ * scroll position, or `replace` is set (e.g. for a freshly opened file,
+ * which going back shouldn't "undo").
+ */
+export function writeViewToUrl(view, { replace = false } = {}) {
+  const hash = encodeViewHash(view);
+  if (hash === window.location.hash) return;
+
+  const current = readViewFromUrl();
+  const isNewEntry =
+    !replace &&
+    current !== null &&
+    !_.isEqual(_.omit(current, "scroll"), _.omit(view, "scroll"));
+  const url = `${window.location.pathname}${window.location.search}${hash}`;
+  if (isNewEntry) {
+    window.history.pushState(null, "", url);
+  } else {
+    window.history.replaceState(null, "", url);
+  }
+}
@@ -0,0 +1,34 @@
+import { describe, expect, it, vi } from "vitest";
+import { decodeViewHash, encodeViewHash } from "./viewLink";
+
+describe("view links", () => {
+  it("round-trips a view through the hash, including non-Latin text", () => {
+    const view = {
+      sortConfig: [{ key: "city", direction: "asc" }],
+      filters: {
+        city: { operator: "oneOf", values: ["Zürich", "東京", "🙂"] },
+      },
+    };
+
+    const hash = encodeViewHash(view);
+
+    expect(hash).toMatch(/^#view=[A-Za-z0-9_-]+$/);
+    expect(decodeViewHash(hash)).toEqual(view);
+  });
+
+  it("encodes views too large to pass as arguments in one call", () => {
+    const view = { filters: { id: { operator: "oneOf", values: [] } } };
+    for (let i = 0; i < 100000; i++) view.filters.id.values.push(`id${i}`);
+
+    expect(decodeViewHash(encodeViewHash(view))).toEqual(view);
+  });
+
+  it("ignores hashes without a readable view", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(decodeViewHash("")).toBeNull();
+    expect(decodeViewHash("#other=1")).toBeNull();
+    expect(decodeViewHash("#view=not-json")).toBeNull();
+    expect(decodeViewHash(encodeViewHash([1, 2]))).toBeNull();
+  });
+});
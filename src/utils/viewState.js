@@ -0,0 +1,111 @@
+import _ from "lodash";
+import { defaultSearch } from "./search";
+import { createComputedHeader, isComputedColumn } from "./computedColumns";
+
+/**
+ * Serializable snapshot of how the grid is laid out, so it can be stored
+ * and applied again later:
+ *   {
+ *     columns: { [id]: { width, pinned, wrap, type, aggregate, hidden } },
+ *       plus { name, formula } for computed columns,
+ *     order: [column ids in display order],
+ *     sortConfig, filters, groupBy, density,
+ *     search: { query, caseSensitive, wholeCell },
+ *     scroll: { top, left }
+ *   }
+ * Only plain data goes in, and anything referring to a column that no
+ * longer exists is dropped when the view is applied.
+ */
+
+// Per-column settings that make up the layout
+const COLUMN_SETTINGS = [
+  "width",
+  "pinned",
+  "wrap",
+  "type",
+  "aggregate",
+  "hidden",
+];
+
+// Computed columns aren't in the file, so their definition is kept too
+const COMPUTED_SETTINGS = ["name", "formula"];
+
+export function getViewState({
+  headers,
+  sortConfig,
+  filters,
+  groupBy,
+  density,
+  search,
+  scroll,
+}) {
+  return {
+    columns: Object.fromEntries(
+      headers.map((header) => [
+        header.id,
+        Object.fromEntries(
+          (isComputedColumn(header)
+            ? [...COLUMN_SETTINGS, ...COMPUTED_SETTINGS]
+            : COLUMN_SETTINGS
+          )
+            .filter((setting) => header[setting] != null)
+            .map((setting) => [setting, header[setting]])
+        ),
+      ])
+    ),
+    order: headers.map((header) => header.id),
+    sortConfig,
+    filters,
+    groupBy,
+    density,
+    search,
+    scroll,
+  };
+}
+
+// Headers for the view's computed columns that `headers` don't have yet
+function getComputedHeaders(view, headers) {
+  const ids = new Set(headers.map((header) => header.id));
+  return Object.entries(view?.columns || {})
+    .filter(([id, column]) => column.formula != null && !ids.has(id))
+    .map(([id, column]) => createComputedHeader({ id, ...column }));
+}
+
+/**
+ * Headers with the view's column settings applied, in the view's order,
+ * and with the view's computed columns added. Columns the view doesn't
+ * know about keep their place after the others.
+ */
+export function applyViewToHeaders(headers, view) {
+  const columns = view?.columns || {};
+  const applied = [...headers, ...getComputedHeaders(view, headers)].map(
+    (header) =>
+      columns[header.id] ? { ...header, ...columns[header.id] } : header
+  );
+  if (!Array.isArray(view?.order)) return applied;
+
+  const position = new Map(view.order.map((id, index) => [id, index]));
+  return _.sortBy(applied, (header) => position.get(header.id) ?? Infinity);
+}
+
+/**
+ * The view's sort, filters, grouping, search and scroll position, restricted
+ * to existing columns
+ */
+export function getViewSettings(view, headers) {
+  const ids = new Set(
+    [...headers, ...getComputedHeaders(view, headers)].map(
+      (header) => header.id
+    )
+  );
+  return {
+    sortConfig: (view?.sortConfig || []).filter((entry) => ids.has(entry.key)),
+    filters: Object.fromEntries(
+      Object.entries(view?.filters || {}).filter(([id]) => ids.has(id))
+    ),
+    groupBy: (view?.groupBy || []).filter((id) => ids.has(id)),
+    density: view?.density || "normal",
+    search: { ...defaultSearch, ...view?.search },
+    scroll: { top: 0, left: 0, ...view?.scroll },
+  };
+}
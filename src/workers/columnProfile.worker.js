@@ -0,0 +1,17 @@
+import { profileColumn } from "../utils/columnProfile";
+
+/**
+ * Computes a column profile off the main thread. Receives the column's
+ * values and type, and posts back one of:
+ *   { type: "profile", profile }
+ *   { type: "error", message }
+ */
+self.onmessage = (event) => {
+  const { values, type } = event.data;
+
+  try {
+    self.postMessage({ type: "profile", profile: profileColumn(values, type) });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+};
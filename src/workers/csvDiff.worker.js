@@ -0,0 +1,15 @@
+import { diffTables } from "../utils/diff";
+
+/**
+ * Compares two tables off the main thread. Receives the arguments of
+ * diffTables (see utils/diff.js) and posts back one of:
+ *   { type: "diff", diff }
+ *   { type: "error", message }
+ */
+self.onmessage = (event) => {
+  try {
+    self.postMessage({ type: "diff", diff: diffTables(event.data) });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+};
@@ -0,0 +1,99 @@
+import Papa from "papaparse";
+import {
+  createRecordReader,
+  defaultImportOptions,
+  getPapaConfig,
+} from "../utils/importOptions";
+
+// Only the first errors are reported in detail; a badly broken file could
+// otherwise have one per row
+const MAX_REPORTED_ERRORS = 1000;
+
+// Size of each slice Papa reads from the file. Small enough to report
+// progress often, large enough to keep postMessage overhead low.
+const CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Fetches a remote CSV as a Blob so it can be streamed like a local file.
+ * Network failures and HTTP error statuses become readable errors.
+ */
+async function fetchAsBlob(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch {
+    // fetch only says "Failed to fetch"; the usual causes are these
+    throw new Error(
+      "Couldn't reach the server. Check the URL, your connection, and that the server allows cross-origin requests (CORS)"
+    );
+  }
+
+  if (!response.ok) {
+    const status = `${response.status} ${response.statusText}`.trim();
+    throw new Error(
+      response.status === 404
+        ? `The file wasn't found (HTTP ${status})`
+        : response.status === 401 || response.status === 403
+          ? `Access to the file was denied (HTTP ${status})`
+          : `The server responded with HTTP ${status}`
+    );
+  }
+  return response.blob();
+}
+
+/**
+ * Streams a File/Blob through Papa in chunk mode, using the import options
+ * (see utils/importOptions.js), and posts each parsed chunk back to the
+ * main thread as soon as it is ready:
+ *   { type: "chunk", rows, fields }
+ *   { type: "progress", loaded, total }
+ *   { type: "complete", rowCount, errors, errorCount }
+ * Error rows are 0-based indexes into the parsed rows.
+ *   { type: "error", message }
+ */
+self.onmessage = async (event) => {
+  const { file, url, options = defaultImportOptions } = event.data;
+  const readRecords = createRecordReader(options);
+
+  try {
+    const blob = file || (await fetchAsBlob(url));
+    const total = blob.size;
+    const errors = [];
+    let errorCount = 0;
+    let fields = null;
+    let rowCount = 0;
+
+    Papa.parse(blob, {
+      ...getPapaConfig(options),
+      chunkSize: CHUNK_SIZE,
+      chunk: (results) => {
+        const chunk = readRecords(results.data, results.errors);
+        fields = chunk.fields;
+        rowCount += chunk.records.length;
+        errorCount += chunk.errors.length;
+        errors.push(
+          ...chunk.errors.slice(0, MAX_REPORTED_ERRORS - errors.length)
+        );
+
+        // Chunks before the header row (skipped rows) have nothing to show
+        if (fields) {
+          self.postMessage({ type: "chunk", rows: chunk.records, fields });
+        }
+        self.postMessage({
+          type: "progress",
+          loaded: Math.min(total, results.meta.cursor),
+          total,
+        });
+      },
+      complete: () => {
+        self.postMessage({ type: "progress", loaded: total, total });
+        self.postMessage({ type: "complete", rowCount, errors, errorCount });
+      },
+      error: (error) => {
+        self.postMessage({ type: "error", message: error.message });
+      },
+    });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+};
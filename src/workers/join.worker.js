@@ -0,0 +1,15 @@
+import { joinTables } from "../utils/tables";
+
+/**
+ * Joins two tables off the main thread. Receives the arguments of
+ * joinTables (see utils/tables.js) and posts back one of:
+ *   { type: "join", table }  with the joined { headers, rows }
+ *   { type: "error", message }
+ */
+self.onmessage = (event) => {
+  try {
+    self.postMessage({ type: "join", table: joinTables(event.data) });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+};
@@ -0,0 +1,21 @@
+import { QueryError, runQuery } from "../utils/query";
+
+/**
+ * Runs a query off the main thread. Receives { sql, table } with the
+ * table's { headers, rows } and posts back one of:
+ *   { type: "result", result }  with the result's { fields, rows }
+ *   { type: "error", message, position }
+ * (see utils/query.js)
+ */
+self.onmessage = (event) => {
+  const { sql, table } = event.data;
+  try {
+    self.postMessage({ type: "result", result: runQuery(sql, table) });
+  } catch (error) {
+    self.postMessage({
+      type: "error",
+      message: error.message,
+      position: error instanceof QueryError ? error.position : null,
+    });
+  }
+};
@@ -1,7 +1,28 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Built as a library (`vite build --mode lib`), the grid leaves React and
+// its other dependencies to the app that embeds it. The relative base keeps
+// worker URLs relative to the library file instead of the site root.
+const libraryConfig = {
+  base: './',
+  build: {
+    outDir: 'dist-lib',
+    copyPublicDir: false,
+    lib: {
+      entry: 'src/lib.js',
+      formats: ['es'],
+      fileName: 'data-grid',
+      cssFileName: 'data-grid',
+    },
+    rollupOptions: {
+      external: [/^react(-dom)?(\/|$)/, 'lodash', 'papaparse'],
+    },
+  },
+}
+
 // https://vite.dev/config/
-export default defineConfig({
+export default defineConfig(({ mode }) => ({
   plugins: [react()],
-})
+  ...(mode === 'lib' ? libraryConfig : {}),
+}))